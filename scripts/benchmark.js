@@ -0,0 +1,158 @@
+// Times the work behind drawing the ownership chart on large synthetic
+// structures. Run with `npm run benchmark`, optionally followed by the
+// structure sizes to try: `npm run benchmark -- 2000 20000`.
+//
+// Two shapes are generated for each size: a listed company with every other
+// entity as a direct shareholder, and a group of companies four shareholders
+// wide at every level, where some individuals hold stakes in two companies.
+// The same seed gives the same structures on every run.
+
+import { buildChartModel } from "../src/lib/chartModel.js";
+import { visibleStructure } from "../src/lib/collapse.js";
+import { findControllers, withDimension } from "../src/lib/rights.js";
+import { structureAsOf, today } from "../src/lib/timeline.js";
+import { findUltimateBeneficialOwners } from "../src/lib/ubo.js";
+import { validateStructure } from "../src/lib/validation.js";
+
+const DEFAULT_SIZES = [1000, 5000, 10000];
+const RUNS = 5;
+const BRANCHING = 4;
+
+// A small seeded random number generator (mulberry32)
+const random = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Split 100% into `count` shares of four decimals that add up exactly
+const split = (count) => {
+  const share = Math.floor(1000000 / count) / 10000;
+  const last = parseFloat((100 - share * (count - 1)).toFixed(4));
+  return Array.from({ length: count }, (_, i) =>
+    i === count - 1 ? last : share
+  );
+};
+
+const listed = (size) => {
+  const entities = [{ id: 1, name: "Listed Co", type: "company" }];
+  const holdings = [];
+  split(size - 1).forEach((percentage, i) => {
+    const id = i + 2;
+    entities.push({ id, name: `Shareholder ${id}`, type: "individual" });
+    holdings.push({ id: i + 1, holder: id, held: 1, percentage });
+  });
+  return { entities, holdings };
+};
+
+const group = (size, seed = 1) => {
+  const next = random(seed);
+  const childrenOf = new Map();
+  for (let id = 2; id <= size; id++) {
+    const parent = Math.floor((id - 2) / BRANCHING) + 1;
+    if (!childrenOf.has(parent)) childrenOf.set(parent, []);
+    childrenOf.get(parent).push(id);
+  }
+
+  const entities = [];
+  const holdings = [];
+  for (let id = 1; id <= size; id++) {
+    const isCompany = childrenOf.has(id);
+    entities.push({
+      id,
+      name: `${isCompany ? "Company" : "Person"} ${id}`,
+      type: isCompany ? "company" : "individual",
+    });
+    if (!isCompany) continue;
+
+    const children = childrenOf.get(id);
+    split(children.length).forEach((percentage, i) =>
+      holdings.push({
+        id: holdings.length + 1,
+        holder: children[i],
+        held: id,
+        percentage,
+      })
+    );
+  }
+
+  // Give one in twenty individuals half of another individual's stake in a
+  // second company
+  const stakesOfIndividuals = holdings.filter((h) => !childrenOf.has(h.holder));
+  stakesOfIndividuals.forEach((holding) => {
+    if (next() >= 0.05) return;
+    const other =
+      stakesOfIndividuals[Math.floor(next() * stakesOfIndividuals.length)];
+    if (other.held === holding.held || other.holder === holding.holder) return;
+    if (
+      holdings.some((h) => h.holder === holding.holder && h.held === other.held)
+    ) {
+      return;
+    }
+
+    const half = parseFloat((other.percentage / 2).toFixed(4));
+    other.percentage = parseFloat((other.percentage - half).toFixed(4));
+    holdings.push({
+      id: holdings.length + 1,
+      holder: holding.holder,
+      held: other.held,
+      percentage: half,
+    });
+  });
+
+  return { entities, holdings };
+};
+
+// The median time in milliseconds of `task` on a fresh copy of `structure`
+// each run, so lookup tables built by an earlier run are not reused
+const time = (structure, task) => {
+  const times = [];
+  for (let run = 0; run < RUNS; run++) {
+    const copy = {
+      ...structure,
+      entities: [...structure.entities],
+      holdings: [...structure.holdings],
+    };
+    const start = performance.now();
+    task(copy);
+    times.push(performance.now() - start);
+  }
+  times.sort((a, b) => a - b);
+  return times[Math.floor(RUNS / 2)];
+};
+
+const TASKS = {
+  "as of date": (s) => withDimension(structureAsOf(s, today()), "voting"),
+  "visible structure": (s) => visibleStructure(s, 1),
+  "chart model": (s) =>
+    buildChartModel(visibleStructure(s, 1), 1, {
+      nodeWidth: 200,
+      nodeHeight: 100,
+      siblingGap: 40,
+      levelGap: 80,
+      stakeSpacing: 50,
+      margin: 40,
+      width: 1200,
+    }),
+  validation: (s) => validateStructure(s),
+  controllers: (s) => findControllers(s),
+  "beneficial owners": (s) => findUltimateBeneficialOwners(s, 1, 25),
+};
+
+const sizes = process.argv.slice(2).map(Number).filter(Boolean);
+const rows = [];
+(sizes.length > 0 ? sizes : DEFAULT_SIZES).forEach((size) => {
+  [
+    ["listed", listed(size)],
+    ["group", group(size)],
+  ].forEach(([shape, structure]) => {
+    const row = { shape, entities: size };
+    Object.entries(TASKS).forEach(([name, task]) => {
+      row[`${name} (ms)`] = parseFloat(time(structure, task).toFixed(1));
+    });
+    rows.push(row);
+  });
+});
+
+console.table(rows);
@@ -0,0 +1,247 @@
+import React, { useState } from "react";
+import {
+  isShareMode,
+  nextClassId,
+  sharesHeld,
+  totalIssued,
+} from "@/lib/capTable";
+
+const formatShares = (value) => value.toLocaleString("en-US");
+
+// Cap table for one company: its share classes, the shares each shareholder
+// holds in every class and the percentages derived from them. Companies in
+// share-count mode are edited here; others can be switched over.
+const CapTablePanel = ({
+  companies,
+  holdings,
+  getEntityName,
+  onToggleShareMode,
+  onUpdateClasses,
+  onUpdateShares,
+}) => {
+  const [companyId, setCompanyId] = useState(null);
+  const company =
+    companies.find((c) => c.id === companyId) || companies[0] || null;
+
+  if (!company) return null;
+
+  const shareMode = isShareMode(company);
+  const classes = company.shareClasses || [];
+  const rows = holdings.filter((h) => h.held === company.id);
+
+  const updateClass = (classId, updates) =>
+    onUpdateClasses(
+      company.id,
+      classes.map((c) => (c.id === classId ? { ...c, ...updates } : c))
+    );
+
+  const removeClass = (classId) => {
+    if (classes.length === 1) {
+      alert("A company in share-count mode needs at least one share class.");
+      return;
+    }
+    onUpdateClasses(
+      company.id,
+      classes.filter((c) => c.id !== classId)
+    );
+  };
+
+  const addClass = () =>
+    onUpdateClasses(company.id, [
+      ...classes,
+      {
+        id: nextClassId(company),
+        name: `Class ${String.fromCharCode(65 + classes.length)}`,
+        issued: 0,
+        votesPerShare: 1,
+      },
+    ]);
+
+  const parseCount = (value) => Math.max(0, Math.floor(Number(value) || 0));
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 mt-4">
+      <div className="mb-4 flex justify-between items-center">
+        <h2 className="text-lg font-bold">Cap Table</h2>
+        <div className="flex items-center text-sm">
+          <select
+            className="p-1 border rounded mr-3"
+            value={company.id}
+            onChange={(e) => setCompanyId(Number(e.target.value))}
+          >
+            {companies.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={shareMode}
+              onChange={(e) => onToggleShareMode(company.id, e.target.checked)}
+            />
+            Share-count mode
+          </label>
+        </div>
+      </div>
+
+      {!shareMode ? (
+        <p className="text-sm text-gray-500">
+          Percentages for {company.name} are entered directly. Switch to
+          share-count mode to enter issued shares and shares held instead.
+        </p>
+      ) : (
+        <>
+          <h3 className="text-sm font-semibold mb-2">Share classes</h3>
+          <table className="text-sm mb-2">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="pr-2 font-normal">Class</th>
+                <th className="pr-2 font-normal">Issued shares</th>
+                <th className="pr-2 font-normal">Votes per share</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {classes.map((c) => (
+                <tr key={c.id}>
+                  <td className="pr-2 py-1">
+                    <input
+                      type="text"
+                      className="p-1 border rounded"
+                      value={c.name}
+                      onChange={(e) =>
+                        updateClass(c.id, { name: e.target.value })
+                      }
+                    />
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input
+                      type="number"
+                      min="0"
+                      className="w-32 p-1 border rounded"
+                      value={c.issued}
+                      onChange={(e) =>
+                        updateClass(c.id, {
+                          issued: parseCount(e.target.value),
+                        })
+                      }
+                    />
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input
+                      type="number"
+                      min="0"
+                      className="w-20 p-1 border rounded"
+                      value={c.votesPerShare ?? 1}
+                      onChange={(e) =>
+                        updateClass(c.id, {
+                          votesPerShare: Math.max(
+                            0,
+                            parseFloat(e.target.value) || 0
+                          ),
+                        })
+                      }
+                    />
+                  </td>
+                  <td className="py-1">
+                    <button
+                      className="px-2 text-red-600"
+                      title="Remove share class"
+                      onClick={() => removeClass(c.id)}
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            className="px-2 py-1 bg-gray-200 rounded text-sm mb-4"
+            onClick={addClass}
+          >
+            Add Class
+          </button>
+
+          <h3 className="text-sm font-semibold mb-2">Shareholders</h3>
+          {rows.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              {company.name} has no shareholders on this date.
+            </p>
+          ) : (
+            <table className="text-sm w-full">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="pr-2 font-normal">Holder</th>
+                  {classes.map((c) => (
+                    <th key={c.id} className="pr-2 font-normal">
+                      {c.name}
+                    </th>
+                  ))}
+                  <th className="pr-2 font-normal">Economic</th>
+                  <th className="font-normal">Voting</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((holding) => (
+                  <tr key={holding.id} className="border-b">
+                    <td className="pr-2 py-1">
+                      {getEntityName(holding.holder)}
+                    </td>
+                    {classes.map((c) => (
+                      <td key={c.id} className="pr-2 py-1">
+                        <input
+                          type="number"
+                          min="0"
+                          className="w-28 p-1 border rounded"
+                          value={sharesHeld(holding, c.id)}
+                          onChange={(e) =>
+                            onUpdateShares(
+                              holding.id,
+                              c.id,
+                              parseCount(e.target.value)
+                            )
+                          }
+                        />
+                      </td>
+                    ))}
+                    <td className="pr-2 py-1">{holding.percentage}%</td>
+                    <td className="py-1">
+                      {holding.votingPercentage ?? holding.percentage}%
+                    </td>
+                  </tr>
+                ))}
+                <tr className="text-gray-500">
+                  <td className="pr-2 py-1">Unallocated</td>
+                  {classes.map((c) => {
+                    const unallocated =
+                      (c.issued || 0) -
+                      rows.reduce((sum, h) => sum + sharesHeld(h, c.id), 0);
+                    return (
+                      <td
+                        key={c.id}
+                        className={`pr-2 py-1 ${
+                          unallocated < 0 ? "text-red-600 font-medium" : ""
+                        }`}
+                      >
+                        {formatShares(unallocated)}
+                      </td>
+                    );
+                  })}
+                  <td colSpan={2} className="py-1">
+                    of {formatShares(totalIssued(company))} issued
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CapTablePanel;
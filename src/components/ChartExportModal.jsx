@@ -0,0 +1,139 @@
+import React, { useState } from "react";
+import {
+  buildChartSvg,
+  exportPdf,
+  exportPng,
+  exportSvg,
+} from "@/lib/chartExport";
+
+const FORMATS = {
+  svg: "SVG (vector)",
+  png: "PNG (image)",
+  pdf: "PDF",
+};
+
+const SCALES = [1, 2, 3, 4];
+
+// Options for exporting the chart: format, resolution for images, and the
+// title and date printed above it
+const ChartExportModal = ({
+  svgRef,
+  defaultTitle,
+  date,
+  legend,
+  fileName,
+  onClose,
+}) => {
+  const [format, setFormat] = useState("png");
+  const [title, setTitle] = useState(defaultTitle);
+  const [includeDate, setIncludeDate] = useState(true);
+  const [scale, setScale] = useState(2);
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async () => {
+    if (!svgRef.current) return;
+
+    const chart = buildChartSvg(svgRef.current, {
+      title: title.trim(),
+      subtitle: includeDate ? `As of ${date}` : "",
+      legend,
+    });
+
+    setExporting(true);
+    try {
+      if (format === "svg") exportSvg(chart, `${fileName}.svg`);
+      if (format === "png") await exportPng(chart, `${fileName}.png`, scale);
+      if (format === "pdf") await exportPdf(chart, `${fileName}.pdf`, scale);
+      onClose();
+    } catch (error) {
+      alert("Could not export the chart: " + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-96">
+        <h3 className="text-lg font-bold mb-4">Export Chart</h3>
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Format
+          </label>
+          <select
+            className="w-full p-2 border rounded"
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+          >
+            {Object.entries(FORMATS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {format !== "svg" && (
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Resolution
+            </label>
+            <select
+              className="w-full p-2 border rounded"
+              value={scale}
+              onChange={(e) => setScale(Number(e.target.value))}
+            >
+              {SCALES.map((value) => (
+                <option key={value} value={value}>
+                  {value}× ({value * 96} dpi)
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Title
+          </label>
+          <input
+            type="text"
+            className="w-full p-2 border rounded"
+            placeholder="No title"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+          />
+        </div>
+
+        <label className="mb-4 flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={includeDate}
+            onChange={(e) => setIncludeDate(e.target.checked)}
+          />
+          Include the date ({date})
+        </label>
+
+        <div className="flex justify-end">
+          <button
+            className="px-4 py-2 bg-gray-300 text-gray-800 rounded mr-2"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+          <button
+            className="px-4 py-2 bg-blue-500 text-white rounded disabled:opacity-50"
+            disabled={exporting}
+            onClick={handleExport}
+          >
+            {exporting ? "Exporting…" : "Export"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChartExportModal;
@@ -0,0 +1,52 @@
+import React from "react";
+
+// Lists, for every company with shareholders, who controls it through a
+// majority of the votes
+const ControlPanel = ({ companies, control, getEntityName }) => {
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 mt-4">
+      <h2 className="text-lg font-bold mb-4">Control (Voting Rights)</h2>
+
+      {companies.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No company has shareholders yet.
+        </p>
+      ) : (
+        <ul className="text-sm">
+          {companies.map((company) => {
+            const entry = control[company.id];
+            const intermediates = entry
+              ? entry.controllers.filter((id) => id !== entry.ultimate)
+              : [];
+
+            return (
+              <li key={company.id} className="mb-2 flex justify-between">
+                <span className="font-medium">{company.name}</span>
+                {entry ? (
+                  <span>
+                    Controlled by{" "}
+                    <span className="text-indigo-700 font-medium">
+                      {getEntityName(entry.ultimate)}
+                    </span>
+                    {intermediates.length > 0 && (
+                      <span className="text-gray-500">
+                        {" "}
+                        through {intermediates.map(getEntityName).join(", ")}
+                      </span>
+                    )}
+                  </span>
+                ) : (
+                  <span className="text-gray-500">
+                    No controlling shareholder
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ControlPanel;
@@ -0,0 +1,183 @@
+import React, { useState } from "react";
+import { CSV_COLUMNS, csvToStructure, guessColumnMapping } from "@/lib/csv";
+import { PROFILE_FIELDS } from "@/lib/profile";
+
+const COLUMN_LABELS = {
+  id: "Id",
+  name: "Name",
+  type: "Type",
+  parent: "Parent (id or name)",
+  percentage: "Percentage",
+  ...Object.fromEntries(
+    PROFILE_FIELDS.map((field) => [field.key, field.label])
+  ),
+};
+
+// Imports an entity list from CSV in two steps: map the file's columns to
+// entity fields, then preview where every row lands before importing. Rows
+// that cannot be placed are listed as errors.
+const CsvImportModal = ({ fileName, rows, onImport, onCancel }) => {
+  const [headers, ...dataRows] = rows;
+  const [step, setStep] = useState("mapping");
+  const [mapping, setMapping] = useState(() => guessColumnMapping(headers));
+  const [parentMatch, setParentMatch] = useState("auto");
+
+  const result = csvToStructure(dataRows, mapping, parentMatch);
+  const placedCount = result.statuses.filter(
+    (status) => status && !status.error
+  ).length;
+
+  const startPreview = () => {
+    if (mapping.name === null) {
+      alert("Choose the column that holds entity names.");
+      return;
+    }
+    setStep("preview");
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-[40rem] max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-bold mb-1">Import CSV</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          {fileName} · {dataRows.length} rows
+        </p>
+
+        {step === "mapping" ? (
+          <div className="mb-4 overflow-auto">
+            {CSV_COLUMNS.map((column) => (
+              <div key={column} className="flex items-center mb-2">
+                <label className="w-1/3 text-sm font-medium text-gray-700">
+                  {COLUMN_LABELS[column]}
+                </label>
+                <select
+                  className="w-2/3 p-2 border rounded"
+                  value={mapping[column] ?? ""}
+                  onChange={(e) =>
+                    setMapping({
+                      ...mapping,
+                      [column]:
+                        e.target.value === "" ? null : Number(e.target.value),
+                    })
+                  }
+                >
+                  <option value="">— Not in file —</option>
+                  {headers.map((header, i) => (
+                    <option key={i} value={i}>
+                      {header || `Column ${i + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <div className="flex items-center mb-2">
+              <label className="w-1/3 text-sm font-medium text-gray-700">
+                Match parents by
+              </label>
+              <select
+                className="w-2/3 p-2 border rounded"
+                value={parentMatch}
+                onChange={(e) => setParentMatch(e.target.value)}
+              >
+                <option value="auto">Id, then name</option>
+                <option value="id">Id only</option>
+                <option value="name">Name only</option>
+              </select>
+            </div>
+            {mapping.custom.length > 0 && (
+              <p className="text-sm text-gray-600">
+                Custom fields:{" "}
+                {mapping.custom.map((field) => field.label).join(", ")}
+              </p>
+            )}
+          </div>
+        ) : (
+          <div className="mb-4 overflow-auto">
+            <p className="text-sm mb-2">
+              {placedCount} of {dataRows.length} rows can be placed
+              {result.errors.length > 0 &&
+                `; ${result.errors.length} cannot and will not be imported`}
+              .
+            </p>
+            {result.errors.length > 0 && (
+              <ul className="text-sm text-red-700 bg-red-50 rounded p-2 mb-2">
+                {result.errors.map((error, i) => (
+                  <li key={i}>
+                    {error.row === null ? "File" : `Row ${error.row}`}:{" "}
+                    {error.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <table className="text-sm w-full">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="pr-2 font-normal">Row</th>
+                  <th className="pr-2 font-normal">Entity</th>
+                  <th className="pr-2 font-normal">Held in</th>
+                  <th className="font-normal">%</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.statuses.map((status, i) =>
+                  status && !status.error ? (
+                    <tr key={i} className="border-b">
+                      <td className="pr-2 py-1 text-gray-500">{i + 2}</td>
+                      <td className="pr-2 py-1">
+                        {status.entity.name}{" "}
+                        <span className="text-gray-500">
+                          ({status.entity.type})
+                        </span>
+                      </td>
+                      <td className="pr-2 py-1">
+                        {status.root ? "Root company" : status.parent.name}
+                      </td>
+                      <td className="py-1">
+                        {status.root ? "" : `${status.percentage}%`}
+                      </td>
+                    </tr>
+                  ) : null
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            className="px-4 py-2 bg-gray-300 text-gray-800 rounded mr-2"
+            onClick={onCancel}
+          >
+            Cancel
+          </button>
+          {step === "mapping" ? (
+            <button
+              className="px-4 py-2 bg-blue-500 text-white rounded"
+              onClick={startPreview}
+            >
+              Preview
+            </button>
+          ) : (
+            <>
+              <button
+                className="px-4 py-2 bg-gray-300 text-gray-800 rounded mr-2"
+                onClick={() => setStep("mapping")}
+              >
+                Back
+              </button>
+              <button
+                className="px-4 py-2 bg-blue-500 text-white rounded disabled:opacity-50"
+                disabled={result.structure.entities.length === 0}
+                onClick={() => onImport(result.structure)}
+              >
+                Import
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CsvImportModal;
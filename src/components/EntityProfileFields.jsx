@@ -0,0 +1,91 @@
+import React from "react";
+import { profileFieldsFor } from "@/lib/profile";
+
+// Profile fields of the entity being edited: the registration or personal
+// data that applies to its type, and free-form custom fields
+const EntityProfileFields = ({ entity, types, onChange }) => {
+  const fields = profileFieldsFor(types, entity);
+  const customFields = entity.customFields || [];
+
+  const updateCustomField = (index, updates) =>
+    onChange({
+      customFields: customFields.map((field, i) =>
+        i === index ? { ...field, ...updates } : field
+      ),
+    });
+
+  return (
+    <div className="mb-4">
+      <h4 className="text-sm font-bold text-gray-700 mb-2">Profile</h4>
+
+      {fields.map((field) => (
+        <div key={field.key} className="mb-3">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {field.label}
+          </label>
+          {field.multiline ? (
+            <textarea
+              className="w-full p-2 border rounded"
+              rows="3"
+              value={entity[field.key] || ""}
+              onChange={(e) => onChange({ [field.key]: e.target.value })}
+            />
+          ) : (
+            <input
+              type={field.type || "text"}
+              className="w-full p-2 border rounded"
+              placeholder={field.placeholder}
+              value={entity[field.key] || ""}
+              onChange={(e) => onChange({ [field.key]: e.target.value })}
+            />
+          )}
+        </div>
+      ))}
+
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Custom Fields
+      </label>
+      {customFields.map((field, i) => (
+        <div key={i} className="flex items-center mb-2">
+          <input
+            type="text"
+            className="w-2/5 p-2 border rounded mr-1"
+            placeholder="Field"
+            value={field.label}
+            onChange={(e) => updateCustomField(i, { label: e.target.value })}
+          />
+          <input
+            type="text"
+            className="w-3/5 p-2 border rounded"
+            placeholder="Value"
+            value={field.value}
+            onChange={(e) => updateCustomField(i, { value: e.target.value })}
+          />
+          <button
+            className="ml-2 text-red-500"
+            title="Remove this field"
+            onClick={() =>
+              onChange({
+                customFields: customFields.filter((_, j) => j !== i),
+              })
+            }
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button
+        className="text-sm text-blue-600"
+        onClick={() =>
+          onChange({
+            customFields: [...customFields, { label: "", value: "" }],
+          })
+        }
+      >
+        + Add Field
+      </button>
+    </div>
+  );
+};
+
+export default EntityProfileFields;
@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import { searchEntities } from "@/lib/search";
+
+const MAX_LISTED = 10;
+
+// Search box for finding an entity in the chart. Matches are fuzzy, on the
+// name and every other field; Enter steps to the next match and Shift+Enter
+// to the previous one. Escape clears the search.
+const EntitySearch = ({ entities, onSelect, onClear }) => {
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(-1); // Match shown in the chart
+  const [listOpen, setListOpen] = useState(false);
+
+  const results = query.trim() ? searchEntities(entities, query) : [];
+
+  const select = (index) => {
+    setActiveIndex(index);
+    setListOpen(false);
+    onSelect(results[index].entity.id);
+  };
+
+  const changeQuery = (value) => {
+    setQuery(value);
+    setActiveIndex(-1);
+    setListOpen(true);
+    if (!value.trim()) onClear();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      changeQuery("");
+      return;
+    }
+    if (e.key !== "Enter" || results.length === 0) return;
+
+    e.preventDefault();
+    const step = e.shiftKey ? -1 : 1;
+    const start = activeIndex === -1 && step === -1 ? 0 : activeIndex;
+    select((start + step + results.length) % results.length);
+  };
+
+  return (
+    <div className="relative mb-2 flex items-center text-sm text-gray-700">
+      <input
+        type="search"
+        className="w-72 p-1 border rounded mr-2"
+        placeholder="Search entities…"
+        value={query}
+        onChange={(e) => changeQuery(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setListOpen(true)}
+        onBlur={() => setListOpen(false)}
+      />
+      {query.trim() && (
+        <span className="text-gray-500">
+          {results.length === 0
+            ? "No matches"
+            : activeIndex === -1
+              ? `${results.length} match(es) · Enter to show`
+              : `${activeIndex + 1} of ${results.length}`}
+        </span>
+      )}
+
+      {listOpen && results.length > 0 && (
+        <ul className="absolute top-full left-0 z-10 w-72 mt-1 bg-white border rounded shadow">
+          {results.slice(0, MAX_LISTED).map((result, i) => (
+            <li
+              key={result.entity.id}
+              className={`px-2 py-1 cursor-pointer ${
+                i === activeIndex ? "bg-blue-100" : "hover:bg-gray-100"
+              }`}
+              // Select before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                select(i);
+              }}
+            >
+              <div className="font-medium">{result.entity.name}</div>
+              {result.field !== "name" && (
+                <div className="text-xs text-gray-500">
+                  {result.field}: {result.value}
+                </div>
+              )}
+            </li>
+          ))}
+          {results.length > MAX_LISTED && (
+            <li className="px-2 py-1 text-xs text-gray-500">
+              {results.length - MAX_LISTED} more; press Enter to step through
+              them
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default EntitySearch;
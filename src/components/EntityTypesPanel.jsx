@@ -0,0 +1,161 @@
+import React, { useState } from "react";
+import { BORDER_STYLES, isNaturalPerson, newTypeId } from "@/lib/entityTypes";
+
+// Settings for the entity types of the structure: label, colors, border,
+// icon, whether entities of the type may have shareholders and whether they
+// are natural persons. Types in use by an entity cannot be removed.
+const EntityTypesPanel = ({ types, usedTypes, onChange }) => {
+  const [open, setOpen] = useState(false);
+
+  const updateType = (id, updates) =>
+    onChange(
+      types.map((type) => (type.id === id ? { ...type, ...updates } : type))
+    );
+
+  const removeType = (id) => onChange(types.filter((type) => type.id !== id));
+
+  const addType = () => {
+    const label = window.prompt("Name of the new entity type:");
+    if (!label || !label.trim()) return;
+
+    onChange([
+      ...types,
+      {
+        id: newTypeId(types, label),
+        label: label.trim(),
+        fill: "#ffffff",
+        border: "solid",
+        icon: "",
+        mayHaveShareholders: true,
+        naturalPerson: false,
+      },
+    ]);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 mt-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-lg font-bold">Entity Types</h2>
+        <button
+          className="px-2 py-1 bg-gray-200 text-gray-800 rounded text-sm"
+          onClick={() => setOpen(!open)}
+        >
+          {open ? "Hide" : "Edit Types"}
+        </button>
+      </div>
+
+      {open && (
+        <>
+          <table className="text-sm mt-4 mb-2">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="pr-2 font-normal">Icon</th>
+                <th className="pr-2 font-normal">Label</th>
+                <th className="pr-2 font-normal">Fill</th>
+                <th className="pr-2 font-normal">Border</th>
+                <th className="pr-2 font-normal">May have shareholders</th>
+                <th className="pr-2 font-normal">Natural person</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {types.map((type) => (
+                <tr key={type.id}>
+                  <td className="pr-2 py-1">
+                    <input
+                      type="text"
+                      className="w-12 p-1 border rounded text-center"
+                      value={type.icon || ""}
+                      onChange={(e) =>
+                        updateType(type.id, { icon: e.target.value })
+                      }
+                    />
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input
+                      type="text"
+                      className="p-1 border rounded"
+                      value={type.label}
+                      onChange={(e) =>
+                        updateType(type.id, { label: e.target.value })
+                      }
+                    />
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input
+                      type="color"
+                      className="w-10 h-8 border rounded"
+                      value={type.fill}
+                      onChange={(e) =>
+                        updateType(type.id, { fill: e.target.value })
+                      }
+                    />
+                  </td>
+                  <td className="pr-2 py-1">
+                    <select
+                      className="p-1 border rounded"
+                      value={type.border}
+                      onChange={(e) =>
+                        updateType(type.id, { border: e.target.value })
+                      }
+                    >
+                      {Object.entries(BORDER_STYLES).map(([value, style]) => (
+                        <option key={value} value={value}>
+                          {style.label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="pr-2 py-1 text-center">
+                    <input
+                      type="checkbox"
+                      checked={type.mayHaveShareholders}
+                      onChange={(e) =>
+                        updateType(type.id, {
+                          mayHaveShareholders: e.target.checked,
+                        })
+                      }
+                    />
+                  </td>
+                  <td className="pr-2 py-1 text-center">
+                    <input
+                      type="checkbox"
+                      checked={isNaturalPerson(types, { type: type.id })}
+                      onChange={(e) =>
+                        updateType(type.id, {
+                          naturalPerson: e.target.checked,
+                        })
+                      }
+                    />
+                  </td>
+                  <td className="py-1">
+                    <button
+                      className="text-red-500 disabled:opacity-30"
+                      title={
+                        usedTypes.has(type.id)
+                          ? "In use by an entity"
+                          : "Remove this type"
+                      }
+                      disabled={usedTypes.has(type.id)}
+                      onClick={() => removeType(type.id)}
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            className="px-2 py-1 bg-gray-200 text-gray-800 rounded text-sm"
+            onClick={addType}
+          >
+            Add Type
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EntityTypesPanel;
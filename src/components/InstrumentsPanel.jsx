@@ -0,0 +1,269 @@
+import React, { useState } from "react";
+import { isShareMode } from "@/lib/capTable";
+import { INSTRUMENT_TYPES, diluteCompany } from "@/lib/dilution";
+
+const BLANK_INSTRUMENT = {
+  type: "option-pool",
+  name: "",
+  holder: "",
+  amount: 0, // Shares or percentage, for option pools and warrants
+  exercisePrice: "",
+  principal: 0,
+  valuationCap: 0,
+  discount: "",
+  interestRate: "",
+  issueDate: "",
+};
+
+const optionalNumber = (value) => (value === "" ? undefined : Number(value));
+
+// Describe an instrument's terms in one line
+const describeTerms = (instrument) => {
+  const terms = [];
+  if (instrument.shares !== undefined) {
+    terms.push(`${instrument.shares.toLocaleString("en-US")} shares`);
+  }
+  if (instrument.percentage !== undefined) {
+    terms.push(`${instrument.percentage}% reserved`);
+  }
+  if (instrument.exercisePrice !== undefined) {
+    terms.push(`exercise at ${instrument.exercisePrice}`);
+  }
+  if (instrument.principal !== undefined) {
+    terms.push(`${instrument.principal.toLocaleString("en-US")} principal`);
+  }
+  if (instrument.valuationCap) {
+    terms.push(`cap ${instrument.valuationCap.toLocaleString("en-US")}`);
+  }
+  if (instrument.discount !== undefined) {
+    terms.push(`${instrument.discount}% discount`);
+  }
+  if (instrument.interestRate !== undefined) {
+    terms.push(
+      `${instrument.interestRate}% interest${instrument.issueDate ? ` from ${instrument.issueDate}` : ""}`
+    );
+  }
+  return terms.join(", ");
+};
+
+// Options, warrants, convertible notes and SAFEs attached to a company, with
+// the fully diluted percentage each one represents on the "as of" date
+const InstrumentsPanel = ({
+  companies,
+  entities,
+  effectiveDate,
+  getEntityName,
+  onChange,
+}) => {
+  const [companyId, setCompanyId] = useState(null);
+  const [draft, setDraft] = useState(BLANK_INSTRUMENT);
+  const company =
+    companies.find((c) => c.id === companyId) || companies[0] || null;
+
+  if (!company) return null;
+
+  const instruments = company.instruments || [];
+  const { factor, instruments: diluted } = diluteCompany(
+    company,
+    effectiveDate
+  );
+  const converts = INSTRUMENT_TYPES[draft.type].converts;
+  const inShares = isShareMode(company);
+
+  const addInstrument = () => {
+    if (converts && !(draft.principal > 0)) {
+      alert("Enter the principal invested.");
+      return;
+    }
+    if (!converts && !(draft.amount > 0)) {
+      alert(
+        inShares
+          ? "Enter the number of shares the instrument covers."
+          : "Enter the percentage the instrument reserves."
+      );
+      return;
+    }
+
+    const instrument = {
+      id: Math.max(0, ...instruments.map((i) => i.id)) + 1,
+      type: draft.type,
+      name: draft.name || INSTRUMENT_TYPES[draft.type].label,
+      ...(draft.holder !== "" && { holder: Number(draft.holder) }),
+      ...(converts
+        ? {
+            principal: draft.principal,
+            valuationCap: draft.valuationCap,
+            discount: optionalNumber(draft.discount),
+            ...(draft.type === "convertible-note" && {
+              interestRate: optionalNumber(draft.interestRate),
+              issueDate: draft.issueDate || undefined,
+            }),
+          }
+        : {
+            [inShares ? "shares" : "percentage"]: draft.amount,
+            exercisePrice: optionalNumber(draft.exercisePrice),
+          }),
+    };
+
+    onChange(company.id, [...instruments, instrument]);
+    setDraft(BLANK_INSTRUMENT);
+  };
+
+  const removeInstrument = (id) =>
+    onChange(
+      company.id,
+      instruments.filter((i) => i.id !== id)
+    );
+
+  const numberInput = (field, placeholder, className = "w-28") => (
+    <input
+      type="number"
+      min="0"
+      className={`${className} p-1 border rounded mr-1`}
+      placeholder={placeholder}
+      value={draft[field]}
+      onChange={(e) =>
+        setDraft({
+          ...draft,
+          [field]:
+            e.target.value === "" && BLANK_INSTRUMENT[field] === ""
+              ? ""
+              : parseFloat(e.target.value) || 0,
+        })
+      }
+    />
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 mt-4">
+      <div className="mb-4 flex justify-between items-center">
+        <h2 className="text-lg font-bold">Options, Warrants & Convertibles</h2>
+        <select
+          className="p-1 border rounded text-sm"
+          value={company.id}
+          onChange={(e) => setCompanyId(Number(e.target.value))}
+        >
+          {companies.map((c) => (
+            <option key={c.id} value={c.id}>
+              {c.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {instruments.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">
+          {company.name} has no dilutive instruments.
+        </p>
+      ) : (
+        <>
+          <ul className="text-sm mb-2">
+            {diluted.map(({ instrument, percentage }) => (
+              <li key={instrument.id} className="mb-2 flex justify-between">
+                <span>
+                  <span className="font-medium">{instrument.name}</span>
+                  <span className="text-gray-500">
+                    {" "}
+                    ({INSTRUMENT_TYPES[instrument.type].label}
+                    {instrument.holder !== undefined &&
+                      `, held by ${getEntityName(instrument.holder)}`}
+                    ) {describeTerms(instrument)}
+                  </span>
+                </span>
+                <span className="flex items-center">
+                  {percentage === null ? (
+                    <span className="text-orange-600">
+                      No valuation cap to convert at
+                    </span>
+                  ) : (
+                    <span>{percentage}% fully diluted</span>
+                  )}
+                  <button
+                    className="ml-2 text-red-600"
+                    title="Remove instrument"
+                    onClick={() => removeInstrument(instrument.id)}
+                  >
+                    ×
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-gray-600 mb-4">
+            Existing shareholders keep {parseFloat((factor * 100).toFixed(2))}%
+            of their basic ownership on a fully diluted basis.
+          </p>
+        </>
+      )}
+
+      <div className="flex flex-wrap items-center text-sm">
+        <select
+          className="p-1 border rounded mr-1"
+          value={draft.type}
+          onChange={(e) => setDraft({ ...draft, type: e.target.value })}
+        >
+          {Object.entries(INSTRUMENT_TYPES).map(([type, { label }]) => (
+            <option key={type} value={type}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          className="w-36 p-1 border rounded mr-1"
+          placeholder="Name"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        />
+        <select
+          className="p-1 border rounded mr-1"
+          value={draft.holder}
+          onChange={(e) => setDraft({ ...draft, holder: e.target.value })}
+        >
+          <option value="">No holder yet</option>
+          {entities
+            .filter((entity) => entity.id !== company.id)
+            .map((entity) => (
+              <option key={entity.id} value={entity.id}>
+                {entity.name}
+              </option>
+            ))}
+        </select>
+        {converts ? (
+          <>
+            {numberInput("principal", "Principal")}
+            {numberInput("valuationCap", "Valuation cap")}
+            {numberInput("discount", "Discount %", "w-24")}
+            {draft.type === "convertible-note" && (
+              <>
+                {numberInput("interestRate", "Interest %", "w-24")}
+                <input
+                  type="date"
+                  className="p-1 border rounded mr-1"
+                  title="Issue date"
+                  value={draft.issueDate}
+                  onChange={(e) =>
+                    setDraft({ ...draft, issueDate: e.target.value })
+                  }
+                />
+              </>
+            )}
+          </>
+        ) : (
+          <>
+            {numberInput("amount", inShares ? "Shares" : "Percentage")}
+            {numberInput("exercisePrice", "Exercise price")}
+          </>
+        )}
+        <button
+          className="px-2 py-1 bg-blue-500 text-white rounded"
+          onClick={addInstrument}
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default InstrumentsPanel;
@@ -0,0 +1,110 @@
+import React, { useEffect, useRef } from "react";
+
+const ACTIONS = [
+  ["add", "Add shareholder", (name) => `Add shareholder to ${name}`],
+  ["edit", "Edit", (name) => `Edit ${name}`],
+  ["delete", "Delete", (name) => `Delete ${name}`],
+];
+
+// The ownership chart as nested lists, for keyboard and screen reader
+// users. Each company lists the shareholders hanging below it in the chart,
+// and every entity has buttons for the actions its node offers. An entity
+// with stakes in several companies is listed once, below the same company
+// as in the chart; its description names all of its stakes.
+//
+// `tree` is the chart's tree placement and `nodes` maps the id of each
+// listed entity to { entity, info }, where `info` is what the chart shows
+// about it.
+const OwnershipTreeList = ({
+  tree,
+  nodes,
+  selectedEntityId,
+  onSelect,
+  onAction,
+}) => {
+  const selectedRef = useRef(null);
+
+  // Keep the selected entity, such as a search result, in view
+  useEffect(() => {
+    if (selectedRef.current) {
+      selectedRef.current.scrollIntoView({ block: "nearest" });
+    }
+  }, [selectedEntityId]);
+
+  const renderEntity = (id) => {
+    const { entity, info } = nodes.get(id);
+    const shareholders = (tree.childrenOf[id] || []).filter((childId) =>
+      nodes.has(childId)
+    );
+    const selected = id === selectedEntityId;
+
+    return (
+      <li key={id} className="mt-1">
+        <div
+          ref={selected ? selectedRef : null}
+          className={`flex flex-wrap items-center p-1 rounded ${
+            selected ? "bg-blue-100" : ""
+          }`}
+        >
+          <button
+            className="font-medium mr-2 hover:underline"
+            aria-current={selected || undefined}
+            aria-describedby={`entity-summary-${id}`}
+            onClick={() => onSelect(id)}
+          >
+            {entity.name}
+          </button>
+          {ACTIONS.filter(([action]) => info.actions[action]).map(
+            ([action, text, label]) => (
+              <button
+                key={action}
+                className="text-xs px-2 py-0.5 mr-1 bg-gray-200 rounded"
+                aria-label={label(entity.name)}
+                onClick={() => onAction(action, entity)}
+              >
+                {text}
+              </button>
+            )
+          )}
+          {info.actions.toggle && (
+            <button
+              className="text-xs px-2 py-0.5 mr-1 bg-gray-200 rounded"
+              aria-expanded={!info.isCollapsed}
+              aria-label={`${
+                info.isCollapsed ? "Expand" : "Collapse"
+              } shareholders of ${entity.name}`}
+              onClick={() => onAction("toggle", entity)}
+            >
+              {info.isCollapsed ? "Expand" : "Collapse"}
+            </button>
+          )}
+          <p
+            id={`entity-summary-${id}`}
+            className="w-full text-xs text-gray-600"
+          >
+            {info.label}
+          </p>
+        </div>
+        {shareholders.length > 0 && (
+          <ul
+            className="ml-6 border-l border-gray-200 pl-2"
+            aria-label={`Shareholders of ${entity.name}`}
+          >
+            {shareholders.map(renderEntity)}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <ul
+      className="p-2 max-h-[600px] overflow-auto text-sm"
+      aria-label="Ownership structure"
+    >
+      {nodes.has(tree.rootId) && renderEntity(tree.rootId)}
+    </ul>
+  );
+};
+
+export default OwnershipTreeList;
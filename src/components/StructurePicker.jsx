@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  confirmSaving,
+  createStructure,
+  deleteStructure,
+  describeApiError,
+  getStructure,
+  listStructures,
+  updateStructure,
+} from "@/lib/structuresApi";
+
+// Lets the user switch between the named structures saved on the server and
+// create, rename, duplicate or delete them. The page owns the open structure;
+// `onOpen` receives the record to show, or null for a new unsaved structure.
+const StructurePicker = ({
+  currentId,
+  currentName,
+  structure,
+  blankStructure,
+  isDirty,
+  onOpen,
+  onRename,
+}) => {
+  const [summaries, setSummaries] = useState([]);
+
+  const refresh = useCallback(async () => {
+    try {
+      setSummaries(await listStructures());
+    } catch (error) {
+      console.error("Failed to list structures", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, currentId, currentName]);
+
+  const confirmDiscard = () =>
+    !isDirty || window.confirm(`Discard unsaved changes to "${currentName}"?`);
+
+  const askName = (message, defaultName) => {
+    const name = window.prompt(message, defaultName);
+    return name && name.trim() ? name.trim() : null;
+  };
+
+  const switchTo = async (id) => {
+    if (id === currentId || !confirmDiscard()) return;
+
+    try {
+      onOpen(await getStructure(id));
+    } catch (error) {
+      alert("Could not open structure: " + describeApiError(error));
+    }
+  };
+
+  const createNew = async () => {
+    const name = askName("Name of the new structure", "Untitled structure");
+    if (!name || !confirmDiscard()) return;
+
+    try {
+      onOpen(await createStructure(name, blankStructure));
+    } catch (error) {
+      alert("Could not create structure: " + describeApiError(error));
+    }
+  };
+
+  const rename = async () => {
+    const name = askName("Rename structure", currentName);
+    if (!name || name === currentName) return;
+
+    try {
+      if (currentId) await updateStructure(currentId, { name });
+      onRename(name);
+    } catch (error) {
+      alert("Could not rename structure: " + describeApiError(error));
+    }
+  };
+
+  const duplicate = async () => {
+    const options = confirmSaving(structure);
+    if (!options) return;
+    const name = askName("Name of the copy", `Copy of ${currentName}`);
+    if (!name) return;
+
+    try {
+      onOpen(await createStructure(name, structure, options));
+    } catch (error) {
+      alert("Could not duplicate structure: " + describeApiError(error));
+    }
+  };
+
+  const remove = async () => {
+    if (!currentId) return;
+    if (!window.confirm(`Delete "${currentName}"? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await deleteStructure(currentId);
+      const remaining = summaries.filter((s) => s.id !== currentId);
+      onOpen(remaining.length > 0 ? await getStructure(remaining[0].id) : null);
+      refresh();
+    } catch (error) {
+      alert("Could not delete structure: " + describeApiError(error));
+    }
+  };
+
+  return (
+    <div className="mb-4 flex items-center text-sm">
+      <label className="mr-2 text-gray-700">Structure</label>
+      <select
+        className="p-2 border rounded mr-2 min-w-[200px]"
+        value={currentId || ""}
+        onChange={(e) => switchTo(e.target.value)}
+      >
+        {!currentId && <option value="">{currentName} (unsaved)</option>}
+        {summaries.map((summary) => (
+          <option key={summary.id} value={summary.id}>
+            {summary.name}
+          </option>
+        ))}
+      </select>
+      <button
+        className="px-3 py-2 bg-gray-200 rounded mr-2"
+        onClick={createNew}
+      >
+        New
+      </button>
+      <button className="px-3 py-2 bg-gray-200 rounded mr-2" onClick={rename}>
+        Rename
+      </button>
+      <button
+        className="px-3 py-2 bg-gray-200 rounded mr-2"
+        onClick={duplicate}
+      >
+        Duplicate
+      </button>
+      <button
+        className="px-3 py-2 bg-red-100 text-red-700 rounded disabled:opacity-50"
+        onClick={remove}
+        disabled={!currentId}
+      >
+        Delete
+      </button>
+    </div>
+  );
+};
+
+export default StructurePicker;
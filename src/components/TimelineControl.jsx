@@ -0,0 +1,71 @@
+import React from "react";
+
+// "As of" date picker with a slider that steps through every date on which
+// the structure changes. An empty `date` means today.
+const TimelineControl = ({ date, effectiveDate, changeDates, onChange }) => {
+  // Index of the last change on or before the shown date
+  const currentStep = changeDates.reduce(
+    (index, changeDate, i) => (changeDate <= effectiveDate ? i : index),
+    -1
+  );
+
+  const previousDate = [...changeDates]
+    .reverse()
+    .find((changeDate) => changeDate < effectiveDate);
+  const nextDate = changeDates.find((changeDate) => changeDate > effectiveDate);
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center text-sm text-gray-700">
+      <label className="mr-2">As of</label>
+      <input
+        type="date"
+        className="p-1 border rounded mr-2"
+        value={date}
+        onChange={(e) => onChange(e.target.value)}
+      />
+      <button
+        className="px-2 py-1 bg-gray-200 rounded mr-4 disabled:opacity-50"
+        onClick={() => onChange("")}
+        disabled={!date}
+      >
+        Today
+      </button>
+
+      {changeDates.length > 0 && (
+        <>
+          <button
+            className="px-2 py-1 bg-gray-200 rounded mr-2 disabled:opacity-50"
+            title="Previous change"
+            onClick={() => onChange(previousDate)}
+            disabled={!previousDate}
+          >
+            ◀
+          </button>
+          <input
+            type="range"
+            className="w-64 mr-2"
+            min="0"
+            max={changeDates.length - 1}
+            value={Math.max(currentStep, 0)}
+            onChange={(e) => onChange(changeDates[Number(e.target.value)])}
+          />
+          <button
+            className="px-2 py-1 bg-gray-200 rounded mr-2 disabled:opacity-50"
+            title="Next change"
+            onClick={() => onChange(nextDate)}
+            disabled={!nextDate}
+          >
+            ▶
+          </button>
+          <span className="text-gray-500">
+            {currentStep >= 0
+              ? `Change ${currentStep + 1} of ${changeDates.length}`
+              : "Before the first recorded change"}
+          </span>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TimelineControl;
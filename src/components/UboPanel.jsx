@@ -0,0 +1,93 @@
+import React from "react";
+
+const THRESHOLD_PRESETS = [10, 25, 50];
+
+const formatPercentage = (value) => `${parseFloat(value.toFixed(2))}%`;
+
+// Lists the individuals that indirectly own at least `threshold` percent of
+// the root company, with the ownership chains that produce each result
+const UboPanel = ({
+  owners,
+  threshold,
+  onThresholdChange,
+  getEntityName,
+  error,
+  solvedCrossHoldings,
+  dimension,
+}) => {
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 mt-4">
+      <div className="mb-4 flex justify-between items-center">
+        <h2 className="text-lg font-bold">
+          Ultimate Beneficial Owners
+          <span className="ml-2 text-sm font-normal text-gray-500">
+            by {dimension === "voting" ? "voting rights" : "economic interest"}
+          </span>
+        </h2>
+        <div className="flex items-center text-sm">
+          <span className="mr-2">Threshold</span>
+          {THRESHOLD_PRESETS.map((preset) => (
+            <button
+              key={preset}
+              className={`px-2 py-1 rounded mr-1 ${
+                threshold === preset
+                  ? "bg-purple-600 text-white"
+                  : "bg-gray-200 text-gray-800"
+              }`}
+              onClick={() => onThresholdChange(preset)}
+            >
+              {preset}%
+            </button>
+          ))}
+          <input
+            type="number"
+            min="0"
+            max="100"
+            className="w-20 p-1 border rounded ml-1"
+            value={threshold}
+            onChange={(e) => onThresholdChange(parseFloat(e.target.value) || 0)}
+          />
+        </div>
+      </div>
+
+      {solvedCrossHoldings && !error && (
+        <p className="text-xs text-gray-500 mb-2">
+          Effective ownership is solved including the circular holdings; the
+          chains below show the direct routes only.
+        </p>
+      )}
+
+      {error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : owners.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No individual owns {threshold}% or more of the root company.
+        </p>
+      ) : (
+        <ul>
+          {owners.map(({ entity, effective, paths }) => (
+            <li key={entity.id} className="mb-3">
+              <div className="flex justify-between font-medium">
+                <span>{entity.name}</span>
+                <span className="text-purple-700">
+                  {formatPercentage(effective)}
+                </span>
+              </div>
+              {paths.map((path) => (
+                <div
+                  key={path.chain.join("-")}
+                  className="text-xs text-gray-500 flex justify-between"
+                >
+                  <span>{path.chain.map(getEntityName).join(" → ")}</span>
+                  <span>{formatPercentage(path.percentage)}</span>
+                </div>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default UboPanel;
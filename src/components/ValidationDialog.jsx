@@ -0,0 +1,114 @@
+import React from "react";
+
+const RULE_LABELS = {
+  format: "Format",
+  "entity-id": "Missing id",
+  "duplicate-id": "Duplicate id",
+  "entity-name": "Missing name",
+  "entity-type": "Entity type",
+  "entity-profile": "Profile",
+  "holding-reference": "Unknown entity",
+  "percentage-range": "Percentage range",
+  "effective-date": "Effective date",
+  "duplicate-holding": "Duplicate stake",
+  "percentage-sum": "Over 100%",
+  "voting-sum": "Votes over 100%",
+  "share-count": "Share count",
+  instrument: "Instrument",
+  "single-root": "Root company",
+  "circular-holding": "Circular holding",
+};
+
+// Lists the problems found in a structure that is being imported or loaded
+// and lets the user cancel, repair the safe cases automatically or go ahead
+// despite warnings. Errors must be fixed before going ahead.
+const ValidationDialog = ({
+  title,
+  problems,
+  fixes,
+  onCancel,
+  onAutoFix,
+  onAccept,
+}) => {
+  const errors = problems.filter((p) => p.severity === "error");
+  const fixable = problems.some((p) => p.fixable);
+
+  return (
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-[40rem] max-h-[90vh] flex flex-col">
+        <h3 className="text-lg font-bold mb-1">{title}</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {errors.length > 0
+            ? `${errors.length} error(s) must be fixed before the structure can be used.`
+            : problems.length > 0
+              ? `${problems.length} warning(s). The structure can be used, but may not add up.`
+              : "Every problem has been fixed."}
+        </p>
+
+        {fixes.length > 0 && (
+          <div className="mb-4 p-2 rounded bg-green-50 text-sm text-green-800">
+            <div className="font-medium mb-1">Fixed automatically:</div>
+            <ul>
+              {fixes.map((fix, i) => (
+                <li key={i}>{fix}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <ul className="mb-4 overflow-auto text-sm">
+          {problems.map((problem, i) => (
+            <li key={i} className="mb-1 flex">
+              <span
+                className={`w-32 shrink-0 font-medium ${
+                  problem.severity === "error"
+                    ? "text-red-700"
+                    : "text-orange-600"
+                }`}
+              >
+                {RULE_LABELS[problem.rule] || problem.rule}
+              </span>
+              <span>
+                {problem.message}
+                {problem.fixable && (
+                  <span className="ml-1 text-xs text-green-700">
+                    (can be fixed automatically)
+                  </span>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex justify-end">
+          <button
+            className="px-4 py-2 bg-gray-300 text-gray-800 rounded mr-2"
+            onClick={onCancel}
+          >
+            Cancel
+          </button>
+          {fixable && (
+            <button
+              className="px-4 py-2 bg-green-500 text-white rounded mr-2"
+              onClick={onAutoFix}
+            >
+              Fix Automatically
+            </button>
+          )}
+          <button
+            className="px-4 py-2 bg-blue-500 text-white rounded disabled:opacity-50"
+            disabled={errors.length > 0}
+            title={
+              errors.length > 0 ? "Fix the errors first" : "Continue anyway"
+            }
+            onClick={onAccept}
+          >
+            {problems.length > 0 ? "Continue with Warnings" : "Continue"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ValidationDialog;
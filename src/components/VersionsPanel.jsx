@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  confirmSaving,
+  createVersion,
+  deleteVersion,
+  describeApiError,
+  getVersion,
+  listVersions,
+} from "@/lib/structuresApi";
+
+const CURRENT = "current";
+
+const STATUS_COLORS = {
+  added: "text-green-700",
+  removed: "text-red-700",
+  changed: "text-orange-600",
+};
+
+// Labeled snapshots of the open structure, and a comparison between any two
+// of them (or a snapshot and the current edits). The page renders the
+// comparison in the chart; `diff` is the comparison currently shown.
+const VersionsPanel = ({
+  structureId,
+  structure,
+  diff,
+  onCompare,
+  getEntityName,
+}) => {
+  const [versions, setVersions] = useState([]);
+  const [beforeId, setBeforeId] = useState("");
+  const [afterId, setAfterId] = useState(CURRENT);
+
+  const refresh = useCallback(async () => {
+    if (!structureId) {
+      setVersions([]);
+      return;
+    }
+    try {
+      setVersions(await listVersions(structureId));
+    } catch (error) {
+      console.error("Failed to list versions", error);
+    }
+  }, [structureId]);
+
+  useEffect(() => {
+    refresh();
+    setBeforeId("");
+    setAfterId(CURRENT);
+  }, [refresh]);
+
+  const saveVersion = async () => {
+    const options = confirmSaving(structure);
+    if (!options) return;
+    const label = window.prompt(
+      "Label for this version",
+      new Date().toLocaleDateString()
+    );
+    if (!label || !label.trim()) return;
+
+    try {
+      await createVersion(structureId, label.trim(), structure, options);
+      refresh();
+    } catch (error) {
+      alert("Could not save version: " + describeApiError(error));
+    }
+  };
+
+  const removeVersion = async (version) => {
+    if (!window.confirm(`Delete version "${version.label}"?`)) return;
+
+    try {
+      await deleteVersion(structureId, version.id);
+      if (beforeId === version.id) setBeforeId("");
+      if (afterId === version.id) setAfterId(CURRENT);
+      refresh();
+    } catch (error) {
+      alert("Could not delete version: " + describeApiError(error));
+    }
+  };
+
+  const loadSide = async (id) => {
+    if (id === CURRENT) return { label: "Current", structure };
+    const version = await getVersion(structureId, id);
+    return { label: version.label, structure: version.structure };
+  };
+
+  const compare = async () => {
+    if (!beforeId || beforeId === afterId) {
+      alert("Pick two different versions to compare.");
+      return;
+    }
+
+    try {
+      const [before, after] = await Promise.all([
+        loadSide(beforeId),
+        loadSide(afterId),
+      ]);
+      onCompare({
+        before: before.structure,
+        after: after.structure,
+        beforeLabel: before.label,
+        afterLabel: after.label,
+      });
+    } catch (error) {
+      alert("Could not load versions: " + describeApiError(error));
+    }
+  };
+
+  const versionOptions = (includeCurrent) => (
+    <>
+      {includeCurrent && <option value={CURRENT}>Current</option>}
+      {versions.map((version) => (
+        <option key={version.id} value={version.id}>
+          {version.label}
+        </option>
+      ))}
+    </>
+  );
+
+  const describeHolding = (h) =>
+    `${getEntityName(h.holder)} in ${getEntityName(h.held)}`;
+
+  if (!structureId) {
+    return (
+      <div className="bg-white rounded-lg shadow-lg p-4 mt-4">
+        <h2 className="text-lg font-bold mb-2">Versions</h2>
+        <p className="text-sm text-gray-500">
+          Save the structure to start keeping versions.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 mt-4">
+      <div className="mb-4 flex justify-between items-center">
+        <h2 className="text-lg font-bold">Versions</h2>
+        <button
+          className="px-3 py-1 bg-blue-500 text-white rounded text-sm"
+          onClick={saveVersion}
+        >
+          Save version
+        </button>
+      </div>
+
+      {versions.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No versions saved yet.</p>
+      ) : (
+        <ul className="mb-4 text-sm">
+          {versions.map((version) => (
+            <li key={version.id} className="flex justify-between mb-1">
+              <span>
+                {version.label}
+                <span className="ml-2 text-gray-400">
+                  {new Date(version.createdAt).toLocaleString()}
+                </span>
+              </span>
+              <button
+                className="text-red-500"
+                title="Delete version"
+                onClick={() => removeVersion(version)}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex items-center text-sm mb-2">
+        <span className="mr-2">Compare</span>
+        <select
+          className="p-1 border rounded mr-2"
+          value={beforeId}
+          onChange={(e) => setBeforeId(e.target.value)}
+        >
+          <option value="">Select version</option>
+          {versionOptions(false)}
+        </select>
+        <span className="mr-2">with</span>
+        <select
+          className="p-1 border rounded mr-2"
+          value={afterId}
+          onChange={(e) => setAfterId(e.target.value)}
+        >
+          {versionOptions(true)}
+        </select>
+        <button
+          className="px-3 py-1 bg-gray-200 rounded mr-2"
+          onClick={compare}
+        >
+          Compare
+        </button>
+        {diff && (
+          <button
+            className="px-3 py-1 bg-gray-200 rounded"
+            onClick={() => onCompare(null)}
+          >
+            Exit comparison
+          </button>
+        )}
+      </div>
+
+      {diff && (
+        <ul className="text-sm">
+          {diff.entities.added.map((e) => (
+            <li key={`ea-${e.id}`} className={STATUS_COLORS.added}>
+              + {e.name} added
+            </li>
+          ))}
+          {diff.entities.removed.map((e) => (
+            <li key={`er-${e.id}`} className={STATUS_COLORS.removed}>
+              − {e.name} removed
+            </li>
+          ))}
+          {diff.entities.changed.map(({ before, after, fields }) => (
+            <li key={`ec-${after.id}`} className={STATUS_COLORS.changed}>
+              ~ {after.name}:{" "}
+              {fields
+                .map((field) => `${field} ${before[field]} → ${after[field]}`)
+                .join(", ")}
+            </li>
+          ))}
+          {diff.holdings.added.map((h) => (
+            <li
+              key={`ha-${h.holder}-${h.held}`}
+              className={STATUS_COLORS.added}
+            >
+              + {describeHolding(h)}: {h.percentage}%
+            </li>
+          ))}
+          {diff.holdings.removed.map((h) => (
+            <li
+              key={`hr-${h.holder}-${h.held}`}
+              className={STATUS_COLORS.removed}
+            >
+              − {describeHolding(h)}: {h.percentage}%
+            </li>
+          ))}
+          {diff.holdings.changed.map(({ before, after }) => (
+            <li
+              key={`hc-${after.holder}-${after.held}`}
+              className={STATUS_COLORS.changed}
+            >
+              ~ {describeHolding(after)}: {before.percentage}% →{" "}
+              {after.percentage}%
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default VersionsPanel;
@@ -0,0 +1,186 @@
+import { useRef } from "react";
+import * as d3 from "d3";
+
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 4;
+const MINIMAP_WIDTH = 180;
+const MINIMAP_HEIGHT = 120;
+const TRANSITION_MS = 400;
+
+// Pan and zoom for the ownership chart, with a minimap of the whole chart.
+// The chart draws its content into a viewport group and hands it to
+// `attach` together with the node positions after every render; the zoom
+// transform lives on the SVG element, so it survives re-renders.
+export const useChartZoom = (svgRef, minimapRef) => {
+  const zoomRef = useRef(null);
+  const layoutRef = useRef(null); // { positions, bounds } of the last render
+
+  const viewportSize = () => {
+    const { width, height } = svgRef.current.getBoundingClientRect();
+    return { width, height };
+  };
+
+  // Move the minimap's viewport rectangle to the visible part of the chart
+  const updateMinimap = (transform) => {
+    if (!minimapRef.current || !layoutRef.current) return;
+
+    const { bounds, minimapScale } = layoutRef.current;
+    const { width, height } = viewportSize();
+    d3.select(minimapRef.current)
+      .select(".minimap-viewport")
+      .attr("x", (-transform.x / transform.k - bounds.x) * minimapScale)
+      .attr("y", (-transform.y / transform.k - bounds.y) * minimapScale)
+      .attr("width", (width / transform.k) * minimapScale)
+      .attr("height", (height / transform.k) * minimapScale);
+  };
+
+  const applyTransform = (transform, animate = true) => {
+    if (!svgRef.current || !zoomRef.current) return;
+
+    const svg = d3.select(svgRef.current);
+    (animate ? svg.transition().duration(TRANSITION_MS) : svg).call(
+      zoomRef.current.transform,
+      transform
+    );
+  };
+
+  // A transform that puts the chart point (x, y) in the middle of the view
+  const centerOn = (x, y, scale) => {
+    const { width, height } = viewportSize();
+    return d3.zoomIdentity
+      .translate(width / 2, height / 2)
+      .scale(scale)
+      .translate(-x, -y);
+  };
+
+  // Draw the minimap, reusing the rectangles of the last one
+  const drawMinimap = (positions, bounds, nodeWidth, nodeHeight) => {
+    const minimap = d3.select(minimapRef.current);
+
+    const minimapScale = Math.min(
+      MINIMAP_WIDTH / bounds.width,
+      MINIMAP_HEIGHT / bounds.height
+    );
+    layoutRef.current.minimapScale = minimapScale;
+
+    minimap
+      .attr("width", bounds.width * minimapScale)
+      .attr("height", bounds.height * minimapScale);
+
+    minimap
+      .selectAll("g.minimap-nodes")
+      .data([null])
+      .join("g")
+      .attr("class", "minimap-nodes")
+      .selectAll("rect")
+      .data(Object.values(positions))
+      .join("rect")
+      .attr("x", (p) => (p.x - nodeWidth / 2 - bounds.x) * minimapScale)
+      .attr("y", (p) => (p.y - nodeHeight / 2 - bounds.y) * minimapScale)
+      .attr("width", nodeWidth * minimapScale)
+      .attr("height", nodeHeight * minimapScale)
+      .attr("fill", "#90a4ae");
+
+    minimap
+      .selectAll("rect.minimap-viewport")
+      .data([null])
+      .join("rect")
+      .attr("class", "minimap-viewport")
+      .attr("fill", "rgba(33, 150, 243, 0.15)")
+      .attr("stroke", "#2196f3")
+      .attr("stroke-width", 1.5);
+
+    // Clicking or dragging on the minimap moves the view there
+    const moveTo = (event) => {
+      const [mx, my] = d3.pointer(event, minimapRef.current);
+      const { k } = d3.zoomTransform(svgRef.current);
+      applyTransform(
+        centerOn(bounds.x + mx / minimapScale, bounds.y + my / minimapScale, k),
+        false
+      );
+    };
+    minimap.on("click", moveTo).call(d3.drag().on("start drag", moveTo));
+  };
+
+  // Wire up zooming for a freshly drawn chart. `viewport` is the group
+  // holding the chart content; `positions` maps entity ids to node centres.
+  // `onZoom`, if given, is called with the new transform as the view moves.
+  const attach = (
+    viewport,
+    positions,
+    nodeWidth,
+    nodeHeight,
+    { onZoom } = {}
+  ) => {
+    const svg = d3.select(svgRef.current);
+
+    const points = Object.values(positions);
+    if (points.length === 0) return;
+    const x0 = d3.min(points, (p) => p.x) - nodeWidth / 2 - 20;
+    const y0 = d3.min(points, (p) => p.y) - nodeHeight / 2 - 20;
+    const x1 = d3.max(points, (p) => p.x) + nodeWidth / 2 + 20;
+    const y1 = d3.max(points, (p) => p.y) + nodeHeight / 2 + 20;
+    const bounds = { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+    layoutRef.current = { positions, bounds };
+
+    if (!zoomRef.current) {
+      zoomRef.current = d3.zoom().scaleExtent([MIN_SCALE, MAX_SCALE]);
+    }
+    zoomRef.current.on("zoom", (event) => {
+      viewport.attr("transform", event.transform);
+      updateMinimap(event.transform);
+      if (onZoom) onZoom(event.transform);
+    });
+    svg.call(zoomRef.current).on("dblclick.zoom", null);
+
+    const transform = d3.zoomTransform(svgRef.current);
+    viewport.attr("transform", transform);
+    if (minimapRef.current) {
+      drawMinimap(positions, bounds, nodeWidth, nodeHeight);
+      updateMinimap(transform);
+    }
+  };
+
+  const zoomBy = (factor) => {
+    if (!svgRef.current || !zoomRef.current) return;
+    d3.select(svgRef.current)
+      .transition()
+      .duration(TRANSITION_MS)
+      .call(zoomRef.current.scaleBy, factor);
+  };
+
+  const zoomIn = () => zoomBy(1.25);
+  const zoomOut = () => zoomBy(0.8);
+
+  const reset = () => applyTransform(d3.zoomIdentity);
+
+  // Scale the whole chart to fit the visible area
+  const fitToScreen = () => {
+    if (!layoutRef.current) return;
+
+    const { bounds } = layoutRef.current;
+    const { width, height } = viewportSize();
+    const scale = Math.max(
+      MIN_SCALE,
+      Math.min(
+        MAX_SCALE,
+        Math.min(width / bounds.width, height / bounds.height)
+      )
+    );
+    applyTransform(
+      centerOn(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2, scale)
+    );
+  };
+
+  // Centre the view on an entity, zooming in if the chart is zoomed far out
+  const zoomToNode = (id) => {
+    if (!svgRef.current || !layoutRef.current) return;
+    if (!layoutRef.current.positions[id]) return;
+
+    const { x, y } = layoutRef.current.positions[id];
+    const { k } = d3.zoomTransform(svgRef.current);
+    applyTransform(centerOn(x, y, Math.max(k, 1)));
+  };
+
+  return { attach, zoomIn, zoomOut, reset, fitToScreen, zoomToNode };
+};
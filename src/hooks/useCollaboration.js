@@ -0,0 +1,243 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  COLLAB_PATH,
+  applyOps,
+  changesToOps,
+  isUser,
+  materialize,
+  readDoc,
+  structureChanges,
+  withPerUserFields,
+} from "@/lib/collab";
+
+const RECONNECT_MS = 2000;
+const NOT_FOUND = 4404;
+const USER_KEY = "collabUser";
+const COLORS = [
+  "#e91e63",
+  "#3f51b5",
+  "#009688",
+  "#ff5722",
+  "#795548",
+  "#607d8b",
+];
+
+// The name and color this browser is shown with to others, kept between
+// visits
+const loadUser = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(USER_KEY));
+    if (saved && saved.name) return saved;
+  } catch {
+    // Fall through to a new name
+  }
+  const user = {
+    name: `Guest ${Math.floor(100 + Math.random() * 900)}`,
+    color: COLORS[Math.floor(Math.random() * COLORS.length)],
+  };
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+  return user;
+};
+
+const send = (link, message) => {
+  const { socket } = link;
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+// Take in the document's structure after ops were applied to it, passing
+// on whatever differs from the structure shown here
+const refresh = (link) => {
+  const { replica } = link;
+  const { structure: shared, tags } = materialize(replica.doc);
+  const merged = withPerUserFields(shared, link.structure);
+  replica.tags = tags;
+  link.setEntityIds((ids) =>
+    ids.size === tags.entity.size &&
+    [...tags.entity].every(([id, tag]) => ids.get(tag) === id)
+      ? ids
+      : new Map([...tags.entity].map(([id, tag]) => [tag, id]))
+  );
+
+  const changes = structureChanges(link.structure, merged);
+  if (changes.length > 0) {
+    replica.synced = merged;
+    link.onRemoteChange(merged, changes);
+  } else {
+    replica.synced = link.structure;
+  }
+};
+
+// Send the changes made here since the structure was last synced
+const flush = (link) => {
+  const { replica } = link;
+  if (!replica || link.structure === replica.synced) return;
+
+  const changes = structureChanges(replica.synced, link.structure);
+  if (changes.length === 0) {
+    replica.synced = link.structure;
+    return;
+  }
+  const ops = changesToOps(replica.doc, replica.tags, changes, replica.peerId);
+  applyOps(replica.doc, ops);
+  send(link, { type: "ops", ops });
+  refresh(link);
+};
+
+// Live editing of the saved structure `structureId` with everyone else who
+// has it open, in this browser's other tabs or elsewhere. Changes to
+// `structure` are sent as they are made; changes from others are passed to
+// `onRemoteChange(structure, changes)`, with the field-by-field `changes`
+// from the structure shown here so the undo history can take them in.
+// `selectedEntityId` and `editingEntityId` tell the others which entity
+// this user is on.
+//
+// Returns the other people connected, with the entities they are on, and
+// this user's name and color.
+export const useCollaboration = (
+  structureId,
+  structure,
+  onRemoteChange,
+  { selectedEntityId = null, editingEntityId = null } = {}
+) => {
+  const [user, setUser] = useState(null);
+  const [peers, setPeers] = useState([]);
+  const [connected, setConnected] = useState(false);
+  // This user's id in the session, and the entity ids by tag
+  const [peerId, setPeerId] = useState(null);
+  const [entityIds, setEntityIds] = useState(new Map());
+  // The connection: { socket, replica, structure, onRemoteChange }, where
+  // the replica is { doc, tags, synced, peerId } and `synced` is the
+  // last structure sent or received
+  const linkRef = useRef({ socket: null, replica: null });
+  linkRef.current.structure = structure;
+  linkRef.current.onRemoteChange = onRemoteChange;
+  linkRef.current.setEntityIds = setEntityIds;
+
+  useEffect(() => setUser(loadUser()), []);
+
+  useEffect(() => {
+    if (!structureId) return;
+
+    const link = linkRef.current;
+    let closed = false;
+    let retry = null;
+    // The structure as last synced, to send what was changed here while
+    // the connection was down once it is back
+    let offlineBase = null;
+
+    const receive = (message) => {
+      if (message.type === "snapshot") {
+        const replica = {
+          doc: readDoc(message.doc),
+          peerId: message.peerId,
+          synced: link.structure,
+        };
+        link.replica = replica;
+        if (offlineBase) {
+          const changes = structureChanges(offlineBase, link.structure);
+          const { tags } = materialize(replica.doc);
+          const ops = changesToOps(replica.doc, tags, changes, replica.peerId);
+          applyOps(replica.doc, ops);
+          if (ops.length > 0) send(link, { type: "ops", ops });
+          offlineBase = null;
+        }
+        refresh(link);
+        setPeerId(message.peerId);
+        setConnected(true);
+      } else if (message.type === "ops" && link.replica) {
+        flush(link);
+        applyOps(link.replica.doc, message.ops);
+        refresh(link);
+      } else if (message.type === "presence") {
+        setPeers(message.peers);
+      }
+    };
+
+    const connect = async () => {
+      try {
+        // Starts the live editing server if this is the first connection
+        await fetch("/api/collab");
+      } catch {
+        // The WebSocket below fails too, and is retried
+      }
+      if (closed) return;
+
+      const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+      const socket = new WebSocket(
+        `${protocol}//${window.location.host}${COLLAB_PATH}?structure=${encodeURIComponent(structureId)}`
+      );
+      link.socket = socket;
+      socket.onmessage = (event) => receive(JSON.parse(event.data));
+      socket.onclose = (event) => {
+        if (link.replica) offlineBase = link.replica.synced;
+        disconnect();
+        if (!closed && event.code !== NOT_FOUND) {
+          retry = setTimeout(connect, RECONNECT_MS);
+        }
+      };
+    };
+
+    // Forget the session at once, so nothing made after this is sent to it
+    const disconnect = () => {
+      link.socket = null;
+      link.replica = null;
+      setConnected(false);
+      setPeers([]);
+    };
+
+    connect();
+    return () => {
+      closed = true;
+      clearTimeout(retry);
+      if (link.socket) {
+        link.socket.onclose = null;
+        link.socket.onmessage = null;
+        link.socket.close();
+      }
+      disconnect();
+    };
+  }, [structureId]);
+
+  // Send each change as it is made
+  useEffect(() => {
+    if (connected) flush(linkRef.current);
+  }, [structure, connected]);
+
+  // Tell the others where this user is
+  useEffect(() => {
+    const link = linkRef.current;
+    if (!connected || !link.replica || !user) return;
+    const { entity } = link.replica.tags;
+    send(link, {
+      type: "presence",
+      user,
+      selected: entity.get(selectedEntityId) || null,
+      editing: entity.get(editingEntityId) || null,
+    });
+  }, [connected, user, selectedEntityId, editingEntityId, structure]);
+
+  const rename = (name) => {
+    const renamed = { ...user, name };
+    localStorage.setItem(USER_KEY, JSON.stringify(renamed));
+    setUser(renamed);
+  };
+
+  // The others, with the entities they are on by id. Peers are shown only
+  // once they have sent a well-formed name and color.
+  const others = useMemo(() => {
+    const entityOf = (tag) => (tag && entityIds.get(tag)) ?? null;
+    return (Array.isArray(peers) ? peers : [])
+      .filter((peer) => peer && peer.id !== peerId && isUser(peer.user))
+      .map((peer) => ({
+        id: peer.id,
+        name: peer.user.name,
+        color: peer.user.color,
+        selectedEntityId: entityOf(peer.selected),
+        editingEntityId: entityOf(peer.editing),
+      }));
+  }, [peers, peerId, entityIds]);
+
+  return { connected, user, rename, peers: others };
+};
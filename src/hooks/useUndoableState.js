@@ -0,0 +1,118 @@
+import { useCallback, useEffect, useReducer } from "react";
+
+const DEFAULT_LIMIT = 100;
+
+const reducer = (history, action) => {
+  const { past, present, future } = history;
+
+  switch (action.type) {
+    case "set": {
+      const next =
+        typeof action.value === "function"
+          ? action.value(present)
+          : action.value;
+      if (next === present) return history;
+
+      return {
+        past: [...past, present].slice(-action.limit),
+        present: next,
+        future: [],
+      };
+    }
+    case "reset":
+      return { past: [], present: action.value, future: [] };
+    case "rebase":
+      return {
+        past: past.map(action.transform),
+        present:
+          typeof action.value === "function"
+            ? action.value(present)
+            : action.value,
+        future: future.map(action.transform),
+      };
+    case "undo":
+      if (past.length === 0) return history;
+      return {
+        past: past.slice(0, -1),
+        present: past[past.length - 1],
+        future: [present, ...future],
+      };
+    case "redo":
+      if (future.length === 0) return history;
+      return {
+        past: [...past, present],
+        present: future[0],
+        future: future.slice(1),
+      };
+    default:
+      return history;
+  }
+};
+
+// Like useState, but every `set` is recorded so it can be undone and redone.
+// `reset` replaces the state and clears the history, e.g. when opening a
+// different document. `rebase` takes in a change made elsewhere, such as by
+// another user or by saving: it replaces the state without recording a step
+// and applies `transform` to every undo and redo step, so undoing keeps the
+// change. At most `limit` undo steps are kept.
+export const useUndoableState = (initialState, limit = DEFAULT_LIMIT) => {
+  const [history, dispatch] = useReducer(reducer, {
+    past: [],
+    present: initialState,
+    future: [],
+  });
+
+  const set = useCallback(
+    (value) => dispatch({ type: "set", value, limit }),
+    [limit]
+  );
+  const reset = useCallback((value) => dispatch({ type: "reset", value }), []);
+  const rebase = useCallback(
+    (value, transform) => dispatch({ type: "rebase", value, transform }),
+    []
+  );
+  const undo = useCallback(() => dispatch({ type: "undo" }), []);
+  const redo = useCallback(() => dispatch({ type: "redo" }), []);
+
+  return {
+    state: history.present,
+    set,
+    reset,
+    rebase,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+};
+
+// Bind Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) to undo and redo. Form fields keep
+// their own native undo.
+export const useUndoShortcuts = (undo, redo) => {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+
+      const target = event.target;
+      if (
+        target &&
+        (target.isContentEditable ||
+          ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+      ) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo]);
+};
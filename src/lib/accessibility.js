@@ -0,0 +1,131 @@
+import { findEntity } from "./structureIndex.js";
+
+// Keyboard and screen reader access to the ownership chart. A tree here is
+// { rootId, parentById, childrenOf } as placed by `treePlacement`: each
+// entity hangs below one company, and a company's shareholders are listed
+// in chart order.
+
+// Keys for working on the focused entity. Modified keys are left to the
+// browser and the undo shortcuts.
+export const NODE_SHORTCUTS = {
+  a: "add",
+  e: "edit",
+  Enter: "edit",
+  Delete: "delete",
+  c: "toggle",
+};
+
+// What the arrow keys do in each orientation: towards the company a node
+// hangs below, to its first shareholder, or along its siblings
+const ARROW_MOVES = {
+  "top-down": {
+    ArrowUp: "parent",
+    ArrowDown: "child",
+    ArrowLeft: "previous",
+    ArrowRight: "next",
+  },
+  "bottom-up": {
+    ArrowDown: "parent",
+    ArrowUp: "child",
+    ArrowLeft: "previous",
+    ArrowRight: "next",
+  },
+  "left-to-right": {
+    ArrowLeft: "parent",
+    ArrowRight: "child",
+    ArrowUp: "previous",
+    ArrowDown: "next",
+  },
+};
+
+// The move a key press asks for, if any; Home goes to the root
+export const keyMove = (event, orientation = "top-down") => {
+  if (event.ctrlKey || event.metaKey || event.altKey) return null;
+  if (event.key === "Home") return "root";
+  return ARROW_MOVES[orientation][event.key] || null;
+};
+
+// The action a key press asks for, if any
+export const keyAction = (event) => {
+  if (event.ctrlKey || event.metaKey || event.altKey) return null;
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  return NODE_SHORTCUTS[key] || null;
+};
+
+// The entity reached from `id` by `move`, or `id` itself when there is
+// nowhere to go
+export const treeStep = ({ rootId, parentById, childrenOf }, id, move) => {
+  if (move === "root") return rootId;
+  if (move === "parent") return id in parentById ? parentById[id] : id;
+  if (move === "child") {
+    const children = childrenOf[id];
+    return children && children.length > 0 ? children[0] : id;
+  }
+
+  if (!(id in parentById)) return id;
+  const siblings = childrenOf[parentById[id]];
+  const index = siblings.indexOf(id) + (move === "next" ? 1 : -1);
+  return index >= 0 && index < siblings.length ? siblings[index] : id;
+};
+
+// The level of every entity in the tree, the root being level 1, and its
+// position among the shareholders of the same company, for aria-level,
+// aria-posinset and aria-setsize
+export const treePositions = ({ rootId, childrenOf }) => {
+  const positions = new Map([[rootId, { level: 1, position: 1, setSize: 1 }]]);
+  const queue = [rootId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const children = childrenOf[id] || [];
+    children.forEach((childId, i) => {
+      positions.set(childId, {
+        level: positions.get(id).level + 1,
+        position: i + 1,
+        setSize: children.length,
+      });
+      queue.push(childId);
+    });
+  }
+  return positions;
+};
+
+const formatPercentage = (value) => `${parseFloat(value.toFixed(4))}%`;
+
+// A sentence or two describing an entity and its ownership, read out by
+// screen readers in place of the node's drawing. `stakes` are its holdings
+// in other companies, `percentageSum` what its own shareholders hold.
+export const describeEntity = (
+  structure,
+  entity,
+  { typeLabel, isRoot, stakes, percentageSum, takesShareholders, ubo, hidden }
+) => {
+  const parts = [`${entity.name}, ${typeLabel}${isRoot ? ", root" : ""}`];
+
+  if (stakes.length > 0) {
+    const held = stakes.map((holding) => {
+      const company = findEntity(structure, holding.held);
+      return `${formatPercentage(holding.percentage)} of ${
+        company ? company.name : `#${holding.held}`
+      }`;
+    });
+    parts.push(`Holds ${held.join(", ")}`);
+  }
+
+  if (takesShareholders) {
+    parts.push(
+      Math.abs(100 - percentageSum) < 0.001
+        ? "Fully owned by its shareholders"
+        : percentageSum === 0
+          ? "No shareholders"
+          : `Shareholders hold ${formatPercentage(
+              percentageSum
+            )}, ${formatPercentage(100 - percentageSum)} remaining`
+    );
+  }
+  if (ubo !== undefined && ubo !== null) {
+    parts.push(`Ultimate beneficial owner of ${formatPercentage(ubo)}`);
+  }
+  if (hidden) parts.push(`Collapsed, ${hidden} shareholders hidden`);
+
+  return `${parts.join(". ")}.`;
+};
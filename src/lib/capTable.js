@@ -0,0 +1,117 @@
+import { allocatedPercentage } from "./timeline.js";
+
+// Share-count (cap table) mode. A company in share-count mode carries its
+// share classes as `shareClasses: [{ id, name, issued, votesPerShare }]`,
+// and each holding in it records `shares: { [classId]: count }`. The
+// holding's `percentage` and `votingPercentage` are then derived from the
+// share counts instead of being typed in.
+
+export const isShareMode = (entity) =>
+  Boolean(entity && Array.isArray(entity.shareClasses) && entity.shareMode);
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+export const totalIssued = (company) =>
+  (company.shareClasses || []).reduce((sum, c) => sum + (c.issued || 0), 0);
+
+const totalVotes = (company) =>
+  (company.shareClasses || []).reduce(
+    (sum, c) => sum + (c.issued || 0) * (c.votesPerShare ?? 1),
+    0
+  );
+
+export const sharesHeld = (holding, classId) =>
+  (holding.shares && holding.shares[classId]) || 0;
+
+// The most shares of a class in `heldId` allocated at any moment within
+// `range` by holdings other than `excludeId`
+export const allocatedShares = (holdings, heldId, classId, range, excludeId) =>
+  allocatedPercentage(
+    holdings.map((h) => ({ ...h, percentage: sharesHeld(h, classId) })),
+    heldId,
+    range,
+    excludeId
+  );
+
+// The economic and voting percentages a holding's share counts give it in
+// `company`. Economic interest is the holding's share of all issued shares;
+// votes weigh each class by its votes per share.
+export const derivePercentages = (company, holding) => {
+  const issued = totalIssued(company);
+  const votes = totalVotes(company);
+  const classes = company.shareClasses || [];
+
+  const held = classes.reduce((sum, c) => sum + sharesHeld(holding, c.id), 0);
+  const heldVotes = classes.reduce(
+    (sum, c) => sum + sharesHeld(holding, c.id) * (c.votesPerShare ?? 1),
+    0
+  );
+
+  const percentage = issued > 0 ? round((held / issued) * 100) : 0;
+  const votingPercentage = votes > 0 ? round((heldVotes / votes) * 100) : 0;
+
+  return { percentage, votingPercentage };
+};
+
+// The structure with every holding in a share-count company given the
+// percentages its share counts produce. Votes are only stored separately
+// when they differ from the economic interest.
+export const applyShareCounts = (structure) => {
+  const companies = {};
+  structure.entities.forEach((entity) => {
+    if (isShareMode(entity)) companies[entity.id] = entity;
+  });
+
+  return {
+    ...structure,
+    holdings: structure.holdings.map((holding) => {
+      const company = companies[holding.held];
+      if (!company) return holding;
+
+      const { votingPercentage, ...rest } = holding;
+      const derived = derivePercentages(company, holding);
+      return {
+        ...rest,
+        percentage: derived.percentage,
+        ...(derived.votingPercentage !== derived.percentage && {
+          votingPercentage: derived.votingPercentage,
+        }),
+      };
+    }),
+  };
+};
+
+// The next free share class id within a company
+export const nextClassId = (company) =>
+  Math.max(0, ...(company.shareClasses || []).map((c) => c.id)) + 1;
+
+// Switch a company to share-count mode. A company without share classes gets
+// a single ordinary class, and its shareholders are given share counts
+// matching their current percentages, so the derived figures start out
+// where the typed-in ones were.
+export const enableShareMode = (structure, companyId, issued = 1000000) => {
+  const company = structure.entities.find((e) => e.id === companyId);
+  const hasClasses = company.shareClasses && company.shareClasses.length > 0;
+  const shareClasses = hasClasses
+    ? company.shareClasses
+    : [{ id: 1, name: "Ordinary", issued, votesPerShare: 1 }];
+
+  return applyShareCounts({
+    ...structure,
+    entities: structure.entities.map((entity) =>
+      entity.id === companyId
+        ? { ...entity, shareMode: true, shareClasses }
+        : entity
+    ),
+    holdings: structure.holdings.map((holding) =>
+      holding.held === companyId && !hasClasses
+        ? {
+            ...holding,
+            shares: {
+              1: Math.round(((holding.percentage || 0) / 100) * issued),
+            },
+          }
+        : holding
+    ),
+  });
+};
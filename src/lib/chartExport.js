@@ -0,0 +1,259 @@
+// Export of the rendered ownership chart as SVG, PNG or PDF. The exported
+// chart is a standalone copy of the on-screen SVG with every style inlined,
+// the interactive node buttons (marked with the `node-action` class) left
+// out, an optional title and date above it and the legend below it.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Presentation properties copied from the page's computed styles, so the
+// export looks the same without the page's stylesheets
+const INLINED_STYLES = [
+  "fill",
+  "fill-opacity",
+  "stroke",
+  "stroke-width",
+  "stroke-dasharray",
+  "stroke-opacity",
+  "opacity",
+  "font-family",
+  "font-size",
+  "font-weight",
+  "text-anchor",
+  "dominant-baseline",
+];
+
+const PADDING = 20;
+const LEGEND_ROW_HEIGHT = 22;
+const LEGEND_ITEM_WIDTH = 190;
+
+// The object URL of a download is kept for a while after the click, since
+// some browsers (Firefox, Safari) read it only after the click returns
+const REVOKE_AFTER_MS = 10000;
+
+const createElement = (name, attributes = {}) => {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) =>
+    element.setAttribute(key, value)
+  );
+  return element;
+};
+
+const createText = (text, attributes) => {
+  const element = createElement("text", {
+    "font-family": "Arial, Helvetica, sans-serif",
+    ...attributes,
+  });
+  element.textContent = text;
+  return element;
+};
+
+// Draw the legend swatches in rows that fit `width`. Each item is
+// { label, fill, stroke, dashed, line }: a box, or a line when `line` is set.
+const drawLegend = (items, width) => {
+  const group = createElement("g");
+  const perRow = Math.max(1, Math.floor(width / LEGEND_ITEM_WIDTH));
+
+  items.forEach((item, i) => {
+    const x = (i % perRow) * LEGEND_ITEM_WIDTH;
+    const y = Math.floor(i / perRow) * LEGEND_ROW_HEIGHT;
+
+    group.appendChild(
+      item.line
+        ? createElement("line", {
+            x1: x,
+            y1: y + 8,
+            x2: x + 16,
+            y2: y + 8,
+            stroke: item.stroke,
+            "stroke-width": 2,
+            "stroke-dasharray": item.dashed ? "4 3" : "none",
+          })
+        : createElement("rect", {
+            x,
+            y,
+            width: 16,
+            height: 16,
+            fill: item.fill || "none",
+            stroke: item.stroke,
+            "stroke-width": item.dashed ? 2 : 1,
+            "stroke-dasharray": item.dashed ? "4 3" : "none",
+          })
+    );
+    group.appendChild(
+      createText(item.label, {
+        x: x + 22,
+        y: y + 12,
+        "font-size": 12,
+        fill: "#555",
+      })
+    );
+  });
+
+  return {
+    group,
+    height: Math.ceil(items.length / perRow) * LEGEND_ROW_HEIGHT,
+  };
+};
+
+// Build the standalone SVG for `svgElement`. Returns its markup and size.
+export const buildChartSvg = (svgElement, { title, subtitle, legend = [] }) => {
+  const chart = svgElement.cloneNode(true);
+
+  // Inline the computed styles, walking the original and the copy together
+  const originals = [svgElement, ...svgElement.querySelectorAll("*")];
+  const copies = [chart, ...chart.querySelectorAll("*")];
+  originals.forEach((original, i) => {
+    const computed = window.getComputedStyle(original);
+    copies[i].setAttribute(
+      "style",
+      INLINED_STYLES.map(
+        (property) => `${property}:${computed.getPropertyValue(property)}`
+      ).join(";")
+    );
+  });
+
+  chart.querySelectorAll(".node-action").forEach((node) => node.remove());
+
+  // Export the whole chart at its natural size, whatever the pan and zoom
+  const viewport = svgElement.querySelector(".viewport");
+  chart.querySelector(".viewport")?.removeAttribute("transform");
+  const bounds = (viewport || svgElement).getBBox();
+  const chartWidth = Math.ceil(bounds.width);
+  const chartHeight = Math.ceil(bounds.height);
+  const width = Math.max(chartWidth, LEGEND_ITEM_WIDTH * 2) + PADDING * 2;
+
+  const root = createElement("svg", { xmlns: SVG_NS });
+  root.appendChild(
+    createElement("rect", { width: "100%", height: "100%", fill: "white" })
+  );
+
+  let y = PADDING;
+  if (title) {
+    root.appendChild(
+      createText(title, {
+        x: PADDING,
+        y: y + 18,
+        "font-size": 20,
+        "font-weight": "bold",
+        fill: "#222",
+      })
+    );
+    y += 30;
+  }
+  if (subtitle) {
+    root.appendChild(
+      createText(subtitle, {
+        x: PADDING,
+        y: y + 12,
+        "font-size": 13,
+        fill: "#666",
+      })
+    );
+    y += 24;
+  }
+  if (title || subtitle) y += 10;
+
+  // Place the chart's content at the current position
+  chart.removeAttribute("class");
+  chart.setAttribute("x", PADDING);
+  chart.setAttribute("y", y);
+  chart.setAttribute("width", chartWidth);
+  chart.setAttribute("height", chartHeight);
+  chart.setAttribute(
+    "viewBox",
+    `${bounds.x} ${bounds.y} ${chartWidth} ${chartHeight}`
+  );
+  root.appendChild(chart);
+  y += chartHeight + PADDING;
+
+  if (legend.length > 0) {
+    const { group, height } = drawLegend(legend, width - PADDING * 2);
+    group.setAttribute("transform", `translate(${PADDING}, ${y})`);
+    root.appendChild(group);
+    y += height + PADDING;
+  }
+
+  root.setAttribute("width", width);
+  root.setAttribute("height", y);
+  root.setAttribute("viewBox", `0 0 ${width} ${y}`);
+
+  return {
+    markup: new XMLSerializer().serializeToString(root),
+    width,
+    height: y,
+  };
+};
+
+// Draw the SVG markup onto a canvas `scale` times its size
+const renderToCanvas = ({ markup, width, height }, scale) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(
+      new Blob([markup], { type: "image/svg+xml;charset=utf-8" })
+    );
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext("2d");
+      context.fillStyle = "white";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("The chart could not be drawn as an image"));
+    };
+    image.src = url;
+  });
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const downloadLink = document.createElement("a");
+  downloadLink.setAttribute("href", url);
+  downloadLink.setAttribute("download", fileName);
+  document.body.appendChild(downloadLink);
+  downloadLink.click();
+  document.body.removeChild(downloadLink);
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_AFTER_MS);
+};
+
+export const exportSvg = (chart, fileName) =>
+  downloadBlob(
+    new Blob([chart.markup], { type: "image/svg+xml;charset=utf-8" }),
+    fileName
+  );
+
+// `scale` sets the resolution: 2 gives twice the on-screen pixel size
+export const exportPng = async (chart, fileName, scale = 2) => {
+  const canvas = await renderToCanvas(chart, scale);
+  const blob = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/png")
+  );
+  downloadBlob(blob, fileName);
+};
+
+// A single-page PDF the size of the chart, drawn at `scale` resolution
+export const exportPdf = async (chart, fileName, scale = 2) => {
+  const [{ jsPDF }, canvas] = await Promise.all([
+    import("jspdf"),
+    renderToCanvas(chart, scale),
+  ]);
+  const pdf = new jsPDF({
+    orientation: chart.width > chart.height ? "landscape" : "portrait",
+    unit: "px",
+    format: [chart.width, chart.height],
+    hotfixes: ["px_scaling"],
+  });
+  pdf.addImage(
+    canvas.toDataURL("image/png"),
+    "PNG",
+    0,
+    0,
+    chart.width,
+    chart.height
+  );
+  pdf.save(fileName);
+};
@@ -0,0 +1,178 @@
+import { holdingKey } from "./diff.js";
+import { stakesOf } from "./structureIndex.js";
+import { layoutTree } from "./treeLayout.js";
+
+// What the ownership chart draws, worked out without touching the DOM: a
+// node per visible entity and a connector per visible stake, each with its
+// place in the chart and a stable `key` for D3's keyed data joins. The page
+// decides colors and labels; this module only measures and looks things up,
+// through the structure index, so building the model stays linear in the
+// size of the structure. `tree` is where each node hangs in the tree, for
+// moving between nodes from the keyboard.
+
+// Above this many nodes the chart only draws what is in view
+export const WINDOWED_ABOVE = 400;
+
+// `view` is the structure as shown, with collapsed subtrees left out. Node
+// positions are node centres, moved so the chart sits `margin` from the top
+// and is centred across `width` when it fits.
+export const buildChartModel = (
+  view,
+  rootId,
+  {
+    orientation = "top-down",
+    nodeWidth,
+    nodeHeight,
+    siblingGap,
+    levelGap,
+    stakeSpacing,
+    margin,
+    width,
+  }
+) => {
+  const { positions, depthById, parentById, childrenOf } = layoutTree(
+    view,
+    rootId,
+    {
+      nodeWidth,
+      nodeHeight,
+      siblingGap,
+      levelGap,
+      orientation,
+    }
+  );
+
+  // Move the chart into view: centred across the width when it fits,
+  // otherwise starting at the left margin
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  Object.values(positions).forEach((p) => {
+    minX = Math.min(minX, p.x - nodeWidth / 2);
+    maxX = Math.max(maxX, p.x + nodeWidth / 2);
+    minY = Math.min(minY, p.y - nodeHeight / 2);
+  });
+  const offsetX = Math.max(margin, (width - (maxX - minX)) / 2) - minX;
+  const offsetY = margin - minY;
+  Object.values(positions).forEach((p) => {
+    p.x += offsetX;
+    p.y += offsetY;
+  });
+
+  const geometry = { orientation, nodeWidth, nodeHeight, levelGap };
+  const links = [];
+  const nodes = [];
+  view.entities.forEach((entity) => {
+    const target = positions[entity.id];
+    if (!target) return;
+
+    // Fan out the lines of a shareholder holding several stakes
+    const stakes = stakesOf(view, entity.id);
+    stakes.forEach((holding, i) => {
+      const source = positions[holding.held];
+      if (!source) return;
+
+      links.push({
+        key: holdingKey(holding),
+        holding,
+        holderId: entity.id,
+        // A stake pointing back up the tree closes a circular holding
+        isCircular: depthById[holding.held] >= depthById[entity.id],
+        box: {
+          x0: Math.min(source.x, target.x) - nodeWidth / 2,
+          x1: Math.max(source.x, target.x) + nodeWidth / 2,
+          y0: Math.min(source.y, target.y) - nodeHeight / 2,
+          y1: Math.max(source.y, target.y) + nodeHeight / 2,
+        },
+        ...connector(
+          geometry,
+          source,
+          target,
+          (i - (stakes.length - 1) / 2) * stakeSpacing
+        ),
+      });
+    });
+
+    const isRoot = entity.id === rootId;
+    nodes.push({
+      key: String(entity.id),
+      entity,
+      x: target.x,
+      y: target.y,
+      isRoot,
+      // The stake that places the node in the tree, moved when it is dragged
+      treeStake: isRoot
+        ? null
+        : stakes.find((h) => h.held === parentById[entity.id]) || null,
+    });
+  });
+
+  return {
+    nodes,
+    links,
+    positions,
+    tree: { rootId, parentById, childrenOf },
+  };
+};
+
+// The connector from a company at `source` to a shareholder at `target`,
+// with the shareholder's end moved `offset` along its edge, and where to put
+// the percentage label
+export const connector = (
+  { orientation, nodeWidth, nodeHeight, levelGap },
+  source,
+  target,
+  offset
+) => {
+  if (orientation === "left-to-right") {
+    const sourceX = source.x + nodeWidth / 2;
+    const targetX = target.x - nodeWidth / 2;
+    const targetY = target.y + offset;
+    const midX = sourceX + levelGap / 3;
+    return {
+      d: `M${sourceX},${source.y} L${midX},${source.y} L${midX},${targetY} L${targetX},${targetY}`,
+      labelX: targetX - 6,
+      labelY: targetY - 6,
+      labelAnchor: "end",
+    };
+  }
+
+  // Bottom-up charts have the shareholders above the company
+  const direction = orientation === "bottom-up" ? -1 : 1;
+  const sourceY = source.y + (direction * nodeHeight) / 2;
+  const targetX = target.x + offset;
+  const targetY = target.y - (direction * nodeHeight) / 2;
+  const midY = sourceY + (direction * levelGap) / 3;
+  return {
+    d: `M${source.x},${sourceY} L${source.x},${midY} L${targetX},${midY} L${targetX},${targetY}`,
+    labelX: targetX + 4,
+    labelY: direction > 0 ? targetY - 10 : targetY + 18,
+    labelAnchor: "start",
+  };
+};
+
+// The nodes and links with any part inside `area` ({ x0, y0, x1, y1 } in
+// chart coordinates)
+export const itemsInArea = (
+  { nodes, links },
+  area,
+  { nodeWidth, nodeHeight }
+) => {
+  const overlaps = (box) =>
+    box.x1 >= area.x0 &&
+    box.x0 <= area.x1 &&
+    box.y1 >= area.y0 &&
+    box.y0 <= area.y1;
+
+  return {
+    nodes: nodes.filter((node) =>
+      overlaps({
+        x0: node.x - nodeWidth / 2,
+        x1: node.x + nodeWidth / 2,
+        y0: node.y - nodeHeight / 2,
+        y1: node.y + nodeHeight / 2,
+      })
+    ),
+    links: links.filter((link) => overlaps(link.box)),
+  };
+};
@@ -0,0 +1,423 @@
+// Live editing of a structure by several people at once. Everyone with the
+// structure open keeps a replica of a shared document and sends the changes
+// they make to the others through the server; replicas that have seen the
+// same changes, in any order, show the same structure.
+//
+// The document is a last-writer-wins map. Each entity and holding is an
+// element under a tag that is unique to the replica that created it, so
+// two people adding an entity at the same moment never collide, and every
+// field of an element keeps the value with the latest stamp. A stamp is
+// [counter, replica]: a Lamport clock, with the replica id breaking ties.
+// Removing an element sets its `removed` field, so a removal and a
+// concurrent edit of the same element merge like any two edits.
+//
+// Numeric ids are a field of the element. If two replicas create elements
+// with the same id, the one created first keeps it and the other is
+// numbered after the highest id; holdings and instrument holders refer to
+// entities by tag, so they follow the renumbering.
+
+// Where browsers open the WebSocket for live editing
+export const COLLAB_PATH = "/collab";
+
+// The element holding the structure-wide settings (entity types,
+// cross-holding mode)
+const SETTINGS_TAG = "settings";
+// Settings each person keeps for themselves: everyone collapses the
+// companies they are not looking at
+const PER_USER_FIELDS = new Set(["collapsed"]);
+const KINDS = { entity: "entities", holding: "holdings" };
+
+export const compareStamps = ([counterA, replicaA], [counterB, replicaB]) =>
+  counterA !== counterB
+    ? counterA - counterB
+    : replicaA < replicaB
+      ? -1
+      : replicaA > replicaB
+        ? 1
+        : 0;
+
+const tagOf = ([counter, replica]) => `${counter}@${replica}`;
+const stampOfTag = (tag) => {
+  const at = tag.indexOf("@");
+  return [Number(tag.slice(0, at)), tag.slice(at + 1)];
+};
+
+// Elements and their fields are kept in objects without a prototype, so
+// tags and field names sent by others, such as "__proto__", are plain keys
+const newMap = () => Object.create(null);
+
+export const emptyDoc = () => ({ clock: 0, elements: newMap() });
+
+// A document received as JSON, with its elements and fields moved into
+// objects without a prototype
+export const readDoc = ({ clock, elements }) => {
+  const doc = emptyDoc();
+  doc.clock = clock;
+  Object.entries(elements).forEach(([tag, { kind, fields }]) => {
+    doc.elements[tag] = { kind, fields: Object.assign(newMap(), fields) };
+  });
+  return doc;
+};
+
+const isString = (value) => typeof value === "string";
+const isNumber = (value) => Number.isFinite(value);
+const isList = (value) => Array.isArray(value);
+const isTag = (value) => value === null || isString(value);
+
+// The values the fields of each kind may take, beyond undefined for a
+// cleared field. Fields not listed take any value.
+const FIELD_VALUES = {
+  entity: {
+    id: Number.isSafeInteger,
+    name: isString,
+    type: isString,
+    customFields: isList,
+    shareClasses: isList,
+    instruments: (value) =>
+      isList(value) &&
+      value.every(
+        (instrument) =>
+          instrument &&
+          typeof instrument === "object" &&
+          (instrument.holder === undefined || isTag(instrument.holder))
+      ),
+  },
+  holding: {
+    id: Number.isSafeInteger,
+    holder: isString,
+    held: isString,
+    percentage: isNumber,
+    votingPercentage: (value) => value === null || isNumber(value),
+    shares: (value) => Boolean(value) && typeof value === "object",
+    effectiveFrom: isString,
+    effectiveTo: isString,
+  },
+  settings: {
+    crossHoldings: (value) => typeof value === "boolean",
+    entityTypes: isList,
+  },
+};
+
+// Whether `op` is well formed: a tag, a known kind, a field name, a value
+// that field may take and a [counter, replica] stamp. The settings element
+// alone has the kind "settings".
+export const isOp = (op) => {
+  if (
+    !op ||
+    !isString(op.tag) ||
+    !(op.kind === "settings"
+      ? op.tag === SETTINGS_TAG
+      : Object.hasOwn(KINDS, op.kind) && op.tag !== SETTINGS_TAG) ||
+    !isString(op.field) ||
+    !Array.isArray(op.stamp) ||
+    op.stamp.length !== 2 ||
+    !Number.isSafeInteger(op.stamp[0]) ||
+    op.stamp[0] <= 0 ||
+    !isString(op.stamp[1])
+  ) {
+    return false;
+  }
+
+  if (op.value === undefined) return true;
+  if (op.field === "removed") return typeof op.value === "boolean";
+  const check = Object.hasOwn(FIELD_VALUES[op.kind], op.field)
+    ? FIELD_VALUES[op.kind][op.field]
+    : null;
+  return !check || check(op.value);
+};
+
+// Whether `user` is how a person is shown to the others: { name, color }
+export const isUser = (user) =>
+  Boolean(user) &&
+  isString(user.name) &&
+  user.name !== "" &&
+  isString(user.color);
+
+// Whether a presence message names a user and, by tag or null, the
+// entities they have selected and are editing
+export const isPresence = ({ user, selected, editing }) =>
+  isUser(user) && isTag(selected ?? null) && isTag(editing ?? null);
+
+// Merge `ops` into `doc`, in place. Applying the same ops again, or in a
+// different order, leaves the same document.
+export const applyOps = (doc, ops) => {
+  ops.forEach(({ tag, kind, field, value, stamp }) => {
+    doc.clock = Math.max(doc.clock, stamp[0]);
+    if (!doc.elements[tag]) doc.elements[tag] = { kind, fields: newMap() };
+    const current = doc.elements[tag].fields[field];
+    if (!current || compareStamps(stamp, current.stamp) > 0) {
+      doc.elements[tag].fields[field] = { value, stamp };
+    }
+  });
+  return doc;
+};
+
+const valuesOf = ({ fields }) => {
+  const values = newMap();
+  Object.entries(fields).forEach(([field, { value }]) => {
+    if (value !== undefined) values[field] = value;
+  });
+  return values;
+};
+
+// Number elements by their `id` field, renumbering the later of any that
+// share one. `elements` are [tag, values] in creation order.
+const numberElements = (elements) => {
+  const ids = new Map();
+  const taken = new Set();
+  let highest = elements.reduce(
+    (max, [, values]) =>
+      Number.isFinite(values.id) ? Math.max(max, values.id) : max,
+    0
+  );
+  elements.forEach(([tag, values]) => {
+    let id = values.id;
+    if (id === undefined || taken.has(id)) id = ++highest;
+    taken.add(id);
+    ids.set(tag, id);
+  });
+  return ids;
+};
+
+// The structure a document holds. `tags` maps the ids of its entities and
+// holdings back to their tags, for turning later edits into ops.
+export const materialize = (doc) => {
+  const live = { entity: [], holding: [] };
+  Object.entries(doc.elements).forEach(([tag, element]) => {
+    if (!live[element.kind]) return;
+    const values = valuesOf(element);
+    if (values.removed) return;
+    delete values.removed;
+    live[element.kind].push([tag, values]);
+  });
+  Object.values(live).forEach((elements) =>
+    elements.sort(([a], [b]) => compareStamps(stampOfTag(a), stampOfTag(b)))
+  );
+
+  const entityIds = numberElements(live.entity);
+  const holdingIds = numberElements(live.holding);
+  const tags = { entity: new Map(), holding: new Map() };
+
+  const entities = live.entity.map(([tag, values]) => {
+    tags.entity.set(entityIds.get(tag), tag);
+    const entity = { ...values, id: entityIds.get(tag) };
+    // Instruments name their holder by tag; one that has been removed
+    // leaves the instrument unallocated
+    if (Array.isArray(values.instruments)) {
+      entity.instruments = values.instruments.map((instrument) =>
+        instrument && isString(instrument.holder)
+          ? { ...instrument, holder: entityIds.get(instrument.holder) ?? null }
+          : instrument
+      );
+    }
+    return entity;
+  });
+
+  // Holdings of entities that have been removed are left out
+  const holdings = live.holding
+    .filter(
+      ([, values]) => entityIds.has(values.holder) && entityIds.has(values.held)
+    )
+    .map(([tag, values]) => {
+      tags.holding.set(holdingIds.get(tag), tag);
+      return {
+        ...values,
+        id: holdingIds.get(tag),
+        holder: entityIds.get(values.holder),
+        held: entityIds.get(values.held),
+      };
+    });
+
+  const settings = doc.elements[SETTINGS_TAG]
+    ? valuesOf(doc.elements[SETTINGS_TAG])
+    : {};
+  return { structure: { entities, holdings, ...settings }, tags };
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// The edits that turn `before` into `after`, field by field:
+// { kind, id, created } for a new element, { kind, id, removed: true } for
+// a removed one and { kind, id, field, value } for a changed field. Settings
+// have the kind "settings" and no id; the ones each person keeps for
+// themselves are left out.
+export const structureChanges = (before, after) => {
+  const changes = [];
+
+  Object.entries(KINDS).forEach(([kind, key]) => {
+    const previous = new Map(before[key].map((item) => [item.id, item]));
+    const current = new Set();
+    after[key].forEach((item) => {
+      current.add(item.id);
+      const old = previous.get(item.id);
+      if (!old) {
+        changes.push({ kind, id: item.id, created: item });
+        return;
+      }
+      new Set([...Object.keys(old), ...Object.keys(item)]).forEach((field) => {
+        if (!sameValue(old[field], item[field])) {
+          changes.push({ kind, id: item.id, field, value: item[field] });
+        }
+      });
+    });
+    previous.forEach((item, id) => {
+      if (!current.has(id)) changes.push({ kind, id, removed: true });
+    });
+  });
+
+  const settingFields = new Set(
+    [...Object.keys(before), ...Object.keys(after)].filter(
+      (field) =>
+        field !== "entities" &&
+        field !== "holdings" &&
+        !PER_USER_FIELDS.has(field)
+    )
+  );
+  settingFields.forEach((field) => {
+    if (!sameValue(before[field], after[field])) {
+      changes.push({ kind: "settings", field, value: after[field] });
+    }
+  });
+
+  return changes;
+};
+
+// The shared structure `merged` with this person's own settings from
+// `local`
+export const withPerUserFields = (merged, local) => {
+  const result = { ...merged };
+  PER_USER_FIELDS.forEach((field) => {
+    if (local[field] !== undefined) result[field] = local[field];
+  });
+  return result;
+};
+
+// Apply `changes` from `structureChanges` to another version of the
+// structure, such as an earlier state kept for undo. Edits to elements that
+// version does not have are skipped.
+export const applyChanges = (structure, changes) => {
+  const result = { ...structure };
+
+  Object.entries(KINDS).forEach(([kind, key]) => {
+    const ofKind = changes.filter((change) => change.kind === kind);
+    if (ofKind.length === 0) return;
+
+    const byId = new Map(result[key].map((item) => [item.id, item]));
+    ofKind.forEach((change) => {
+      if (change.created) {
+        byId.set(change.id, change.created);
+      } else if (change.removed) {
+        byId.delete(change.id);
+      } else if (byId.has(change.id)) {
+        const updated = {
+          ...byId.get(change.id),
+          [change.field]: change.value,
+        };
+        if (change.value === undefined) delete updated[change.field];
+        byId.set(change.id, updated);
+      }
+    });
+    result[key] = [...byId.values()];
+  });
+
+  changes
+    .filter((change) => change.kind === "settings")
+    .forEach(({ field, value }) => {
+      if (value === undefined) delete result[field];
+      else result[field] = value;
+    });
+
+  return result;
+};
+
+// The ops recording `changes` made by `replica` to the structure
+// materialized with `tags`, stamped from the document's clock, which moves
+// on past them
+export const changesToOps = (doc, tags, changes, replica) => {
+  const ops = [];
+  const entityTags = new Map(tags.entity);
+  const holdingTags = new Map(tags.holding);
+  const stamp = () => [++doc.clock, replica];
+
+  // New entities are tagged first, so holdings and instruments made in the
+  // same change can refer to them
+  changes.forEach((change) => {
+    if (change.created && change.kind === "entity") {
+      entityTags.set(change.id, tagOf(stamp()));
+    }
+  });
+
+  // Holdings and instrument holders refer to entities by tag
+  const toValue = (kind, field, value) => {
+    if (kind === "holding" && (field === "holder" || field === "held")) {
+      return entityTags.get(value);
+    }
+    if (kind === "entity" && field === "instruments" && Array.isArray(value)) {
+      return value.map((instrument) =>
+        instrument &&
+        instrument.holder !== undefined &&
+        instrument.holder !== null
+          ? { ...instrument, holder: entityTags.get(instrument.holder) ?? null }
+          : instrument
+      );
+    }
+    return value;
+  };
+
+  changes.forEach((change) => {
+    if (change.kind === "settings") {
+      ops.push({
+        tag: SETTINGS_TAG,
+        kind: "settings",
+        field: change.field,
+        value: change.value,
+        stamp: stamp(),
+      });
+      return;
+    }
+
+    if (change.created && change.kind === "holding") {
+      holdingTags.set(change.id, tagOf(stamp()));
+    }
+    const tag = (change.kind === "entity" ? entityTags : holdingTags).get(
+      change.id
+    );
+    if (!tag) return;
+
+    const toOp = (field, value) => ({
+      tag,
+      kind: change.kind,
+      field,
+      value: toValue(change.kind, field, value),
+      stamp: stamp(),
+    });
+
+    if (change.created) {
+      Object.entries(change.created).forEach(([field, value]) =>
+        ops.push(toOp(field, value))
+      );
+      ops.push(toOp("removed", false));
+    } else if (change.removed) {
+      ops.push(toOp("removed", true));
+    } else {
+      ops.push(toOp(change.field, change.value));
+    }
+  });
+
+  return ops;
+};
+
+// A document holding `structure`, as created by `replica`
+export const createDoc = (structure, replica) => {
+  const doc = emptyDoc();
+  const empty = materialize(doc);
+  return applyOps(
+    doc,
+    changesToOps(
+      doc,
+      empty.tags,
+      structureChanges({ entities: [], holdings: [] }, structure),
+      replica
+    )
+  );
+};
@@ -0,0 +1,150 @@
+import { randomUUID } from "crypto";
+import { WebSocketServer } from "ws";
+import {
+  COLLAB_PATH,
+  applyOps,
+  createDoc,
+  isOp,
+  isPresence,
+} from "./collab.js";
+import { normalizeStructure } from "./engine.js";
+import { getStructure } from "./structureStore.js";
+
+// The WebSocket side of live editing, run inside the Next.js server. Each
+// saved structure that someone has open has a session holding the shared
+// document and the people connected to it. The server is a replica like
+// any other: it merges the ops it relays, so it can hand the current
+// document to whoever joins next.
+//
+// Messages are JSON. The server sends { type: "snapshot", doc, peerId } on
+// joining, { type: "ops", ops } with other people's changes and
+// { type: "presence", peers } whenever someone joins, leaves or moves. A
+// browser sends { type: "ops", ops } and { type: "presence", user,
+// selected, editing }, naming entities by their tags in the document. A
+// browser sending ops or presence that are not well formed is disconnected.
+//
+// A session starts from the saved structure and ends when the last person
+// leaves; changes reach the store only when someone saves.
+
+// Closed when the structure does not exist
+const NOT_FOUND = 4404;
+// Closed when a browser sends a message that is not well formed
+const BAD_MESSAGE = 4400;
+// Closed when ops could not be merged
+const MERGE_FAILED = 1011;
+
+const sessions = new Map(); // Structure id => { doc, peers: Map of socket => peer }
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+};
+
+const broadcastPresence = (session) => {
+  const peers = [...session.peers.values()];
+  session.peers.forEach((_, socket) =>
+    send(socket, { type: "presence", peers })
+  );
+};
+
+// Sessions are created once per structure even when several people join
+// while it is being loaded
+const openSession = (structureId) => {
+  if (!sessions.has(structureId)) {
+    const loading = getStructure(structureId).then((record) =>
+      record
+        ? {
+            doc: createDoc(normalizeStructure(record.structure), "server"),
+            peers: new Map(),
+          }
+        : null
+    );
+    sessions.set(structureId, loading);
+    loading.then(
+      (session) => {
+        if (session) sessions.set(structureId, session);
+        else sessions.delete(structureId);
+      },
+      () => sessions.delete(structureId)
+    );
+  }
+  return Promise.resolve(sessions.get(structureId));
+};
+
+const join = async (socket, structureId) => {
+  let session;
+  try {
+    session = await openSession(structureId);
+  } catch (error) {
+    console.error("Live editing could not load a structure", error);
+  }
+  if (!session) {
+    socket.close(NOT_FOUND, "Structure not found");
+    return;
+  }
+
+  const peer = { id: randomUUID(), user: null, selected: null, editing: null };
+  session.peers.set(socket, peer);
+  send(socket, { type: "snapshot", doc: session.doc, peerId: peer.id });
+  broadcastPresence(session);
+
+  socket.on("message", (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    if (message?.type === "ops") {
+      if (!Array.isArray(message.ops) || !message.ops.every(isOp)) {
+        socket.close(BAD_MESSAGE, "Invalid ops");
+        return;
+      }
+      // A failure ends this connection only; the others carry on
+      try {
+        applyOps(session.doc, message.ops);
+      } catch (error) {
+        console.error("Live editing could not merge ops", error);
+        socket.close(MERGE_FAILED, "Ops could not be merged");
+        return;
+      }
+      session.peers.forEach((_, other) => {
+        if (other !== socket) send(other, { type: "ops", ops: message.ops });
+      });
+    } else if (message?.type === "presence") {
+      if (!isPresence(message)) {
+        socket.close(BAD_MESSAGE, "Invalid presence");
+        return;
+      }
+      const { user, selected = null, editing = null } = message;
+      Object.assign(peer, {
+        user: { name: user.name, color: user.color },
+        selected,
+        editing,
+      });
+      broadcastPresence(session);
+    }
+  });
+
+  socket.on("close", () => {
+    session.peers.delete(socket);
+    if (session.peers.size === 0) sessions.delete(structureId);
+    else broadcastPresence(session);
+  });
+};
+
+// Start accepting live editing connections on `server`, the HTTP server
+// Next.js runs on. Safe to call on every request.
+export const attachCollabServer = (server) => {
+  if (server.collabServer) return;
+
+  const sockets = new WebSocketServer({ noServer: true });
+  server.collabServer = sockets;
+  server.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== COLLAB_PATH) return;
+
+    const structureId = url.searchParams.get("structure");
+    sockets.handleUpgrade(req, socket, head, (ws) => join(ws, structureId));
+  });
+};
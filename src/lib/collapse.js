@@ -0,0 +1,120 @@
+import { mayHaveShareholders } from "./entityTypes.js";
+import { entityIndex, heldPercentage, holdingIndex } from "./structureIndex.js";
+
+// Collapsible subtrees in the ownership chart. A structure's `collapsed`
+// list holds the ids of entities whose shareholders are hidden; it is saved
+// with the structure. Shareholders reached through another, expanded
+// company stay visible.
+
+const holdersOf = (holdings, id) =>
+  (holdingIndex(holdings).byHeld.get(id) || []).map((h) => h.holder);
+
+export const getCollapsed = (structure) => new Set(structure.collapsed || []);
+
+// The ids of the entities reachable from the root without passing below a
+// collapsed entity
+export const visibleEntityIds = (structure, rootId) => {
+  const collapsed = getCollapsed(structure);
+  const visible = new Set([rootId]);
+  const queue = [rootId];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (collapsed.has(current)) continue;
+    holdersOf(structure.holdings, current).forEach((holder) => {
+      if (!visible.has(holder)) {
+        visible.add(holder);
+        queue.push(holder);
+      }
+    });
+  }
+
+  return visible;
+};
+
+// The structure restricted to the visible entities and the holdings
+// between them. Stakes in a collapsed entity are hidden too, even when the
+// shareholder is visible elsewhere.
+export const visibleStructure = (structure, rootId) => {
+  const collapsed = getCollapsed(structure);
+  const visible = visibleEntityIds(structure, rootId);
+  return {
+    ...structure,
+    entities: structure.entities.filter((e) => visible.has(e.id)),
+    holdings: structure.holdings.filter(
+      (h) =>
+        visible.has(h.holder) && visible.has(h.held) && !collapsed.has(h.held)
+    ),
+  };
+};
+
+// Every direct and indirect shareholder of `id`, not counting `id` itself
+export const descendantIds = ({ holdings }, id) => {
+  const descendants = new Set();
+  const queue = [id];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    holdersOf(holdings, current).forEach((holder) => {
+      if (holder !== id && !descendants.has(holder)) {
+        descendants.add(holder);
+        queue.push(holder);
+      }
+    });
+  }
+
+  return descendants;
+};
+
+// What a collapsed entity hides: the number of descendants that are not
+// shown elsewhere in the chart, and the entities in its subtree (itself
+// included) whose shareholdings do not add up to 100%, counting only those
+// whose type in `types` may have shareholders
+export const collapsedSummary = (structure, id, visible, types) => {
+  const descendants = descendantIds(structure, id);
+  const hidden = [...descendants].filter((d) => !visible.has(d)).length;
+
+  const byId = entityIndex(structure.entities);
+  const incomplete = [id, ...descendants]
+    .map((entityId) => byId.get(entityId))
+    .filter(
+      (entity) =>
+        entity &&
+        entity.type !== "instrument" &&
+        mayHaveShareholders(types, entity) &&
+        Math.abs(100 - heldPercentage(structure, entity.id)) >= 0.001
+    ).length;
+
+  return { hidden, incomplete };
+};
+
+// The entities to collapse so the chart shows `depth` levels below the
+// root: those at that level that have shareholders. Depth 0 shows only the
+// root.
+export const collapseToDepth = (structure, rootId, depth) => {
+  const { byHeld } = holdingIndex(structure.holdings);
+  const levelOf = new Map([[rootId, 0]]);
+  const queue = [rootId];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    holdersOf(structure.holdings, current).forEach((holder) => {
+      if (!levelOf.has(holder)) {
+        levelOf.set(holder, levelOf.get(current) + 1);
+        queue.push(holder);
+      }
+    });
+  }
+
+  return [...levelOf.keys()].filter(
+    (id) => levelOf.get(id) === depth && byHeld.has(id)
+  );
+};
+
+// The structure with `id` collapsed or expanded
+export const toggleCollapsed = (structure, id) => {
+  const collapsed = getCollapsed(structure);
+  if (collapsed.has(id)) collapsed.delete(id);
+  else collapsed.add(id);
+  return { ...structure, collapsed: [...collapsed] };
+};
@@ -0,0 +1,367 @@
+import { PROFILE_FIELDS } from "./profile.js";
+
+// CSV import and export of the entity list. Each row is one entity's stake
+// in its parent company: id, name, type, parent and percentage, followed by
+// the entity's profile fields and a "custom:<label>" column per custom
+// field. An entity with stakes in several companies appears once per stake,
+// and the root company appears once with no parent.
+
+export const CSV_COLUMNS = [
+  "id",
+  "name",
+  "type",
+  "parent",
+  "percentage",
+  ...PROFILE_FIELDS.map((field) => field.key),
+];
+
+const CUSTOM_PREFIX = "custom:";
+
+// Parse CSV text into an array of rows, each an array of fields. Handles
+// quoted fields with embedded commas, quotes and line breaks. Files whose
+// header line is separated by semicolons, as spreadsheets in many locales
+// save them, are read with semicolons instead.
+export const parseCsv = (text) => {
+  const header = text.split(/\r?\n/, 1)[0];
+  const delimiter = header.includes(";") && !header.includes(",") ? ";" : ",";
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+const escapeField = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) =>
+  rows.map((row) => row.map(escapeField).join(",")).join("\n") + "\n";
+
+// The entity list of a structure as CSV
+export const structureToCsv = ({ entities, holdings }) => {
+  const customLabels = [
+    ...new Set(
+      entities.flatMap((entity) =>
+        (entity.customFields || []).map((field) => field.label)
+      )
+    ),
+  ];
+  const rows = [
+    [...CSV_COLUMNS, ...customLabels.map((label) => CUSTOM_PREFIX + label)],
+  ];
+
+  entities.forEach((entity) => {
+    const profile = [
+      ...PROFILE_FIELDS.map((field) => entity[field.key]),
+      ...customLabels.map((label) => {
+        const field = (entity.customFields || []).find(
+          (f) => f.label === label
+        );
+        return field ? field.value : "";
+      }),
+    ];
+    const stakes = holdings.filter((h) => h.holder === entity.id);
+    if (stakes.length === 0) {
+      rows.push([entity.id, entity.name, entity.type, "", "", ...profile]);
+      return;
+    }
+    stakes.forEach((stake) => {
+      rows.push([
+        entity.id,
+        entity.name,
+        entity.type,
+        stake.held,
+        stake.percentage,
+        ...profile,
+      ]);
+    });
+  });
+  return toCsv(rows);
+};
+
+// Guess which CSV column holds each field from the header names. Columns
+// named "custom:<label>" are listed under `custom` as { index, label }.
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map((header) =>
+    header
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z]/g, "")
+  );
+  const aliases = {
+    id: ["id", "entityid", "identifier"],
+    name: ["name", "entityname", "shareholder", "holder", "entity"],
+    type: ["type", "entitytype", "kind"],
+    parent: ["parent", "parentid", "parentname", "company", "held", "owns"],
+    percentage: ["percentage", "percent", "ownership", "share", "stake"],
+    jurisdiction: ["jurisdiction", "country", "countryofincorporation"],
+    registrationNumber: [
+      "registrationnumber",
+      "registrationno",
+      "regno",
+      "companynumber",
+    ],
+    lei: ["lei", "leicode", "legalentityidentifier"],
+    incorporationDate: [
+      "incorporationdate",
+      "dateofincorporation",
+      "incorporated",
+    ],
+    registeredAddress: ["registeredaddress", "address"],
+    nationality: ["nationality", "citizenship"],
+    dateOfBirth: ["dateofbirth", "birthdate", "dob"],
+  };
+
+  const mapping = {};
+  CSV_COLUMNS.forEach((column) => {
+    const index = normalized.findIndex((header) =>
+      aliases[column].includes(header)
+    );
+    mapping[column] = index === -1 ? null : index;
+  });
+  mapping.custom = headers
+    .map((header, index) => ({ index, header: header.trim() }))
+    .filter(({ header }) => header.toLowerCase().startsWith(CUSTOM_PREFIX))
+    .map(({ index, header }) => ({
+      index,
+      label: header.slice(CUSTOM_PREFIX.length).trim(),
+    }))
+    .filter(({ label }) => label);
+  return mapping;
+};
+
+// Build a structure from CSV rows (without the header row). `mapping` gives
+// the column index of each field, or null when the file has none. Parents
+// are matched by id and then by name, unless `parentMatch` is "id" or
+// "name". Returns the structure built from every row that could be placed,
+// a status for each row, and the rows that could not be placed as errors
+// ({ row, message }, with 1-based row numbers counting the header, or a
+// null row for problems with the file as a whole).
+export const csvToStructure = (rows, mapping, parentMatch = "auto") => {
+  const value = (row, column) =>
+    mapping[column] === null || mapping[column] === undefined
+      ? ""
+      : (row[mapping[column]] || "").trim();
+
+  const errors = [];
+  const statuses = rows.map(() => null);
+  const fail = (index, message) => {
+    statuses[index] = { error: message };
+    errors.push({ row: index + 2, message });
+  };
+
+  // First pass: collect entities, keyed by their id or, without one, name
+  const entities = [];
+  const byKey = {};
+  const byName = {};
+  const rowEntity = [];
+  const usedIds = new Set();
+  rows.forEach((row) => {
+    const id = parseInt(value(row, "id"));
+    if (!isNaN(id)) usedIds.add(id);
+  });
+  let nextId = Math.max(0, ...usedIds) + 1;
+
+  rows.forEach((row, index) => {
+    const name = value(row, "name");
+    if (!name) {
+      fail(index, "The row has no name");
+      return;
+    }
+
+    const rawId = value(row, "id");
+    const id = parseInt(rawId);
+    if (rawId && (isNaN(id) || String(id) !== rawId)) {
+      fail(index, `"${rawId}" is not a whole-number id`);
+      return;
+    }
+
+    const key = rawId ? `id:${id}` : `name:${name.toLowerCase()}`;
+    let entity = byKey[key];
+    if (!entity) {
+      entity = {
+        id: rawId ? id : nextId++,
+        name,
+        type: (value(row, "type") || "company").toLowerCase(),
+      };
+      byKey[key] = entity;
+      entities.push(entity);
+      // The profile is read from the entity's first row
+      PROFILE_FIELDS.forEach((field) => {
+        if (value(row, field.key)) entity[field.key] = value(row, field.key);
+      });
+      const customFields = (mapping.custom || [])
+        .map(({ index: column, label }) => ({
+          label,
+          value: (row[column] || "").trim(),
+        }))
+        .filter((field) => field.value);
+      if (customFields.length > 0) entity.customFields = customFields;
+      const nameKey = name.toLowerCase();
+      byName[nameKey] = [...(byName[nameKey] || []), entity];
+    } else if (entity.name !== name) {
+      fail(index, `Id ${id} is used for both "${entity.name}" and "${name}"`);
+      return;
+    }
+    rowEntity[index] = entity;
+  });
+
+  // Second pass: place each row under its parent
+  const holdings = [];
+  const allocated = {};
+  rows.forEach((row, index) => {
+    const entity = rowEntity[index];
+    if (!entity) return;
+
+    const parentRef = value(row, "parent");
+    if (!parentRef) {
+      statuses[index] = { root: true, entity };
+      return;
+    }
+
+    const parentId = parseInt(parentRef);
+    const idMatch =
+      parentMatch !== "name" && String(parentId) === parentRef
+        ? entities.find((e) => e.id === parentId)
+        : null;
+    const nameMatches =
+      parentMatch !== "id" ? byName[parentRef.toLowerCase()] || [] : [];
+
+    let parent = idMatch;
+    if (!parent && nameMatches.length > 1) {
+      fail(index, `More than one entity is named "${parentRef}"`);
+      return;
+    }
+    if (!parent) parent = nameMatches[0];
+    if (!parent) {
+      fail(index, `No entity matches the parent "${parentRef}"`);
+      return;
+    }
+    if (parent === entity) {
+      fail(index, `"${entity.name}" cannot hold a stake in itself`);
+      return;
+    }
+    if (holdings.some((h) => h.holder === entity.id && h.held === parent.id)) {
+      fail(index, `"${entity.name}" already holds a stake in "${parent.name}"`);
+      return;
+    }
+
+    const rawPercentage = value(row, "percentage").replace(/%$/, "");
+    const percentage = rawPercentage === "" ? 0 : Number(rawPercentage);
+    if (isNaN(percentage) || percentage < 0 || percentage > 100) {
+      fail(index, `"${rawPercentage}" is not a percentage between 0 and 100`);
+      return;
+    }
+    if ((allocated[parent.id] || 0) + percentage > 100 + 1e-9) {
+      fail(
+        index,
+        `Adding ${percentage}% would take the shareholders of "${parent.name}" over 100%`
+      );
+      return;
+    }
+
+    allocated[parent.id] = (allocated[parent.id] || 0) + percentage;
+    holdings.push({
+      id: holdings.length + 1,
+      holder: entity.id,
+      held: parent.id,
+      percentage,
+    });
+    statuses[index] = { entity, parent, percentage };
+  });
+
+  // Only one entity can be the root; any other row without a parent could
+  // not be placed
+  const rootStatus = statuses.find((status) => status && status.root);
+  const root = rootStatus ? rootStatus.entity : null;
+  rows.forEach((row, index) => {
+    const status = statuses[index];
+    if (status && status.root && status.entity !== root) {
+      fail(
+        index,
+        `"${status.entity.name}" has no parent, but "${root.name}" is already the root`
+      );
+    }
+  });
+
+  // Rows whose parent could not itself be placed are not connected to the
+  // root either
+  const reachable = new Set(root ? [root.id] : []);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    holdings.forEach((h) => {
+      if (reachable.has(h.held) && !reachable.has(h.holder)) {
+        reachable.add(h.holder);
+        changed = true;
+      }
+    });
+  }
+  rows.forEach((row, index) => {
+    const status = statuses[index];
+    if (status && status.parent && !reachable.has(status.parent.id)) {
+      fail(
+        index,
+        `"${status.parent.name}" could not be placed, so neither can "${status.entity.name}"`
+      );
+    }
+  });
+
+  return {
+    structure: {
+      entities: entities.filter((entity) => reachable.has(entity.id)),
+      holdings: holdings
+        .filter((h) => reachable.has(h.held))
+        .map((h, i) => ({ ...h, id: i + 1 })),
+    },
+    statuses,
+    errors: [
+      ...(root || rows.length === 0
+        ? []
+        : [
+            {
+              row: null,
+              message: "Every row has a parent, so there is no root company",
+            },
+          ]),
+      ...errors.sort((a, b) => a.row - b.row),
+    ],
+  };
+};
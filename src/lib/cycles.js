@@ -0,0 +1,94 @@
+// Circular ownership detection on an ownership structure of
+// { entities, holdings }. A structure is circular when A holds a stake in B
+// and B, directly or through other entities, holds a stake in A.
+
+// Group the entities that hold each other in a loop (strongly connected
+// components of the holder → held graph). Each group is a list of entity
+// ids; an entity holding a stake in itself forms a group on its own.
+export const findCycles = ({ entities, holdings }) => {
+  const stakesOf = {};
+  holdings.forEach((holding) => {
+    if (!stakesOf[holding.holder]) stakesOf[holding.holder] = [];
+    stakesOf[holding.holder].push(holding.held);
+  });
+
+  // Tarjan's algorithm, iterative so large structures can't overflow the stack
+  const index = {};
+  const lowLink = {};
+  const onStack = new Set();
+  const stack = [];
+  const cycles = [];
+  let counter = 0;
+
+  entities.forEach((entity) => {
+    if (index[entity.id] !== undefined) return;
+
+    const work = [{ id: entity.id, next: 0 }];
+    index[entity.id] = lowLink[entity.id] = counter++;
+    stack.push(entity.id);
+    onStack.add(entity.id);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const targets = stakesOf[frame.id] || [];
+
+      if (frame.next < targets.length) {
+        const target = targets[frame.next++];
+        if (index[target] === undefined) {
+          index[target] = lowLink[target] = counter++;
+          stack.push(target);
+          onStack.add(target);
+          work.push({ id: target, next: 0 });
+        } else if (onStack.has(target)) {
+          lowLink[frame.id] = Math.min(lowLink[frame.id], index[target]);
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1];
+        lowLink[parent.id] = Math.min(lowLink[parent.id], lowLink[frame.id]);
+      }
+
+      if (lowLink[frame.id] === index[frame.id]) {
+        const group = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          group.push(member);
+        } while (member !== frame.id);
+
+        const selfHeld = (stakesOf[frame.id] || []).includes(frame.id);
+        if (group.length > 1 || selfHeld) cycles.push(group.reverse());
+      }
+    }
+  });
+
+  return cycles;
+};
+
+export const hasCycles = (structure) => findCycles(structure).length > 0;
+
+// Whether adding a holding of `holderId` in `heldId` would close a loop,
+// i.e. `heldId` already holds `holderId` directly or indirectly
+export const wouldCreateCycle = ({ holdings }, holderId, heldId) => {
+  if (holderId === heldId) return true;
+
+  const visited = new Set();
+  const queue = [heldId];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === holderId) return true;
+    if (visited.has(current)) continue;
+    visited.add(current);
+
+    holdings.forEach((holding) => {
+      if (holding.holder === current) queue.push(holding.held);
+    });
+  }
+
+  return false;
+};
@@ -0,0 +1,112 @@
+// Compare two versions of an ownership structure of { entities, holdings }.
+// Entities are matched by id and holdings by their holder, held entity and
+// start date, since holding ids are not stable across edits.
+
+export const holdingKey = (holding) =>
+  `${holding.holder}:${holding.held}:${holding.effectiveFrom || ""}`;
+
+// List what changed from `before` to `after`: entities and holdings that were
+// added or removed, entities whose name or type changed and holdings whose
+// percentages or end date changed
+export const diffStructures = (before, after) => {
+  const beforeEntities = new Map(before.entities.map((e) => [e.id, e]));
+  const afterEntities = new Map(after.entities.map((e) => [e.id, e]));
+  const beforeHoldings = new Map(
+    before.holdings.map((h) => [holdingKey(h), h])
+  );
+  const afterHoldings = new Map(after.holdings.map((h) => [holdingKey(h), h]));
+
+  const entities = { added: [], removed: [], changed: [] };
+  after.entities.forEach((entity) => {
+    const previous = beforeEntities.get(entity.id);
+    if (!previous) {
+      entities.added.push(entity);
+      return;
+    }
+
+    const fields = ["name", "type"].filter(
+      (field) => previous[field] !== entity[field]
+    );
+    if (fields.length > 0) {
+      entities.changed.push({ before: previous, after: entity, fields });
+    }
+  });
+  before.entities.forEach((entity) => {
+    if (!afterEntities.has(entity.id)) entities.removed.push(entity);
+  });
+
+  const holdings = { added: [], removed: [], changed: [] };
+  after.holdings.forEach((holding) => {
+    const previous = beforeHoldings.get(holdingKey(holding));
+    if (!previous) {
+      holdings.added.push(holding);
+    } else if (
+      previous.percentage !== holding.percentage ||
+      (previous.votingPercentage ?? null) !==
+        (holding.votingPercentage ?? null) ||
+      (previous.effectiveTo || null) !== (holding.effectiveTo || null)
+    ) {
+      holdings.changed.push({ before: previous, after: holding });
+    }
+  });
+  before.holdings.forEach((holding) => {
+    if (!afterHoldings.has(holdingKey(holding))) {
+      holdings.removed.push(holding);
+    }
+  });
+
+  return { entities, holdings };
+};
+
+export const isEmptyDiff = ({ entities, holdings }) =>
+  [entities, holdings].every(
+    (group) =>
+      group.added.length === 0 &&
+      group.removed.length === 0 &&
+      group.changed.length === 0
+  );
+
+// Build a single structure showing both versions at once: everything in
+// `after` plus whatever was removed from `before`. The status maps mark each
+// entity id and holding (by holdingKey) as "added", "removed" or "changed".
+export const mergeForComparison = (before, after) => {
+  const diff = diffStructures(before, after);
+  const entityStatus = {};
+  const holdingStatus = {};
+
+  diff.entities.added.forEach((e) => {
+    entityStatus[e.id] = "added";
+  });
+  diff.entities.removed.forEach((e) => {
+    entityStatus[e.id] = "removed";
+  });
+  diff.entities.changed.forEach(({ after: e }) => {
+    entityStatus[e.id] = "changed";
+  });
+  diff.holdings.added.forEach((h) => {
+    holdingStatus[holdingKey(h)] = "added";
+  });
+  diff.holdings.removed.forEach((h) => {
+    holdingStatus[holdingKey(h)] = "removed";
+  });
+  diff.holdings.changed.forEach(({ after: h }) => {
+    holdingStatus[holdingKey(h)] = "changed";
+  });
+
+  const previousPercentage = {};
+  diff.holdings.changed.forEach(({ before: h }) => {
+    previousPercentage[holdingKey(h)] = h.percentage;
+  });
+
+  return {
+    diff,
+    view: {
+      ...after,
+      entities: [...after.entities, ...diff.entities.removed],
+      holdings: [...after.holdings, ...diff.holdings.removed],
+    },
+    entityStatus,
+    holdingStatus,
+    previousPercentage,
+  };
+};
@@ -0,0 +1,156 @@
+import { isShareMode, totalIssued } from "./capTable.js";
+import { getVotingPercentage } from "./rights.js";
+
+// Dilutive instruments. A company may carry `instruments` that are not yet
+// shares but may become shares: option pools, warrants, convertible notes
+// and SAFEs. Option pools and warrants are sized in shares for companies in
+// share-count mode and as a percentage of the fully diluted capital
+// otherwise. Notes and SAFEs convert at their valuation cap, post-money, and
+// notes accrue simple interest from their issue date. Discounts are recorded
+// but only apply against a priced round, which the model does not have.
+
+export const INSTRUMENT_TYPES = {
+  "option-pool": { label: "Option pool", converts: false },
+  warrant: { label: "Warrant", converts: false },
+  "convertible-note": { label: "Convertible note", converts: true },
+  safe: { label: "SAFE", converts: true },
+};
+
+export const DILUTION_VIEWS = ["basic", "fully-diluted"];
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// The amount a note or SAFE converts on `date`: the principal plus, for
+// notes, the interest accrued since issue
+export const conversionAmount = (instrument, date) => {
+  const principal = instrument.principal || 0;
+  if (
+    instrument.type !== "convertible-note" ||
+    !instrument.interestRate ||
+    !instrument.issueDate ||
+    instrument.issueDate >= date
+  ) {
+    return principal;
+  }
+
+  const years = (new Date(date) - new Date(instrument.issueDate)) / YEAR_MS;
+  return principal * (1 + (instrument.interestRate / 100) * years);
+};
+
+// The fully diluted percentage of a company a convertible instrument turns
+// into, or null when it has no valuation cap to convert at
+const convertedPercentage = (instrument, date) =>
+  instrument.valuationCap > 0
+    ? (conversionAmount(instrument, date) / instrument.valuationCap) * 100
+    : null;
+
+// Work out a company's fully diluted capital on `date`. Returns the factor
+// every existing holding is scaled by and the fully diluted percentage of
+// each instrument (null for convertibles that cannot be priced). Entries
+// that are not instruments of a known type are left out.
+export const diluteCompany = (company, date) => {
+  const instruments = (company.instruments || []).filter(
+    (i) => i && typeof i === "object" && INSTRUMENT_TYPES[i.type]
+  );
+  const converted = instruments
+    .filter((i) => INSTRUMENT_TYPES[i.type].converts)
+    .reduce((sum, i) => sum + (convertedPercentage(i, date) || 0), 0);
+  const exercisable = instruments.filter(
+    (i) => !INSTRUMENT_TYPES[i.type].converts
+  );
+
+  let factor;
+  let exercisablePercentage;
+  if (isShareMode(company)) {
+    // Convertibles take their percentage of the post-money total, so the
+    // issued and option shares make up the rest
+    const issued = totalIssued(company);
+    const shares =
+      issued + exercisable.reduce((sum, i) => sum + (i.shares || 0), 0);
+    const fullyDiluted = converted < 100 ? shares / (1 - converted / 100) : 0;
+    factor = fullyDiluted > 0 ? issued / fullyDiluted : 0;
+    exercisablePercentage = (i) =>
+      fullyDiluted > 0 ? ((i.shares || 0) / fullyDiluted) * 100 : 0;
+  } else {
+    const reserved = exercisable.reduce(
+      (sum, i) => sum + (i.percentage || 0),
+      0
+    );
+    factor = Math.max(0, 1 - (reserved + converted) / 100);
+    exercisablePercentage = (i) => i.percentage || 0;
+  }
+
+  return {
+    factor,
+    instruments: instruments.map((instrument) => {
+      const percentage = INSTRUMENT_TYPES[instrument.type].converts
+        ? convertedPercentage(instrument, date)
+        : exercisablePercentage(instrument);
+      return {
+        instrument,
+        percentage: percentage === null ? null : round(percentage),
+      };
+    }),
+  };
+};
+
+export const instrumentEntityId = (companyId, instrument) =>
+  `instrument:${companyId}:${instrument.id}`;
+
+// The structure on `date` with every company's instruments exercised or
+// converted. Existing holdings are scaled down, and each instrument becomes
+// a holding of its holder, or of a node of its own when it has no holder
+// (an unallocated option pool, say). Instruments carry no votes until they
+// become shares, so votes are left as they were.
+export const fullyDiluted = (structure, date) => {
+  const entities = [...structure.entities];
+  const diluted = {};
+  structure.entities.forEach((company) => {
+    if (company.instruments && company.instruments.length > 0) {
+      diluted[company.id] = diluteCompany(company, date);
+    }
+  });
+
+  const holdings = structure.holdings.map((holding) => {
+    const dilution = diluted[holding.held];
+    if (!dilution) return holding;
+
+    return {
+      ...holding,
+      percentage: round(holding.percentage * dilution.factor),
+      votingPercentage: getVotingPercentage(holding),
+    };
+  });
+
+  Object.keys(diluted).forEach((key) => {
+    const companyId = Number(key);
+    diluted[key].instruments.forEach(({ instrument, percentage }) => {
+      if (percentage === null) return;
+
+      const id = instrumentEntityId(companyId, instrument);
+      let holder = instrument.holder;
+      if (!entities.some((e) => e.id === holder)) {
+        holder = id;
+        entities.push({
+          id,
+          name: instrument.name || INSTRUMENT_TYPES[instrument.type].label,
+          type: "instrument",
+          instrumentType: instrument.type,
+        });
+      }
+
+      holdings.push({
+        id,
+        holder,
+        held: companyId,
+        percentage,
+        votingPercentage: 0,
+        instrument: instrument.type,
+      });
+    });
+  });
+
+  return { ...structure, entities, holdings };
+};
@@ -0,0 +1,541 @@
+import {
+  allocatedShares,
+  applyShareCounts,
+  derivePercentages,
+  isShareMode,
+  sharesHeld,
+} from "./capTable.js";
+import { wouldCreateCycle } from "./cycles.js";
+import { findEntityType, getEntityTypes } from "./entityTypes.js";
+import { getVotingPercentage, withDimension } from "./rights.js";
+import {
+  findEntity,
+  heldPercentage,
+  holdingIndex,
+  shareholdingsOf,
+  stakesOf,
+} from "./structureIndex.js";
+import { allocatedPercentage } from "./timeline.js";
+import { solveEffectiveOwnership } from "./ubo.js";
+import { isError, validateStructure } from "./validation.js";
+
+// The ownership engine: creating, moving, deleting, validating and querying
+// ownership structures of { entities, holdings }, independent of React and
+// D3 so both pages and the tests share one implementation.
+//
+// Every function takes the structure as its first argument and never
+// modifies it. Changes return the new structure, or throw an OwnershipError
+// whose message can be shown to the user as is.
+
+export class OwnershipError extends Error {
+  // `maxPercentage` is set when a stake does not fit in what is left of a
+  // company, to the most it could hold instead
+  constructor(message, { maxPercentage } = {}) {
+    super(message);
+    this.name = "OwnershipError";
+    if (maxPercentage !== undefined) this.maxPercentage = maxPercentage;
+  }
+}
+
+// Queries
+
+// Convert the legacy single-parent format ([{ ..., parent, percentage }])
+// into entities plus holdings
+export const normalizeStructure = (data) => {
+  if (!Array.isArray(data)) return data;
+
+  return {
+    entities: data.map(({ parent, percentage, ...entity }) => entity),
+    holdings: data
+      .filter((e) => e.parent !== null && e.parent !== undefined)
+      .map((e, i) => ({
+        id: i + 1,
+        holder: e.id,
+        held: e.parent,
+        percentage: e.percentage || 0,
+      })),
+  };
+};
+
+// Whether `data` has the shape of a structure with at least one entity
+export const isStructure = (data) =>
+  Boolean(
+    data &&
+    Array.isArray(data.entities) &&
+    data.entities.length > 0 &&
+    Array.isArray(data.holdings)
+  );
+
+// The root is the company at the top of the graph: it holds no stakes itself
+export const findRoot = ({ entities, holdings }) => {
+  const { byHolder } = holdingIndex(holdings);
+  return entities.find((entity) => !byHolder.has(entity.id));
+};
+
+export const getEntity = findEntity;
+
+export const getEntityName = (structure, id) => {
+  const entity = getEntity(structure, id);
+  return entity ? entity.name : `#${id}`;
+};
+
+// The holdings in a company, one per shareholder
+export const getShareholdings = shareholdingsOf;
+
+// The holdings of an entity in other companies
+export const getStakes = stakesOf;
+
+// The next free id among entities or holdings
+export const nextId = (items) =>
+  items.length > 0 ? Math.max(...items.map((item) => item.id)) + 1 : 1;
+
+// The sum of the percentages held in a company by its shareholders
+export const percentageSum = heldPercentage;
+
+export const remainingPercentage = (structure, heldId) =>
+  100 - percentageSum(structure, heldId);
+
+// What is left of a company for a stake held over `period`
+// ({ effectiveFrom, effectiveTo }), counting every other shareholder in force
+// at some point of it. `dimension` is "economic" or "voting".
+export const availablePercentage = (
+  structure,
+  heldId,
+  period = {},
+  { dimension = "economic", excludeId } = {}
+) =>
+  100 -
+  allocatedPercentage(
+    withDimension(structure, dimension).holdings,
+    heldId,
+    period,
+    excludeId
+  );
+
+// Problems with the structure, as from validateStructure; `isError` tells
+// the ones that leave it unusable from warnings
+export const validate = (structure) => validateStructure(structure);
+
+export { isError };
+
+// Changes
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === "";
+
+// In cross-holding mode, changes must leave effective ownership solvable
+// (e.g. two companies owning 100% of each other is not)
+const assertSolvable = (structure) => {
+  if (!structure.crossHoldings) return;
+
+  const root = findRoot(structure);
+  if (!root) return;
+
+  try {
+    solveEffectiveOwnership(structure, root.id);
+  } catch (error) {
+    throw new OwnershipError(error.message);
+  }
+};
+
+const assertMayHaveShareholders = (structure, heldId, action) => {
+  const held = getEntity(structure, heldId);
+  if (!held) {
+    throw new OwnershipError(`There is no entity #${heldId}.`);
+  }
+  const type = findEntityType(getEntityTypes(structure), held.type);
+  if (!type.mayHaveShareholders) {
+    throw new OwnershipError(
+      `${action}: the ${type.label} type cannot have shareholders.`
+    );
+  }
+};
+
+// Add a shareholder to company `heldId`: a new entity from `name` and
+// `type`, or the existing entity `existingId`. The stake is `percentage`,
+// with `votingPercentage` when the votes differ, over the optional period
+// `effectiveFrom`–`effectiveTo`. In a company in share-count mode the stake
+// is given as `shares` ({ [classId]: count }) and the percentages follow
+// from them.
+export const addShareholder = (structure, heldId, shareholder) => {
+  const { entities, holdings } = structure;
+  const { effectiveFrom, effectiveTo } = shareholder;
+  const period = { effectiveFrom, effectiveTo };
+  const target = getEntityName(structure, heldId);
+
+  assertMayHaveShareholders(
+    structure,
+    heldId,
+    `Cannot add a shareholder to ${target}`
+  );
+  if (effectiveFrom && effectiveTo && effectiveFrom > effectiveTo) {
+    throw new OwnershipError("The holding cannot end before it starts.");
+  }
+
+  // In share-count mode the percentages follow from the shares entered,
+  // which must still be unallocated in every class
+  const company = getEntity(structure, heldId);
+  const shareMode = isShareMode(company);
+  if (shareMode) {
+    company.shareClasses.forEach((shareClass) => {
+      const unallocated =
+        shareClass.issued -
+        allocatedShares(holdings, heldId, shareClass.id, period);
+      const count = sharesHeld(shareholder, shareClass.id);
+      if (count > unallocated) {
+        throw new OwnershipError(
+          `Cannot add ${count} ${shareClass.name} shares. Only ${unallocated} are unallocated.`
+        );
+      }
+    });
+  }
+  const entered = shareMode
+    ? derivePercentages(company, shareholder)
+    : shareholder;
+
+  const remaining = availablePercentage(structure, heldId, period);
+  if (entered.percentage > remaining) {
+    throw new OwnershipError(
+      `Cannot add entity with ${entered.percentage}%. Maximum available is ${remaining}%.`,
+      { maxPercentage: remaining }
+    );
+  }
+
+  // Votes are checked separately from the economic interest
+  const votingPercentage = isBlank(entered.votingPercentage)
+    ? null
+    : entered.votingPercentage;
+  const votes =
+    votingPercentage === null ? entered.percentage : votingPercentage;
+  const remainingVotes = availablePercentage(structure, heldId, period, {
+    dimension: "voting",
+  });
+  if (votes > remainingVotes) {
+    throw new OwnershipError(
+      `Cannot add entity with ${votes}% of the votes. Maximum available is ${remainingVotes}%.`
+    );
+  }
+
+  const newEntities = [...entities];
+  let holderId = isBlank(shareholder.existingId)
+    ? null
+    : Number(shareholder.existingId);
+
+  if (holderId !== null) {
+    const name = getEntityName(structure, holderId);
+    if (!getEntity(structure, holderId)) {
+      throw new OwnershipError(`There is no entity #${holderId}.`);
+    }
+    // The root is the one company that holds no stakes
+    const root = findRoot(structure);
+    if (root && root.id === holderId) {
+      throw new OwnershipError(
+        `${name} is the root company and cannot hold a stake in ${target}.`
+      );
+    }
+    if (holdings.some((h) => h.holder === holderId && h.held === heldId)) {
+      throw new OwnershipError(`${name} already holds a stake in ${target}.`);
+    }
+    if (
+      !structure.crossHoldings &&
+      wouldCreateCycle(structure, holderId, heldId)
+    ) {
+      throw new OwnershipError(
+        `Cannot add ${name} as a shareholder of ${target}: it would create a circular holding. Enable cross-holding mode to allow it.`
+      );
+    }
+  } else {
+    holderId = nextId(entities);
+    newEntities.push({
+      id: holderId,
+      name: shareholder.name,
+      type: shareholder.type,
+    });
+  }
+
+  const newHolding = {
+    id: nextId(holdings),
+    holder: holderId,
+    held: heldId,
+    percentage: entered.percentage,
+    ...(votingPercentage !== null && { votingPercentage }),
+    ...(shareMode && { shares: shareholder.shares }),
+    ...(effectiveFrom && { effectiveFrom }),
+    ...(effectiveTo && { effectiveTo }),
+  };
+
+  const updated = applyShareCounts({
+    ...structure,
+    entities: newEntities,
+    holdings: [...holdings, newHolding],
+  });
+  assertSolvable(updated);
+  return updated;
+};
+
+// The entities `holdings` connect to `id` through chains of shareholders
+const reachableFrom = (holdings, id) => {
+  const reachable = new Set([id]);
+  const queue = [id];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    holdings.forEach((h) => {
+      if (h.held === current && !reachable.has(h.holder)) {
+        reachable.add(h.holder);
+        queue.push(h.holder);
+      }
+    });
+  }
+  return reachable;
+};
+
+// Remove an entity with its holdings, and with it every shareholder left
+// without any holding. Instruments the removed entities held are left
+// without a holder.
+export const removeEntity = (structure, id) => {
+  const { entities, holdings } = structure;
+  let root = findRoot(structure);
+  if (root && root.id === id) {
+    throw new OwnershipError("The root company cannot be removed.");
+  }
+
+  const entitiesToRemove = [id];
+  let remainingHoldings = holdings.filter(
+    (h) => h.holder !== id && h.held !== id
+  );
+
+  if (!root) {
+    // Every entity holds a stake, so the root is part of a circular
+    // holding. Without the removed entity's holdings, the root is the
+    // entity left holding nothing with the most of the structure below it;
+    // the other entities cut off from it are removed below.
+    let below = 0;
+    entities.forEach((entity) => {
+      if (
+        entity.id === id ||
+        remainingHoldings.some((h) => h.holder === entity.id)
+      ) {
+        return;
+      }
+      const size = reachableFrom(remainingHoldings, entity.id).size;
+      if (size > below) {
+        root = entity;
+        below = size;
+      }
+    });
+  } else {
+    // Find all descendants that no longer hold a stake in anything
+    const findDescendants = (parentId) => {
+      holdings.forEach((holding) => {
+        if (
+          holding.held !== parentId ||
+          entitiesToRemove.includes(holding.holder)
+        ) {
+          return;
+        }
+
+        if (!remainingHoldings.some((h) => h.holder === holding.holder)) {
+          entitiesToRemove.push(holding.holder);
+          remainingHoldings = remainingHoldings.filter(
+            (h) => h.held !== holding.holder
+          );
+          findDescendants(holding.holder);
+        }
+      });
+    };
+
+    findDescendants(id);
+  }
+
+  // Drop circular groups left with no route to the root, since their
+  // members still hold stakes in each other
+  if (root) {
+    const reachable = reachableFrom(remainingHoldings, root.id);
+    entities.forEach((entity) => {
+      if (!reachable.has(entity.id) && !entitiesToRemove.includes(entity.id)) {
+        entitiesToRemove.push(entity.id);
+      }
+    });
+    remainingHoldings = remainingHoldings.filter(
+      (h) => reachable.has(h.holder) && reachable.has(h.held)
+    );
+  }
+
+  return {
+    ...structure,
+    entities: entities
+      .filter((entity) => !entitiesToRemove.includes(entity.id))
+      .map((entity) =>
+        entity.instruments
+          ? {
+              ...entity,
+              instruments: entity.instruments.map(
+                ({ holder, ...instrument }) =>
+                  entitiesToRemove.includes(holder)
+                    ? instrument
+                    : { holder, ...instrument }
+              ),
+            }
+          : entity
+      ),
+    holdings: remainingHoldings,
+    ...(structure.collapsed && {
+      collapsed: structure.collapsed.filter(
+        (collapsedId) => !entitiesToRemove.includes(collapsedId)
+      ),
+    }),
+  };
+};
+
+// Move a stake to company `toId`. The shareholder keeps its own
+// shareholders, so its whole subtree moves with it. The stake keeps its
+// percentage unless a smaller `percentage` is given; when it does not fit,
+// the OwnershipError carries the most it could be.
+export const moveHolding = (
+  structure,
+  holdingId,
+  toId,
+  { percentage } = {}
+) => {
+  const { holdings } = structure;
+  const holding = holdings.find((h) => h.id === holdingId);
+  if (!holding) {
+    throw new OwnershipError(`There is no holding #${holdingId}.`);
+  }
+  if (holding.held === toId) return structure;
+
+  const name = getEntityName(structure, holding.holder);
+  const target = getEntityName(structure, toId);
+
+  if (wouldCreateCycle(structure, holding.holder, toId)) {
+    throw new OwnershipError(
+      `Cannot move ${name} to ${target}: ${target} holds a stake in ${name}, so the move would create a circular holding.`
+    );
+  }
+  if (holdings.some((h) => h.holder === holding.holder && h.held === toId)) {
+    throw new OwnershipError(`${name} already holds a stake in ${target}.`);
+  }
+  assertMayHaveShareholders(
+    structure,
+    toId,
+    `Cannot move ${name} to ${target}`
+  );
+  if (isShareMode(getEntity(structure, toId))) {
+    throw new OwnershipError(
+      `Cannot move ${name} to ${target}: ${target} is in share-count mode. Add the shareholder there with its shares instead.`
+    );
+  }
+
+  // The stake must fit in what is left of the target over its whole period
+  const period = {
+    effectiveFrom: holding.effectiveFrom,
+    effectiveTo: holding.effectiveTo,
+  };
+  const remaining = parseFloat(
+    availablePercentage(structure, toId, period).toFixed(4)
+  );
+  const moved = percentage === undefined ? holding.percentage : percentage;
+  if (moved > remaining) {
+    if (remaining <= 0) {
+      throw new OwnershipError(
+        `Cannot move ${name} to ${target}: it is already 100% owned.`
+      );
+    }
+    throw new OwnershipError(
+      `${name} holds ${moved}% of ${getEntityName(structure, holding.held)}, but only ${remaining}% of ${target} is left.`,
+      { maxPercentage: remaining }
+    );
+  }
+
+  const votes = getVotingPercentage({ ...holding, percentage: moved });
+  const remainingVotes = availablePercentage(structure, toId, period, {
+    dimension: "voting",
+  });
+  if (votes > remainingVotes) {
+    throw new OwnershipError(
+      `Cannot move ${name} to ${target} with ${votes}% of the votes. Maximum available is ${remainingVotes}%.`
+    );
+  }
+
+  // Share counts belong to the company the stake was in
+  const { shares, ...rest } = holding;
+  const updated = {
+    ...structure,
+    holdings: holdings.map((h) =>
+      h.id === holdingId ? { ...rest, held: toId, percentage: moved } : h
+    ),
+  };
+  assertSolvable(updated);
+  return updated;
+};
+
+export const updateEntity = (structure, id, updates) => ({
+  ...structure,
+  entities: structure.entities.map((entity) =>
+    entity.id === id ? { ...entity, ...updates } : entity
+  ),
+});
+
+// Between 0 and what is available, which is negative in a company already
+// held more than 100%
+const clampStake = (percentage, available) =>
+  Math.max(0, Math.min(percentage, available));
+
+// Replace the stakes of entity `holderId` with `stakes`, as edited: stakes
+// left out are dropped, and each one is clamped so that neither the
+// percentages nor the votes held in a company exceed 100% at any moment of
+// the stake's period, nor fall below 0
+export const updateStakes = (structure, holderId, stakes) => {
+  const invalidRange = stakes.find(
+    (stake) =>
+      stake.effectiveFrom &&
+      stake.effectiveTo &&
+      stake.effectiveFrom > stake.effectiveTo
+  );
+  if (invalidRange) {
+    throw new OwnershipError(
+      `The stake in ${getEntityName(structure, invalidRange.held)} cannot end before it starts.`
+    );
+  }
+
+  const clamped = {};
+  stakes.forEach((stake) => {
+    const options = { excludeId: stake.id };
+    const percentage = clampStake(
+      stake.percentage,
+      availablePercentage(structure, stake.held, stake, options)
+    );
+
+    // Votes are clamped independently of the economic interest, including
+    // the votes that follow it when none are given; those are recorded
+    // separately only when they have to be cut
+    const entered = isBlank(stake.votingPercentage)
+      ? undefined
+      : stake.votingPercentage;
+    const votes = clampStake(
+      getVotingPercentage({ percentage, votingPercentage: entered }),
+      availablePercentage(structure, stake.held, stake, {
+        ...options,
+        dimension: "voting",
+      })
+    );
+    const votingPercentage =
+      entered === undefined && votes === percentage ? undefined : votes;
+
+    clamped[stake.id] = {
+      percentage,
+      votingPercentage,
+      effectiveFrom: stake.effectiveFrom || undefined,
+      effectiveTo: stake.effectiveTo || undefined,
+    };
+  });
+
+  const updated = {
+    ...structure,
+    holdings: structure.holdings
+      .filter((h) => h.holder !== holderId || h.id in clamped)
+      .map((h) => (h.id in clamped ? { ...h, ...clamped[h.id] } : h)),
+  };
+  assertSolvable(updated);
+  return updated;
+};
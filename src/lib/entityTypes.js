@@ -0,0 +1,181 @@
+// The registry of entity types. A structure may carry its own list as
+// `entityTypes`, edited in the settings panel; without one it uses the
+// defaults below. Each type is { id, label, fill, border, icon,
+// mayHaveShareholders, naturalPerson }: `fill` is the node's background
+// color, `border` one of BORDER_STYLES, `icon` a short symbol shown before
+// the label, `mayHaveShareholders` whether other entities can hold stakes in
+// it, and `naturalPerson` whether its entities are people, who get personal
+// profile fields and may be ultimate beneficial owners.
+
+export const BORDER_STYLES = {
+  solid: { label: "Solid", dashArray: null },
+  dashed: { label: "Dashed", dashArray: "6 3" },
+  dotted: { label: "Dotted", dashArray: "2 3" },
+};
+
+export const DEFAULT_ENTITY_TYPES = [
+  {
+    id: "company",
+    label: "Company",
+    fill: "#ffffff",
+    border: "solid",
+    icon: "🏢",
+    mayHaveShareholders: true,
+    naturalPerson: false,
+  },
+  {
+    id: "individual",
+    label: "Individual",
+    fill: "#f0f9e8",
+    border: "solid",
+    icon: "👤",
+    mayHaveShareholders: false,
+    naturalPerson: true,
+  },
+  {
+    id: "trust",
+    label: "Trust",
+    fill: "#fff8e6",
+    border: "solid",
+    icon: "📜",
+    mayHaveShareholders: true,
+    naturalPerson: false,
+  },
+  {
+    id: "partnership",
+    label: "Partnership",
+    fill: "#f9e8f0",
+    border: "solid",
+    icon: "🤝",
+    mayHaveShareholders: true,
+    naturalPerson: false,
+  },
+  {
+    id: "llc",
+    label: "LLC",
+    fill: "#fffde7",
+    border: "solid",
+    icon: "🏬",
+    mayHaveShareholders: true,
+    naturalPerson: false,
+  },
+  {
+    id: "foundation",
+    label: "Foundation",
+    fill: "#ede7f6",
+    border: "solid",
+    icon: "🏛",
+    mayHaveShareholders: true,
+    naturalPerson: false,
+  },
+  {
+    id: "fund",
+    label: "Fund",
+    fill: "#e0f2f1",
+    border: "solid",
+    icon: "💼",
+    mayHaveShareholders: true,
+    naturalPerson: false,
+  },
+  {
+    id: "government",
+    label: "Government Body",
+    fill: "#eceff1",
+    border: "solid",
+    icon: "⚖",
+    mayHaveShareholders: false,
+    naturalPerson: false,
+  },
+  {
+    id: "nominee",
+    label: "Nominee",
+    fill: "#fce4ec",
+    border: "dashed",
+    icon: "👥",
+    mayHaveShareholders: true,
+    naturalPerson: false,
+  },
+  {
+    id: "public-float",
+    label: "Public Float",
+    fill: "#f5f5f5",
+    border: "dotted",
+    icon: "📈",
+    mayHaveShareholders: false,
+    naturalPerson: false,
+  },
+];
+
+export const getEntityTypes = (structure) =>
+  Array.isArray(structure.entityTypes)
+    ? structure.entityTypes
+    : DEFAULT_ENTITY_TYPES;
+
+// The registry entry for `typeId`. Types missing from the registry, such as
+// those of imported entities, are drawn as plain companies under their own
+// name.
+export const findEntityType = (types, typeId) =>
+  types.find((type) => type.id === typeId) || {
+    id: typeId,
+    label: typeId
+      ? typeId.charAt(0).toUpperCase() + typeId.slice(1)
+      : "Unknown",
+    fill: "#ffffff",
+    border: "solid",
+    icon: "",
+    mayHaveShareholders: true,
+  };
+
+export const mayHaveShareholders = (types, entity) =>
+  findEntityType(types, entity.type).mayHaveShareholders;
+
+// Whether `entity` is a person. Types without the flag, from registries
+// saved before it existed or missing from the registry, take it from the
+// default type with the same id.
+export const isNaturalPerson = (types, entity) => {
+  const type = findEntityType(types, entity.type);
+  if (typeof type.naturalPerson === "boolean") return type.naturalPerson;
+  const defaultType = DEFAULT_ENTITY_TYPES.find((d) => d.id === type.id);
+  return Boolean(defaultType && defaultType.naturalPerson);
+};
+
+// An id for a new type, derived from its label and unique in `types`
+export const newTypeId = (types, label) => {
+  const base =
+    label
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "type";
+  let id = base;
+  for (let n = 2; types.some((type) => type.id === id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+};
+
+// Problems with a structure's type registry, as messages
+export const entityTypeProblems = (entityTypes) => {
+  if (entityTypes === undefined) return [];
+  if (!Array.isArray(entityTypes)) return ["The entity types are not a list"];
+
+  const problems = [];
+  const ids = new Set();
+  entityTypes.forEach((type, i) => {
+    if (!type || typeof type.id !== "string" || !type.id) {
+      problems.push(`Entity type at position ${i + 1} has no id`);
+      return;
+    }
+    if (ids.has(type.id)) {
+      problems.push(`Entity type "${type.id}" is defined more than once`);
+    }
+    ids.add(type.id);
+    if (typeof type.label !== "string" || !type.label.trim()) {
+      problems.push(`Entity type "${type.id}" has no label`);
+    }
+    if (type.border !== undefined && !BORDER_STYLES[type.border]) {
+      problems.push(`Entity type "${type.id}" has an unknown border style`);
+    }
+  });
+  return problems;
+};
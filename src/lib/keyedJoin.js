@@ -0,0 +1,32 @@
+import * as d3 from "d3";
+
+// Keyed D3 data joins for the ownership charts, so a redraw only touches
+// the elements whose item changed.
+
+// What each chart element was last drawn from
+const drawnSignatures = new WeakMap();
+
+// Join `items` to groups of `className` in `layer` by key. A group is
+// emptied and drawn again with `draw` only when its item's `signature`
+// differs from the one it was drawn from.
+export const joinKeyed = (layer, items, className, draw) =>
+  layer
+    .selectAll(`g.${className}`)
+    .data(items, (item) => item.key)
+    .join((enter) => enter.append("g").attr("class", className))
+    .each(function (item) {
+      if (drawnSignatures.get(this) === item.signature) return;
+      drawnSignatures.set(this, item.signature);
+      const group = d3.select(this);
+      group.selectAll("*").remove();
+      draw(group, item);
+    });
+
+// The single `tag` element of `className` in `parent`, created on the
+// first render
+export const layer = (parent, tag, className) =>
+  parent
+    .selectAll(`${tag}.${className}`)
+    .data([null])
+    .join(tag)
+    .attr("class", className);
@@ -0,0 +1,110 @@
+import { isNaturalPerson } from "./entityTypes.js";
+import { isValidDate } from "./timeline.js";
+
+// Entity profiles for KYC work: registration data for companies and other
+// bodies, personal data for individuals, and free-form custom fields. The
+// fields are stored on the entity itself, and custom fields as
+// `customFields`, a list of { label, value }.
+
+export const ORGANIZATION_FIELDS = [
+  {
+    key: "jurisdiction",
+    label: "Jurisdiction",
+    placeholder: "Country code, e.g. GB",
+  },
+  { key: "registrationNumber", label: "Registration Number" },
+  { key: "lei", label: "LEI", placeholder: "20-character LEI code" },
+  { key: "incorporationDate", label: "Incorporation Date", type: "date" },
+  { key: "registeredAddress", label: "Registered Address", multiline: true },
+];
+
+export const INDIVIDUAL_FIELDS = [
+  {
+    key: "nationality",
+    label: "Nationality",
+    placeholder: "Country code, e.g. FR",
+  },
+  { key: "dateOfBirth", label: "Date of Birth", type: "date" },
+];
+
+export const PROFILE_FIELDS = [...ORGANIZATION_FIELDS, ...INDIVIDUAL_FIELDS];
+
+// The profile fields that apply to an entity, given the entity `types`:
+// personal data for natural persons and registration data for the others
+export const profileFieldsFor = (types, entity) => {
+  if (entity.type === "instrument") return [];
+  return isNaturalPerson(types, entity)
+    ? INDIVIDUAL_FIELDS
+    : ORGANIZATION_FIELDS;
+};
+
+// The profile as edited, ready to merge into the entity: values are trimmed,
+// blank fields and fields that do not apply to the entity's type are
+// cleared, and custom fields without a label are dropped
+export const cleanProfile = (types, entity) => {
+  const applicable = profileFieldsFor(types, entity).map((field) => field.key);
+  const updates = {};
+  PROFILE_FIELDS.forEach(({ key }) => {
+    const value =
+      typeof entity[key] === "string" ? entity[key].trim() : entity[key];
+    updates[key] = applicable.includes(key) && value ? value : undefined;
+  });
+
+  const customFields = (entity.customFields || [])
+    .map((field) => ({
+      label: (field.label || "").trim(),
+      value: String(field.value ?? "").trim(),
+    }))
+    .filter((field) => field.label);
+  updates.customFields = customFields.length > 0 ? customFields : undefined;
+
+  return updates;
+};
+
+// The country shown on the entity's node: where it is incorporated, or an
+// individual's nationality. Country codes are shown in capitals.
+export const countryCode = (entity) => {
+  const country = entity.jurisdiction || entity.nationality || "";
+  return country.length <= 3 ? country.toUpperCase() : country;
+};
+
+// Whether `lei` is a well-formed Legal Entity Identifier (ISO 17442): 18
+// letters or digits followed by two check digits, validated by ISO 7064
+// MOD 97-10
+export const isValidLei = (lei) => {
+  if (!/^[A-Z0-9]{18}[0-9]{2}$/.test(lei)) return false;
+
+  const digits = [...lei].map((char) => parseInt(char, 36)).join("");
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+};
+
+// Problems with an entity's profile, as messages
+export const profileProblems = (entity) => {
+  const problems = [];
+
+  if (entity.lei && !isValidLei(entity.lei)) {
+    problems.push(`has an invalid LEI "${entity.lei}"`);
+  }
+  PROFILE_FIELDS.filter((field) => field.type === "date").forEach(
+    ({ key, label }) => {
+      if (entity[key] && !isValidDate(entity[key])) {
+        problems.push(`has an invalid ${label.toLowerCase()}`);
+      }
+    }
+  );
+  if (
+    entity.customFields !== undefined &&
+    (!Array.isArray(entity.customFields) ||
+      entity.customFields.some(
+        (field) => !field || typeof field.label !== "string" || !field.label
+      ))
+  ) {
+    problems.push("has custom fields without a label");
+  }
+
+  return problems;
+};
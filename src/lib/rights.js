@@ -0,0 +1,87 @@
+import { holdingIndex } from "./structureIndex.js";
+
+// Voting and economic rights. A holding's `percentage` is its economic
+// interest; `votingPercentage` is its share of the votes and defaults to the
+// economic interest when left out (ordinary shares).
+
+export const DIMENSIONS = ["economic", "voting"];
+
+export const getVotingPercentage = (holding) =>
+  holding.votingPercentage === undefined || holding.votingPercentage === null
+    ? holding.percentage || 0
+    : holding.votingPercentage;
+
+export const getDimensionPercentage = (holding, dimension) =>
+  dimension === "voting" ? getVotingPercentage(holding) : holding.percentage;
+
+// The structure with every holding's `percentage` set to the chosen
+// dimension, so sums, labels and ownership chains can work on votes as well
+export const withDimension = (structure, dimension) => {
+  if (dimension !== "voting") return structure;
+
+  return {
+    ...structure,
+    holdings: structure.holdings.map((holding) => ({
+      ...holding,
+      percentage: getVotingPercentage(holding),
+    })),
+  };
+};
+
+// Work out who controls each company. An entity controls a company when it
+// holds more than 50% of the votes, counting its own votes together with
+// those of every company it already controls. Returns, per controlled
+// company id, every entity controlling it and the ultimate controller (the
+// one that nobody else controls).
+export const findControllers = ({ entities, holdings }) => {
+  const { byHolder } = holdingIndex(holdings);
+
+  // Grow each controller's group one member at a time: a member's votes
+  // are added to every company it holds a stake in, and a company joins
+  // the group once the group holds a majority of its votes
+  const controlledBy = {};
+  entities.forEach((controller) => {
+    const group = new Set([controller.id]);
+    const votes = new Map();
+    const queue = [controller.id];
+
+    while (queue.length > 0) {
+      const member = queue.shift();
+      (byHolder.get(member) || []).forEach((holding) => {
+        const total =
+          (votes.get(holding.held) || 0) + getVotingPercentage(holding);
+        votes.set(holding.held, total);
+        if (total > 50 && !group.has(holding.held)) {
+          group.add(holding.held);
+          queue.push(holding.held);
+        }
+      });
+    }
+
+    group.forEach((companyId) => {
+      if (companyId === controller.id) return;
+      if (!controlledBy[companyId]) controlledBy[companyId] = [];
+      controlledBy[companyId].push(controller.id);
+    });
+  });
+
+  const control = {};
+  Object.keys(controlledBy).forEach((key) => {
+    const controllers = controlledBy[key];
+    control[key] = {
+      controllers,
+      ultimate:
+        controllers.find((id) => !controlledBy[id]) ?? controllers[0] ?? null,
+    };
+  });
+
+  return control;
+};
+
+// The shareholder holding a direct voting majority in a company, if any
+export const findMajorityHolder = ({ holdings }, companyId) => {
+  const majority = holdings.find(
+    (h) => h.held === companyId && getVotingPercentage(h) > 50
+  );
+  return majority ? majority.holder : null;
+};
@@ -0,0 +1,81 @@
+import { stakesOf } from "./structureIndex.js";
+
+// Fuzzy search over entities, and the ownership chain of an entity up to
+// the root for highlighting a search result in the chart.
+
+// Fields never worth matching on
+const SKIPPED_FIELDS = ["id"];
+
+// How well `query` matches `text`: higher is better, null for no match. A
+// substring match beats a match of the query's letters spread through the
+// text in order, and earlier and tighter matches beat later and looser ones.
+export const fuzzyScore = (query, text) => {
+  const needle = query.trim().toLowerCase();
+  const haystack = String(text).toLowerCase();
+  if (!needle) return null;
+
+  const index = haystack.indexOf(needle);
+  if (index !== -1) {
+    return 1000 - index * 10 - (haystack.length - needle.length);
+  }
+
+  let position = -1;
+  let gaps = 0;
+  for (const char of needle) {
+    const next = haystack.indexOf(char, position + 1);
+    if (next === -1) return null;
+    if (position !== -1) gaps += next - position - 1;
+    position = next;
+  }
+  return 500 - gaps * 10 - (haystack.length - needle.length);
+};
+
+// Entities matching `query` on their name or any other text or number
+// field, custom fields included, best match first. Each result is
+// { entity, field, value }, naming the field that matched best.
+export const searchEntities = (entities, query) =>
+  entities
+    .map((entity) => {
+      const customFields = Array.isArray(entity.customFields)
+        ? entity.customFields.map((field) => [field.label, field.value])
+        : [];
+      let best = null;
+      [...Object.entries(entity), ...customFields].forEach(([field, value]) => {
+        if (SKIPPED_FIELDS.includes(field)) return;
+        if (typeof value !== "string" && typeof value !== "number") return;
+
+        const score = fuzzyScore(query, value);
+        // Prefer the name when several fields match equally well
+        if (
+          score !== null &&
+          (best === null ||
+            score > best.score ||
+            (score === best.score && field === "name"))
+        ) {
+          best = { entity, field, value, score };
+        }
+      });
+      return best;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .map(({ score, ...result }) => result);
+
+// The entity and every company it holds a stake in, directly or through
+// other companies. Every holding whose holder is in the set lies on a chain
+// from the entity up to the root.
+export const ownershipChain = (structure, id) => {
+  const chain = new Set([id]);
+  const queue = [id];
+
+  while (queue.length > 0) {
+    stakesOf(structure, queue.pop()).forEach((holding) => {
+      if (!chain.has(holding.held)) {
+        chain.add(holding.held);
+        queue.push(holding.held);
+      }
+    });
+  }
+
+  return chain;
+};
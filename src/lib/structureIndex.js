@@ -0,0 +1,70 @@
+// Lookup tables over a structure's entities and holdings, so code that asks
+// about many entities in turn (drawing the chart, laying it out, validating)
+// does each lookup in constant time instead of scanning the lists.
+//
+// Structures are never modified in place, so an index is built once per
+// entities or holdings array and cached for as long as the array is in use.
+
+const entityIndexes = new WeakMap();
+const holdingIndexes = new WeakMap();
+
+const EMPTY = [];
+
+const append = (map, key, value) => {
+  const list = map.get(key);
+  if (list) list.push(value);
+  else map.set(key, [value]);
+};
+
+// Entities by id. The first entity wins when ids are repeated.
+export const entityIndex = (entities) => {
+  let byId = entityIndexes.get(entities);
+  if (!byId) {
+    byId = new Map();
+    entities.forEach((entity) => {
+      if (entity && !byId.has(entity.id)) byId.set(entity.id, entity);
+    });
+    entityIndexes.set(entities, byId);
+  }
+  return byId;
+};
+
+// Holdings by id, by holder and by held company, with the sum of the
+// percentages held in each company
+export const holdingIndex = (holdings) => {
+  let index = holdingIndexes.get(holdings);
+  if (!index) {
+    index = {
+      byId: new Map(),
+      byHolder: new Map(),
+      byHeld: new Map(),
+      sums: new Map(),
+    };
+    holdings.forEach((holding) => {
+      if (!holding) return;
+      if (!index.byId.has(holding.id)) index.byId.set(holding.id, holding);
+      append(index.byHolder, holding.holder, holding);
+      append(index.byHeld, holding.held, holding);
+      index.sums.set(
+        holding.held,
+        (index.sums.get(holding.held) || 0) + (holding.percentage || 0)
+      );
+    });
+    holdingIndexes.set(holdings, index);
+  }
+  return index;
+};
+
+export const findEntity = ({ entities }, id) => entityIndex(entities).get(id);
+
+// The holdings of `holderId` in other companies
+export const stakesOf = ({ holdings }, holderId) =>
+  holdingIndex(holdings).byHolder.get(holderId) || EMPTY;
+
+// The holdings in `heldId`, one per shareholder
+export const shareholdingsOf = ({ holdings }, heldId) =>
+  holdingIndex(holdings).byHeld.get(heldId) || EMPTY;
+
+// The sum of the percentages held in `heldId`
+export const heldPercentage = ({ holdings }, heldId) =>
+  holdingIndex(holdings).sums.get(heldId) || 0;
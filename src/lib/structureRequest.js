@@ -0,0 +1,56 @@
+import { mayBeSaved, validateStructure } from "./validation.js";
+
+// The problems with a structure in a request body. Warnings are let through
+// when the body sets `allowWarnings`, as the editor does once the user has
+// confirmed them; errors and structural problems never are.
+const structureProblems = (body) =>
+  validateStructure(body.structure).filter(
+    (problem) => body.allowWarnings !== true || !mayBeSaved(problem)
+  );
+
+// Check the body of a create or update request. Returns the list of
+// problems; on update (`partial`) the name and structure are optional.
+export const validateStructureRequest = (body, { partial = false } = {}) => {
+  if (!body || typeof body !== "object") {
+    return [{ rule: "format", message: "Request body must be a JSON object" }];
+  }
+
+  const problems = [];
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== "string" || body.name.trim() === "") {
+      problems.push({ rule: "name", message: "A structure needs a name" });
+    } else if (body.name.length > 200) {
+      problems.push({
+        rule: "name",
+        message: "Structure names are limited to 200 characters",
+      });
+    }
+  }
+
+  if (!partial || body.structure !== undefined) {
+    problems.push(...structureProblems(body));
+  }
+
+  return problems;
+};
+
+// Check the body of a request that saves a labeled version
+export const validateVersionRequest = (body) => {
+  if (!body || typeof body !== "object") {
+    return [{ rule: "format", message: "Request body must be a JSON object" }];
+  }
+
+  const problems = [];
+  if (typeof body.label !== "string" || body.label.trim() === "") {
+    problems.push({ rule: "label", message: "A version needs a label" });
+  } else if (body.label.length > 200) {
+    problems.push({
+      rule: "label",
+      message: "Version labels are limited to 200 characters",
+    });
+  }
+  problems.push(...structureProblems(body));
+
+  return problems;
+};
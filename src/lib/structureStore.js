@@ -0,0 +1,162 @@
+import { randomUUID } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+
+// File-backed store for saved structures, used by the /api/structures
+// routes. Every record is kept in a single JSON file:
+// [{ id, name, structure, versions, createdAt, updatedAt }]
+// where `versions` holds labeled snapshots: [{ id, label, structure, createdAt }]
+const STORE_FILE =
+  process.env.STRUCTURES_FILE ||
+  path.join(process.cwd(), "data", "structures.json");
+
+const readRecords = async () => {
+  try {
+    return JSON.parse(await fs.readFile(STORE_FILE, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+};
+
+// Write to a temporary file first so a crash never leaves a truncated store
+const writeRecords = async (records) => {
+  await fs.mkdir(path.dirname(STORE_FILE), { recursive: true });
+  const tempFile = `${STORE_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(records, null, 2));
+  await fs.rename(tempFile, STORE_FILE);
+};
+
+// Serialize writes so concurrent requests don't overwrite each other
+let queue = Promise.resolve();
+const withLock = (task) => {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+};
+
+const summarize = ({ id, name, createdAt, updatedAt }) => ({
+  id,
+  name,
+  createdAt,
+  updatedAt,
+});
+
+export const listStructures = async () => {
+  const records = await readRecords();
+  return records
+    .map(summarize)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// Versions are only returned by the version functions below
+export const getStructure = async (id) => {
+  const records = await readRecords();
+  const record = records.find((r) => r.id === id);
+  if (!record) return null;
+
+  const { versions, ...rest } = record;
+  return rest;
+};
+
+export const createStructure = ({ name, structure }) =>
+  withLock(async () => {
+    const records = await readRecords();
+    const now = new Date().toISOString();
+    const record = {
+      id: randomUUID(),
+      name,
+      structure,
+      versions: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+    await writeRecords([...records, record]);
+    return record;
+  });
+
+export const updateStructure = (id, updates) =>
+  withLock(async () => {
+    const records = await readRecords();
+    const existing = records.find((record) => record.id === id);
+    if (!existing) return null;
+
+    const record = {
+      ...existing,
+      ...updates,
+      id,
+      versions: existing.versions || [],
+      updatedAt: new Date().toISOString(),
+    };
+    await writeRecords(records.map((r) => (r.id === id ? record : r)));
+    const { versions, ...rest } = record;
+    return rest;
+  });
+
+export const deleteStructure = (id) =>
+  withLock(async () => {
+    const records = await readRecords();
+    if (!records.some((record) => record.id === id)) return false;
+    await writeRecords(records.filter((record) => record.id !== id));
+    return true;
+  });
+
+const summarizeVersion = ({ id, label, createdAt }) => ({
+  id,
+  label,
+  createdAt,
+});
+
+// Returns null when the structure doesn't exist
+export const listVersions = async (structureId) => {
+  const records = await readRecords();
+  const record = records.find((r) => r.id === structureId);
+  return record ? (record.versions || []).map(summarizeVersion) : null;
+};
+
+export const getVersion = async (structureId, versionId) => {
+  const records = await readRecords();
+  const record = records.find((r) => r.id === structureId);
+  if (!record) return null;
+  return (record.versions || []).find((v) => v.id === versionId) || null;
+};
+
+export const createVersion = (structureId, { label, structure }) =>
+  withLock(async () => {
+    const records = await readRecords();
+    const record = records.find((r) => r.id === structureId);
+    if (!record) return null;
+
+    const version = {
+      id: randomUUID(),
+      label,
+      structure,
+      createdAt: new Date().toISOString(),
+    };
+    const updated = {
+      ...record,
+      versions: [...(record.versions || []), version],
+    };
+    await writeRecords(
+      records.map((r) => (r.id === structureId ? updated : r))
+    );
+    return version;
+  });
+
+export const deleteVersion = (structureId, versionId) =>
+  withLock(async () => {
+    const records = await readRecords();
+    const record = records.find((r) => r.id === structureId);
+    if (!record || !(record.versions || []).some((v) => v.id === versionId)) {
+      return false;
+    }
+
+    const updated = {
+      ...record,
+      versions: record.versions.filter((v) => v.id !== versionId),
+    };
+    await writeRecords(
+      records.map((r) => (r.id === structureId ? updated : r))
+    );
+    return true;
+  });
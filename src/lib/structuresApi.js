@@ -0,0 +1,95 @@
+import { mayBeSaved, validateStructure } from "./validation.js";
+
+// Browser client for the /api/structures routes. The server refuses
+// structures with validation warnings unless the request sets
+// `allowWarnings`, which is only sent once the user has confirmed them;
+// errors and structural problems are always refused.
+
+const request = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options.headers },
+  });
+
+  if (response.status === 204) return null;
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(
+      body.error || `Request failed (${response.status})`
+    );
+    error.problems = body.problems || [];
+    throw error;
+  }
+  return body;
+};
+
+// Format an API error, including any validation problems, for alert()
+export const describeApiError = (error) =>
+  [error.message, ...(error.problems || []).map((p) => `• ${p.message}`)].join(
+    "\n"
+  );
+
+export const listStructures = () => request("/api/structures");
+
+export const getStructure = (id) =>
+  request(`/api/structures/${encodeURIComponent(id)}`);
+
+// Show the user the warnings `structure` would be saved with, or why it
+// cannot be saved. Returns the request options to save it with, or null
+// when it cannot be saved or the user cancelled.
+export const confirmSaving = (structure) => {
+  const problems = validateStructure(structure);
+  const refused = problems.filter((p) => !mayBeSaved(p));
+  if (refused.length > 0) {
+    alert(
+      ["The structure cannot be saved until these are fixed:"]
+        .concat(refused.map((p) => `• ${p.message}`))
+        .join("\n")
+    );
+    return null;
+  }
+  if (problems.length === 0) return {};
+
+  const accepted = window.confirm(
+    ["Save the structure with these warnings?"]
+      .concat(problems.map((p) => `• ${p.message}`))
+      .join("\n")
+  );
+  return accepted ? { allowWarnings: true } : null;
+};
+
+export const createStructure = (name, structure, { allowWarnings } = {}) =>
+  request("/api/structures", {
+    method: "POST",
+    body: JSON.stringify({ name, structure, allowWarnings }),
+  });
+
+export const updateStructure = (id, updates, { allowWarnings } = {}) =>
+  request(`/api/structures/${encodeURIComponent(id)}`, {
+    method: "PUT",
+    body: JSON.stringify({ ...updates, allowWarnings }),
+  });
+
+export const deleteStructure = (id) =>
+  request(`/api/structures/${encodeURIComponent(id)}`, { method: "DELETE" });
+
+export const listVersions = (id) =>
+  request(`/api/structures/${encodeURIComponent(id)}/versions`);
+
+export const getVersion = (id, versionId) =>
+  request(
+    `/api/structures/${encodeURIComponent(id)}/versions/${encodeURIComponent(versionId)}`
+  );
+
+export const createVersion = (id, label, structure, { allowWarnings } = {}) =>
+  request(`/api/structures/${encodeURIComponent(id)}/versions`, {
+    method: "POST",
+    body: JSON.stringify({ label, structure, allowWarnings }),
+  });
+
+export const deleteVersion = (id, versionId) =>
+  request(
+    `/api/structures/${encodeURIComponent(id)}/versions/${encodeURIComponent(versionId)}`,
+    { method: "DELETE" }
+  );
@@ -0,0 +1,111 @@
+import { holdingIndex } from "./structureIndex.js";
+
+// Effective dating of holdings. A holding may carry `effectiveFrom` and
+// `effectiveTo` dates (ISO "YYYY-MM-DD", both inclusive); a missing date
+// leaves that end of the range open.
+
+const EARLIEST = "0000-01-01";
+const LATEST = "9999-12-31";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const isValidDate = (value) =>
+  typeof value === "string" &&
+  DATE_PATTERN.test(value) &&
+  !Number.isNaN(Date.parse(value));
+
+export const today = () => new Date().toISOString().slice(0, 10);
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+const rangeOf = (holding) => ({
+  from: holding.effectiveFrom || EARLIEST,
+  to: holding.effectiveTo || LATEST,
+});
+
+export const isHoldingActive = (holding, date) => {
+  const { from, to } = rangeOf(holding);
+  return from <= date && date <= to;
+};
+
+export const rangesOverlap = (a, b) => {
+  const first = rangeOf(a);
+  const second = rangeOf(b);
+  return first.from <= second.to && second.from <= first.to;
+};
+
+// The structure as it stood on `date`: only holdings in force on that day,
+// and only entities still connected through them to the root (the entity
+// with no holdings at all). An entity whose stakes have all lapsed drops
+// out with its own shareholders, as when it is removed.
+export const structureAsOf = (structure, date) => {
+  if (!date) return structure;
+
+  const active = structure.holdings.filter((h) => isHoldingActive(h, date));
+  const { byHolder } = holdingIndex(structure.holdings);
+  const { byHeld } = holdingIndex(active);
+
+  const reachable = new Set(
+    structure.entities
+      .filter((entity) => !byHolder.has(entity.id))
+      .map((entity) => entity.id)
+  );
+  const queue = [...reachable];
+  while (queue.length > 0) {
+    (byHeld.get(queue.shift()) || []).forEach(({ holder }) => {
+      if (!reachable.has(holder)) {
+        reachable.add(holder);
+        queue.push(holder);
+      }
+    });
+  }
+
+  return {
+    ...structure,
+    entities: structure.entities.filter((entity) => reachable.has(entity.id)),
+    holdings: active.filter(
+      (h) => reachable.has(h.holder) && reachable.has(h.held)
+    ),
+  };
+};
+
+// Every date on which the structure changes: holdings starting, and the day
+// after holdings end. Sorted ascending.
+export const getChangeDates = ({ holdings }) => {
+  const dates = new Set();
+  holdings.forEach((holding) => {
+    if (holding.effectiveFrom) dates.add(holding.effectiveFrom);
+    if (holding.effectiveTo) dates.add(addDays(holding.effectiveTo, 1));
+  });
+  return [...dates].sort();
+};
+
+// The largest percentage of `heldId` allocated at any moment within
+// `range` ({ effectiveFrom, effectiveTo }) by holdings other than `excludeId`.
+// Totals only grow when a holding starts, so it is enough to check the start
+// of the range and every start date inside it.
+export const allocatedPercentage = (holdings, heldId, range, excludeId) => {
+  const siblings = holdings.filter(
+    (h) => h.held === heldId && h.id !== excludeId && rangesOverlap(h, range)
+  );
+  const { from, to } = rangeOf(range);
+  const checkpoints = [
+    from,
+    ...siblings
+      .map((h) => h.effectiveFrom)
+      .filter((date) => date && date > from && date <= to),
+  ];
+
+  return Math.max(
+    0,
+    ...checkpoints.map((date) =>
+      siblings
+        .filter((h) => isHoldingActive(h, date))
+        .reduce((sum, h) => sum + (h.percentage || 0), 0)
+    )
+  );
+};
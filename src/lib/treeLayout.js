@@ -0,0 +1,113 @@
+import * as d3 from "d3";
+import { holdingIndex, stakesOf } from "./structureIndex.js";
+
+// Tidy-tree layout of the ownership chart. Every entity is placed on the
+// level one below the deepest company it holds a stake in, and hangs in the
+// tree below one of the companies on the level above; its other stakes are
+// drawn as extra connector lines. Subtrees are packed by d3.tree
+// (Reingold–Tilford), so a branch takes up only as much room as it needs.
+
+export const ORIENTATIONS = {
+  "top-down": "Top-down",
+  "bottom-up": "Bottom-up",
+  "left-to-right": "Left-to-right",
+};
+
+// The level of every entity below the root. `path` holds the entities on
+// the current chain so circular holdings are not followed around the loop.
+export const entityDepths = ({ holdings }, rootId) => {
+  const { byHeld } = holdingIndex(holdings);
+
+  // Depth-first with an explicit stack, so deep chains cannot overflow the
+  // call stack. Each frame is an entity, its depth and the next of its
+  // shareholders to visit.
+  const depthById = {};
+  const path = new Set();
+  const stack = [];
+  const enter = (id, depth) => {
+    if (path.has(id)) return;
+    if (depthById[id] !== undefined && depthById[id] >= depth) return;
+    depthById[id] = depth;
+    path.add(id);
+    stack.push({ id, depth, next: 0 });
+  };
+
+  enter(rootId, 0);
+  while (stack.length > 0) {
+    const frame = stack[stack.length - 1];
+    const shareholdings = byHeld.get(frame.id) || [];
+    if (frame.next < shareholdings.length) {
+      enter(shareholdings[frame.next++].holder, frame.depth + 1);
+    } else {
+      path.delete(frame.id);
+      stack.pop();
+    }
+  }
+  return depthById;
+};
+
+// Where every entity reachable from the root hangs in the tree: its level,
+// the company it hangs below and, for each company, the shareholders
+// hanging below it in chart order.
+export const treePlacement = (structure, rootId) => {
+  const depthById = entityDepths(structure, rootId);
+
+  // Hang each shareholder below the deepest company above it that it holds
+  // a stake in, normally one on the level just above. Circular holdings can
+  // leave an entity without one; it hangs below the root.
+  const childrenOf = {};
+  const parentById = {};
+  structure.entities
+    .filter((entity) => entity.id !== rootId && entity.id in depthById)
+    .forEach((entity) => {
+      const depth = depthById[entity.id];
+      const parentId = stakesOf(structure, entity.id)
+        .filter((h) => depthById[h.held] < depth)
+        .map((h) => h.held)
+        .reduce(
+          (best, id) =>
+            best === null || depthById[id] > depthById[best] ? id : best,
+          null
+        );
+      parentById[entity.id] = parentId === null ? rootId : parentId;
+      if (!childrenOf[parentById[entity.id]]) {
+        childrenOf[parentById[entity.id]] = [];
+      }
+      childrenOf[parentById[entity.id]].push(entity.id);
+    });
+
+  return { rootId, depthById, parentById, childrenOf };
+};
+
+// Position every entity reachable from the root. Returns node centres by
+// entity id together with the tree placement. The root is at (0, 0); the
+// chart grows downwards, upwards or to the right depending on
+// `orientation`.
+export const layoutTree = (
+  structure,
+  rootId,
+  { nodeWidth, nodeHeight, siblingGap, levelGap, orientation = "top-down" }
+) => {
+  const placement = treePlacement(structure, rootId);
+  const { depthById, childrenOf } = placement;
+
+  const horizontal = orientation === "left-to-right";
+  const breadth = (horizontal ? nodeHeight : nodeWidth) + siblingGap;
+  const length = (horizontal ? nodeWidth : nodeHeight) + levelGap;
+
+  const root = d3.hierarchy(rootId, (id) => childrenOf[id]);
+  d3
+    .tree()
+    .nodeSize([breadth, length])
+    .separation((a, b) => (a.parent === b.parent ? 1 : 1.25))(root);
+
+  const positions = {};
+  root.each((node) => {
+    const along = depthById[node.data] * length;
+    positions[node.data] = horizontal
+      ? { x: along, y: node.x }
+      : { x: node.x, y: orientation === "bottom-up" ? -along : along };
+  });
+
+  return { positions, ...placement };
+};
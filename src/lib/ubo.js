@@ -0,0 +1,148 @@
+import { getEntityTypes, isNaturalPerson } from "./entityTypes.js";
+
+// Ultimate beneficial owner (UBO) calculations on an ownership structure of
+// { entities, holdings }, where each holding records that `holder` owns
+// `percentage` of `held`.
+
+// Solve effective ownership of the root for structures with circular or
+// reciprocal holdings. With A[i][k] the fraction of k held by i, the
+// effective ownership x of the root satisfies x = A·x + a, where a is the
+// column of direct stakes in the root, so we solve (I - A)·x = a.
+export const solveEffectiveOwnership = ({ entities, holdings }, rootId) => {
+  const ids = entities.map((entity) => entity.id);
+  const position = {};
+  ids.forEach((id, i) => {
+    position[id] = i;
+  });
+
+  const size = ids.length;
+  const matrix = ids.map(() => new Array(size + 1).fill(0));
+  ids.forEach((id, i) => {
+    matrix[i][i] = 1;
+  });
+
+  holdings.forEach((holding) => {
+    const i = position[holding.holder];
+    if (i === undefined || position[holding.held] === undefined) return;
+
+    const fraction = (holding.percentage || 0) / 100;
+    if (holding.held === rootId) {
+      matrix[i][size] += fraction;
+    } else {
+      matrix[i][position[holding.held]] -= fraction;
+    }
+  });
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+        pivot = row;
+      }
+    }
+
+    if (Math.abs(matrix[pivot][col]) < 1e-12) {
+      throw new Error(
+        "Circular holdings leave no outside owner, so effective ownership cannot be determined"
+      );
+    }
+
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+    for (let row = 0; row < size; row++) {
+      if (row === col) continue;
+      const factor = matrix[row][col] / matrix[col][col];
+      if (factor === 0) continue;
+      for (let k = col; k <= size; k++) {
+        matrix[row][k] -= factor * matrix[col][k];
+      }
+    }
+  }
+
+  const effective = {};
+  ids.forEach((id, i) => {
+    const value = (matrix[i][size] / matrix[i][i]) * 100;
+    if (id !== rootId && value > 1e-9) effective[id] = value;
+  });
+
+  return effective;
+};
+
+// Walk every ownership chain from the root company down to its shareholders
+// and multiply the percentages along the way. The result maps each entity id
+// to its effective (indirect) ownership of the root and the chains producing
+// it. Each chain lists entity ids from the shareholder up to the root.
+//
+// Chains never pass through the same entity twice. With `solveCrossHoldings`
+// the effective figures come from solveEffectiveOwnership instead, so value
+// that loops around circular holdings is included; the chains then list the
+// direct routes only.
+export const calculateEffectiveOwnership = (
+  structure,
+  rootId,
+  { solveCrossHoldings = false } = {}
+) => {
+  const { holdings } = structure;
+  const results = {};
+
+  const shareholdingsOf = {};
+  holdings.forEach((holding) => {
+    if (!shareholdingsOf[holding.held]) shareholdingsOf[holding.held] = [];
+    shareholdingsOf[holding.held].push(holding);
+  });
+
+  const traverse = (heldId, chain, fraction) => {
+    (shareholdingsOf[heldId] || []).forEach((holding) => {
+      // Never follow a chain back through an entity already on it
+      if (chain.includes(holding.holder)) return;
+
+      const share = fraction * ((holding.percentage || 0) / 100);
+      const holderChain = [holding.holder, ...chain];
+
+      if (!results[holding.holder]) {
+        results[holding.holder] = { effective: 0, paths: [] };
+      }
+      results[holding.holder].effective += share * 100;
+      results[holding.holder].paths.push({
+        chain: holderChain,
+        percentage: share * 100,
+      });
+
+      traverse(holding.holder, holderChain, share);
+    });
+  };
+
+  traverse(rootId, [rootId], 1);
+
+  if (solveCrossHoldings) {
+    const solved = solveEffectiveOwnership(structure, rootId);
+    Object.keys(results).forEach((id) => {
+      results[id].effective = solved[id] || 0;
+    });
+  }
+
+  return results;
+};
+
+// List the natural persons whose effective ownership of the root is at or
+// above the threshold percentage, largest first
+export const findUltimateBeneficialOwners = (
+  structure,
+  rootId,
+  threshold,
+  options
+) => {
+  const ownership = calculateEffectiveOwnership(structure, rootId, options);
+  const types = getEntityTypes(structure);
+
+  return structure.entities
+    .filter(
+      (entity) =>
+        isNaturalPerson(types, entity) &&
+        ownership[entity.id] &&
+        ownership[entity.id].effective >= threshold - 1e-9
+    )
+    .map((entity) => ({ entity, ...ownership[entity.id] }))
+    .sort((a, b) => b.effective - a.effective);
+};
@@ -0,0 +1,558 @@
+import { allocatedShares, isShareMode } from "./capTable.js";
+import { findCycles } from "./cycles.js";
+import { INSTRUMENT_TYPES, diluteCompany } from "./dilution.js";
+import {
+  entityTypeProblems,
+  findEntityType,
+  getEntityTypes,
+} from "./entityTypes.js";
+import { profileProblems } from "./profile.js";
+import { withDimension } from "./rights.js";
+import { entityIndex, holdingIndex } from "./structureIndex.js";
+import {
+  allocatedPercentage,
+  isValidDate,
+  rangesOverlap,
+  today,
+} from "./timeline.js";
+
+// Problems that leave a structure unusable. Everything else is a warning: the
+// structure can still be opened and shown, and the user may accept it.
+const ERROR_RULES = new Set([
+  "format",
+  "entity-id",
+  "duplicate-id",
+  "holding-reference",
+]);
+
+export const isError = (problem) => ERROR_RULES.has(problem.rule);
+
+// Warnings about the shape of the ownership itself: more than 100% of a
+// company held, no single root, or circular holdings outside cross-holding
+// mode. A structure with them can be opened and repaired in the editor, but
+// the server never stores it.
+const STRUCTURAL_RULES = new Set([
+  "percentage-sum",
+  "voting-sum",
+  "single-root",
+  "circular-holding",
+]);
+
+export const isStructural = (problem) => STRUCTURAL_RULES.has(problem.rule);
+
+// Whether a structure with `problem` may be saved once the user has
+// accepted it
+export const mayBeSaved = (problem) =>
+  !isError(problem) && !isStructural(problem);
+
+const isNumeric = (value) =>
+  (typeof value === "number" || typeof value === "string") &&
+  value !== "" &&
+  !isNaN(Number(value));
+
+// The positions of the entities that repeat an earlier entity exactly,
+// found in one pass by each entity's serialized form
+const repeatedEntities = (entities) => {
+  const seen = new Set();
+  const repeated = new Set();
+  entities.forEach((entity, i) => {
+    const serialized = JSON.stringify(entity);
+    if (seen.has(serialized)) repeated.add(i);
+    else seen.add(serialized);
+  });
+  return repeated;
+};
+
+const clamp = (value) => Math.min(100, Math.max(0, Number(value)));
+
+// Validate an ownership structure of { entities, holdings } against the rules
+// the editor enforces. Returns a list of problems, each naming the rule that
+// was broken, whether it is an "error" or a "warning" and, where there is
+// one, the offending entity or holding. An empty list means the structure is
+// valid.
+export const validateStructure = (structure) =>
+  findProblems(structure).map((problem) => ({
+    ...problem,
+    severity: isError(problem) ? "error" : "warning",
+  }));
+
+const findProblems = (structure) => {
+  if (
+    !structure ||
+    typeof structure !== "object" ||
+    !Array.isArray(structure.entities) ||
+    !Array.isArray(structure.holdings)
+  ) {
+    return [
+      {
+        rule: "format",
+        message: "A structure must have an entities array and a holdings array",
+      },
+    ];
+  }
+
+  const { entities, holdings } = structure;
+  const problems = [];
+
+  // Name entities in messages where they have a name
+  const entityById = entityIndex(entities);
+  const describe = (id) => {
+    const entity = entityById.get(id);
+    return entity && typeof entity.name === "string" && entity.name.trim()
+      ? `"${entity.name}"`
+      : `entity ${id}`;
+  };
+
+  if (entities.length === 0) {
+    problems.push({
+      rule: "format",
+      message: "A structure must contain at least one entity",
+    });
+  }
+
+  // The type registry must be sound, and every entity's type in it
+  const types = getEntityTypes(structure);
+  entityTypeProblems(structure.entityTypes).forEach((message) =>
+    problems.push({ rule: "entity-type", message })
+  );
+
+  const entityIds = new Set();
+  const repeated = repeatedEntities(entities);
+  entities.forEach((entity, i) => {
+    if (!entity || typeof entity.id !== "number") {
+      problems.push({
+        rule: "entity-id",
+        message: `Entity at position ${i + 1} has no numeric id`,
+        fixable: true,
+      });
+      return;
+    }
+    if (entityIds.has(entity.id)) {
+      problems.push({
+        rule: "duplicate-id",
+        entityId: entity.id,
+        message: `Entity id ${entity.id} is used more than once`,
+        fixable: repeated.has(i),
+      });
+    }
+    entityIds.add(entity.id);
+
+    if (typeof entity.name !== "string" || entity.name.trim() === "") {
+      problems.push({
+        rule: "entity-name",
+        entityId: entity.id,
+        message: `Entity ${entity.id} has no name`,
+        fixable: true,
+      });
+    }
+    if (typeof entity.type !== "string" || entity.type.trim() === "") {
+      problems.push({
+        rule: "entity-type",
+        entityId: entity.id,
+        message: `${describe(entity.id)} has no type`,
+        fixable: true,
+      });
+    } else if (!types.some((type) => type.id === entity.type)) {
+      problems.push({
+        rule: "entity-type",
+        entityId: entity.id,
+        message: `${describe(entity.id)} has the type "${entity.type}", which is not among the entity types`,
+      });
+    }
+    profileProblems(entity).forEach((message) =>
+      problems.push({
+        rule: "entity-profile",
+        entityId: entity.id,
+        message: `${describe(entity.id)} ${message}`,
+      })
+    );
+  });
+
+  const validHoldings = [];
+  const pairs = {};
+  holdings.forEach((holding, i) => {
+    const label = `Holding ${holding && holding.id !== undefined ? holding.id : `at position ${i + 1}`}`;
+
+    if (!holding || !entityIds.has(holding.holder)) {
+      problems.push({
+        rule: "holding-reference",
+        holdingId: holding && holding.id,
+        message: `${label} refers to a shareholder that does not exist`,
+        fixable: true,
+      });
+      return;
+    }
+    if (!entityIds.has(holding.held)) {
+      problems.push({
+        rule: "holding-reference",
+        holdingId: holding.id,
+        entityId: holding.holder,
+        message: `${label} refers to a company that does not exist`,
+        fixable: true,
+      });
+      return;
+    }
+
+    const stake = `${describe(holding.holder)}'s stake in ${describe(holding.held)}`;
+
+    if (
+      typeof holding.percentage !== "number" ||
+      holding.percentage < 0 ||
+      holding.percentage > 100
+    ) {
+      problems.push({
+        rule: "percentage-range",
+        holdingId: holding.id,
+        entityId: holding.holder,
+        message: `${stake} has a percentage outside 0–100`,
+        fixable: isNumeric(holding.percentage),
+      });
+    }
+
+    if (
+      holding.votingPercentage !== undefined &&
+      holding.votingPercentage !== null &&
+      (typeof holding.votingPercentage !== "number" ||
+        holding.votingPercentage < 0 ||
+        holding.votingPercentage > 100)
+    ) {
+      problems.push({
+        rule: "percentage-range",
+        holdingId: holding.id,
+        entityId: holding.holder,
+        message: `${stake} has a voting percentage outside 0–100`,
+        fixable: isNumeric(holding.votingPercentage),
+      });
+    }
+
+    const datesValid = ["effectiveFrom", "effectiveTo"].every((field) => {
+      if (holding[field] === undefined || holding[field] === null) return true;
+      if (isValidDate(holding[field])) return true;
+      problems.push({
+        rule: "effective-date",
+        holdingId: holding.id,
+        entityId: holding.holder,
+        message: `${stake} has an invalid ${field} date`,
+      });
+      return false;
+    });
+    if (
+      datesValid &&
+      holding.effectiveFrom &&
+      holding.effectiveTo &&
+      holding.effectiveFrom > holding.effectiveTo
+    ) {
+      problems.push({
+        rule: "effective-date",
+        holdingId: holding.id,
+        entityId: holding.holder,
+        message: `${stake} ends before it starts`,
+      });
+    }
+
+    // The same shareholder may hold several stakes in a company over time,
+    // but not two at once
+    const pair = `${holding.holder}:${holding.held}`;
+    if ((pairs[pair] || []).some((other) => rangesOverlap(other, holding))) {
+      problems.push({
+        rule: "duplicate-holding",
+        holdingId: holding.id,
+        entityId: holding.holder,
+        message: `${describe(holding.holder)} holds more than one stake in ${describe(holding.held)} at the same time`,
+      });
+    }
+    pairs[pair] = [...(pairs[pair] || []), holding];
+
+    validHoldings.push(holding);
+  });
+
+  new Set(validHoldings.map((h) => h.held)).forEach((heldId) => {
+    const type = findEntityType(types, entityById.get(heldId).type);
+    if (!type.mayHaveShareholders) {
+      problems.push({
+        rule: "entity-type",
+        entityId: heldId,
+        message: `${describe(heldId)} has shareholders, but the ${type.label} type cannot have any`,
+      });
+    }
+  });
+
+  // Economic interests and votes must each add up to no more than 100%,
+  // counting the holdings whose percentages are numbers at all
+  const summedHoldings = validHoldings.filter(
+    (h) =>
+      typeof h.percentage === "number" &&
+      (h.votingPercentage === undefined ||
+        h.votingPercentage === null ||
+        typeof h.votingPercentage === "number")
+  );
+  const votingHoldings = withDimension(
+    { holdings: summedHoldings },
+    "voting"
+  ).holdings;
+  const summedByHeld = holdingIndex(summedHoldings).byHeld;
+  const votingByHeld = holdingIndex(votingHoldings).byHeld;
+  summedByHeld.forEach((shareholdings, heldId) => {
+    const total = allocatedPercentage(shareholdings, heldId, {});
+    if (total > 100 + 1e-9) {
+      problems.push({
+        rule: "percentage-sum",
+        entityId: heldId,
+        message: `Shareholders of ${describe(heldId)} hold ${total}% in total, more than 100%`,
+      });
+    }
+
+    const votes = allocatedPercentage(votingByHeld.get(heldId), heldId, {});
+    if (votes > 100 + 1e-9) {
+      problems.push({
+        rule: "voting-sum",
+        entityId: heldId,
+        message: `Shareholders of ${describe(heldId)} hold ${votes}% of the votes in total, more than 100%`,
+      });
+    }
+  });
+
+  // Companies in share-count mode need sound share classes, and their
+  // shareholders cannot hold more shares of a class than were issued
+  entities.filter(isShareMode).forEach((company) => {
+    const classIds = new Set();
+    company.shareClasses.forEach((shareClass) => {
+      if (
+        !shareClass ||
+        typeof shareClass.id !== "number" ||
+        !Number.isInteger(shareClass.issued) ||
+        shareClass.issued < 0
+      ) {
+        problems.push({
+          rule: "share-count",
+          entityId: company.id,
+          message: `${describe(company.id)} has a share class without an id or a whole, non-negative number of issued shares`,
+        });
+        return;
+      }
+      classIds.add(shareClass.id);
+
+      const allocated = Math.max(
+        0,
+        ...validHoldings
+          .filter((h) => h.held === company.id)
+          .map((h) =>
+            allocatedShares(validHoldings, company.id, shareClass.id, h)
+          )
+      );
+      if (allocated > shareClass.issued) {
+        problems.push({
+          rule: "share-count",
+          entityId: company.id,
+          message: `Shareholders of ${describe(company.id)} hold ${allocated} ${shareClass.name} shares, more than the ${shareClass.issued} issued`,
+        });
+      }
+    });
+
+    validHoldings
+      .filter((h) => h.held === company.id && h.shares)
+      .forEach((holding) => {
+        Object.entries(holding.shares).forEach(([classId, count]) => {
+          if (
+            !classIds.has(Number(classId)) ||
+            !Number.isInteger(count) ||
+            count < 0
+          ) {
+            problems.push({
+              rule: "share-count",
+              holdingId: holding.id,
+              entityId: holding.holder,
+              message: `Holding ${holding.id} has an invalid share count for class ${classId}`,
+            });
+          }
+        });
+      });
+  });
+
+  // Options, warrants and convertibles need a known type and non-negative
+  // terms, and together cannot dilute a company's shareholders away entirely
+  entities
+    .filter((entity) => entity && Array.isArray(entity.instruments))
+    .forEach((company) => {
+      company.instruments.forEach((instrument, i) => {
+        const label =
+          instrument && instrument.id !== undefined
+            ? `Instrument ${instrument.id} of ${describe(company.id)}`
+            : `The instrument at position ${i + 1} of ${describe(company.id)}`;
+        if (!instrument || !INSTRUMENT_TYPES[instrument.type]) {
+          problems.push({
+            rule: "instrument",
+            entityId: company.id,
+            message: `${label} has an unknown type`,
+          });
+          return;
+        }
+
+        const terms = [
+          "shares",
+          "percentage",
+          "exercisePrice",
+          "principal",
+          "valuationCap",
+          "discount",
+          "interestRate",
+        ];
+        terms.forEach((term) => {
+          const value = instrument[term];
+          if (
+            value !== undefined &&
+            value !== null &&
+            (typeof value !== "number" || value < 0)
+          ) {
+            problems.push({
+              rule: "instrument",
+              entityId: company.id,
+              message: `${label} has a negative or non-numeric ${term}`,
+            });
+          }
+        });
+
+        if (
+          instrument.holder !== undefined &&
+          instrument.holder !== null &&
+          !entityIds.has(instrument.holder)
+        ) {
+          problems.push({
+            rule: "instrument",
+            entityId: company.id,
+            message: `${label} is held by an entity that does not exist`,
+          });
+        }
+        if (instrument.issueDate && !isValidDate(instrument.issueDate)) {
+          problems.push({
+            rule: "instrument",
+            entityId: company.id,
+            message: `${label} has an invalid issue date`,
+          });
+        }
+      });
+
+      if (
+        company.instruments.length > 0 &&
+        diluteCompany(company, today()).factor <= 0
+      ) {
+        problems.push({
+          rule: "instrument",
+          entityId: company.id,
+          message: `Instruments of ${describe(company.id)} would take 100% or more of it on a fully diluted basis`,
+        });
+      }
+    });
+
+  const { byHolder } = holdingIndex(holdings);
+  const roots = entities.filter(
+    (entity) =>
+      entity && typeof entity.id === "number" && !byHolder.has(entity.id)
+  );
+  if (entities.length > 0 && roots.length !== 1) {
+    problems.push({
+      rule: "single-root",
+      message:
+        roots.length === 0
+          ? "Every entity holds a stake in another, so there is no root company"
+          : `Expected one root company but found ${roots.length}: ${roots
+              .map((entity) => describe(entity.id))
+              .join(", ")}`,
+    });
+  }
+
+  if (!structure.crossHoldings && !problems.some(isError)) {
+    findCycles(structure).forEach((cycle) => {
+      problems.push({
+        rule: "circular-holding",
+        entityId: cycle[0],
+        message: `${cycle.map(describe).join(", ")} hold stakes in each other; enable cross-holding mode to allow this`,
+        fixable: true,
+      });
+    });
+  }
+
+  return problems;
+};
+
+// Repair the problems marked `fixable`, the ones with only one sensible fix:
+// entities without an id are given one, exact repeats of an entity are
+// dropped, holdings that refer to missing entities are removed, missing names
+// and types are filled in, numeric percentages are brought into 0–100, and
+// circular holdings switch on cross-holding mode. Returns the repaired
+// structure and a description of each fix.
+export const autoFixStructure = (structure) => {
+  const fixes = [];
+
+  let nextId =
+    Math.max(
+      0,
+      ...structure.entities
+        .filter((e) => e && typeof e.id === "number")
+        .map((e) => e.id)
+    ) + 1;
+
+  const entities = [];
+  const repeated = repeatedEntities(structure.entities);
+  structure.entities.forEach((entity, i) => {
+    if (!entity || typeof entity !== "object") {
+      fixes.push(`Removed the empty entity at position ${i + 1}`);
+      return;
+    }
+    if (repeated.has(i)) {
+      fixes.push(`Removed a repeated copy of entity ${entity.id}`);
+      return;
+    }
+
+    const fixed = { ...entity };
+    if (typeof fixed.id !== "number") {
+      fixed.id = nextId++;
+      fixes.push(`Gave the entity at position ${i + 1} id ${fixed.id}`);
+    }
+    if (typeof fixed.name !== "string" || fixed.name.trim() === "") {
+      fixed.name = `Unnamed entity ${fixed.id}`;
+      fixes.push(`Named entity ${fixed.id} "${fixed.name}"`);
+    }
+    if (typeof fixed.type !== "string" || fixed.type.trim() === "") {
+      fixed.type = "company";
+      fixes.push(`Set the type of "${fixed.name}" to company`);
+    }
+    entities.push(fixed);
+  });
+
+  const entityIds = new Set(entities.map((e) => e.id));
+  const holdings = [];
+  structure.holdings.forEach((holding, i) => {
+    if (
+      !holding ||
+      !entityIds.has(holding.holder) ||
+      !entityIds.has(holding.held)
+    ) {
+      fixes.push(
+        `Removed holding ${holding && holding.id !== undefined ? holding.id : `at position ${i + 1}`}, which refers to a missing entity`
+      );
+      return;
+    }
+
+    const fixed = { ...holding };
+    ["percentage", "votingPercentage"].forEach((field) => {
+      const value = fixed[field];
+      if (value === undefined || value === null || !isNumeric(value)) return;
+      if (typeof value === "number" && value >= 0 && value <= 100) return;
+      fixed[field] = clamp(value);
+      fixes.push(`Set the ${field} of holding ${fixed.id} to ${fixed[field]}`);
+    });
+    holdings.push(fixed);
+  });
+
+  const repaired = { ...structure, entities, holdings };
+  if (
+    !repaired.crossHoldings &&
+    validateStructure(repaired).some((p) => p.rule === "circular-holding")
+  ) {
+    repaired.crossHoldings = true;
+    fixes.push("Switched on cross-holding mode for the circular holdings");
+  }
+
+  return { structure: repaired, fixes };
+};
@@ -0,0 +1,15 @@
+import { attachCollabServer } from "@/lib/collabServer";
+
+// GET /api/collab starts live editing on the server handling the request.
+// Browsers call it before opening a WebSocket to the live editing path,
+// which Next.js leaves to the handler attached here.
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    res.status(405).json({ error: `Method ${req.method} not allowed` });
+    return;
+  }
+
+  attachCollabServer(res.socket.server);
+  res.status(204).end();
+}
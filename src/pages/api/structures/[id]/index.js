@@ -0,0 +1,65 @@
+import { validateStructureRequest } from "@/lib/structureRequest";
+import {
+  deleteStructure,
+  getStructure,
+  updateStructure,
+} from "@/lib/structureStore";
+
+export const config = {
+  api: { bodyParser: { sizeLimit: "10mb" } },
+};
+
+// GET, PUT and DELETE /api/structures/:id. PUT accepts { name, structure },
+// either of which may be left out.
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method === "GET") {
+      const record = await getStructure(id);
+      if (!record) {
+        res.status(404).json({ error: "Structure not found" });
+        return;
+      }
+      res.status(200).json(record);
+      return;
+    }
+
+    if (req.method === "PUT") {
+      const problems = validateStructureRequest(req.body, { partial: true });
+      if (problems.length > 0) {
+        res.status(400).json({ error: "Invalid structure", problems });
+        return;
+      }
+
+      const updates = {};
+      if (req.body.name !== undefined) updates.name = req.body.name.trim();
+      if (req.body.structure !== undefined) {
+        updates.structure = req.body.structure;
+      }
+
+      const record = await updateStructure(id, updates);
+      if (!record) {
+        res.status(404).json({ error: "Structure not found" });
+        return;
+      }
+      res.status(200).json(record);
+      return;
+    }
+
+    if (req.method === "DELETE") {
+      if (!(await deleteStructure(id))) {
+        res.status(404).json({ error: "Structure not found" });
+        return;
+      }
+      res.status(204).end();
+      return;
+    }
+
+    res.setHeader("Allow", ["GET", "PUT", "DELETE"]);
+    res.status(405).json({ error: `Method ${req.method} not allowed` });
+  } catch (error) {
+    console.error("Structure store failed", error);
+    res.status(500).json({ error: "Could not access the structure store" });
+  }
+}
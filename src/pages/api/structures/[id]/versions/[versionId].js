@@ -0,0 +1,33 @@
+import { deleteVersion, getVersion } from "@/lib/structureStore";
+
+// GET and DELETE /api/structures/:id/versions/:versionId
+export default async function handler(req, res) {
+  const { id, versionId } = req.query;
+
+  try {
+    if (req.method === "GET") {
+      const version = await getVersion(id, versionId);
+      if (!version) {
+        res.status(404).json({ error: "Version not found" });
+        return;
+      }
+      res.status(200).json(version);
+      return;
+    }
+
+    if (req.method === "DELETE") {
+      if (!(await deleteVersion(id, versionId))) {
+        res.status(404).json({ error: "Version not found" });
+        return;
+      }
+      res.status(204).end();
+      return;
+    }
+
+    res.setHeader("Allow", ["GET", "DELETE"]);
+    res.status(405).json({ error: `Method ${req.method} not allowed` });
+  } catch (error) {
+    console.error("Structure store failed", error);
+    res.status(500).json({ error: "Could not access the structure store" });
+  }
+}
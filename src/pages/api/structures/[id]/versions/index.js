@@ -0,0 +1,49 @@
+import { validateVersionRequest } from "@/lib/structureRequest";
+import { createVersion, listVersions } from "@/lib/structureStore";
+
+export const config = {
+  api: { bodyParser: { sizeLimit: "10mb" } },
+};
+
+// GET /api/structures/:id/versions lists the saved versions of a structure
+// POST /api/structures/:id/versions saves a snapshot from { label, structure }
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method === "GET") {
+      const versions = await listVersions(id);
+      if (!versions) {
+        res.status(404).json({ error: "Structure not found" });
+        return;
+      }
+      res.status(200).json(versions);
+      return;
+    }
+
+    if (req.method === "POST") {
+      const problems = validateVersionRequest(req.body);
+      if (problems.length > 0) {
+        res.status(400).json({ error: "Invalid version", problems });
+        return;
+      }
+
+      const version = await createVersion(id, {
+        label: req.body.label.trim(),
+        structure: req.body.structure,
+      });
+      if (!version) {
+        res.status(404).json({ error: "Structure not found" });
+        return;
+      }
+      res.status(201).json(version);
+      return;
+    }
+
+    res.setHeader("Allow", ["GET", "POST"]);
+    res.status(405).json({ error: `Method ${req.method} not allowed` });
+  } catch (error) {
+    console.error("Structure store failed", error);
+    res.status(500).json({ error: "Could not access the structure store" });
+  }
+}
@@ -0,0 +1,38 @@
+import { validateStructureRequest } from "@/lib/structureRequest";
+import { createStructure, listStructures } from "@/lib/structureStore";
+
+export const config = {
+  api: { bodyParser: { sizeLimit: "10mb" } },
+};
+
+// GET /api/structures lists saved structures (without their content)
+// POST /api/structures creates one from { name, structure }
+export default async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      res.status(200).json(await listStructures());
+      return;
+    }
+
+    if (req.method === "POST") {
+      const problems = validateStructureRequest(req.body);
+      if (problems.length > 0) {
+        res.status(400).json({ error: "Invalid structure", problems });
+        return;
+      }
+
+      const record = await createStructure({
+        name: req.body.name.trim(),
+        structure: req.body.structure,
+      });
+      res.status(201).json(record);
+      return;
+    }
+
+    res.setHeader("Allow", ["GET", "POST"]);
+    res.status(405).json({ error: `Method ${req.method} not allowed` });
+  } catch (error) {
+    console.error("Structure store failed", error);
+    res.status(500).json({ error: "Could not access the structure store" });
+  }
+}
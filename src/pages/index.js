@@ -1,81 +1,103 @@
 import React, { useState, useEffect, useRef } from 'react';
 import * as d3 from 'd3';
+import StructurePicker from '@/components/StructurePicker';
+import { useUndoableState, useUndoShortcuts } from '@/hooks/useUndoableState';
+import * as engine from '@/lib/engine';
+import { BORDER_STYLES, findEntityType, getEntityTypes } from '@/lib/entityTypes';
+import { joinKeyed, layer } from '@/lib/keyedJoin';
+import { confirmSaving, createStructure, describeApiError, getStructure, listStructures, updateStructure } from '@/lib/structuresApi';
+
+const BLANK_STRUCTURE = {
+  entities: [{ id: 1, name: "Your New Company", type: "company" }],
+  holdings: []
+};
+
+const UNTITLED_NAME = "Untitled structure";
 
 const CompanyOwnershipStructure = () => {
-  const [entities, setEntities] = useState([
-    { id: 1, name: "Your New Company", type: "company", parent: null, percentage: 100 }
-  ]);
+  // Entities are the nodes of the ownership graph; holdings are the edges.
+  // A holding records that `holder` owns `percentage` of `held`.
+  // Every change to the structure goes through the undo history
+  const { state: structure, set: setStructure, reset: resetStructure, undo, redo, canUndo, canRedo } =
+    useUndoableState(BLANK_STRUCTURE);
+  const { entities, holdings } = structure;
+  const [structureId, setStructureId] = useState(null); // Id on the server once saved
+  const [structureName, setStructureName] = useState(UNTITLED_NAME);
+  const [savedSnapshot, setSavedSnapshot] = useState(JSON.stringify(BLANK_STRUCTURE));
+  const isDirty = JSON.stringify(structure) !== savedSnapshot;
+  useUndoShortcuts(undo, redo);
   const [editEntity, setEditEntity] = useState(null);
   const svgRef = useRef(null);
+  // Entity types with their colors and icons, saved with the structure
+  const entityTypes = getEntityTypes(structure);
   
-  // Calculate the sum of percentages for children of a parent
-  const calculatePercentageSum = (parentId) => {
-    return entities
-      .filter(e => e.parent === parentId)
-      .reduce((sum, entity) => sum + (entity.percentage || 0), 0);
-  };
+  // Entity types to offer in the type picker. An entity's own type is kept
+  // even when it is missing from the registry.
+  const typeOptions = (currentType) =>
+    entityTypes.some(type => type.id === currentType)
+      ? entityTypes
+      : [...entityTypes, findEntityType(entityTypes, currentType)];
   
-  // Calculate the remaining percentage available for a parent
-  const calculateRemainingPercentage = (parentId) => {
-    return 100 - calculatePercentageSum(parentId);
+  // Apply a change made through the ownership engine, or report why it was
+  // refused
+  const applyChange = (change) => {
+    try {
+      setStructure(change());
+    } catch (error) {
+      if (!(error instanceof engine.OwnershipError)) throw error;
+      alert(error.message);
+    }
   };
   
   // Functions to manage entities
   const addEntity = (parentId) => {
-    const remainingPercentage = calculateRemainingPercentage(parentId);
+    const remainingPercentage = engine.remainingPercentage(structure, parentId);
     
     if (remainingPercentage <= 0) {
       alert("Cannot add more entities. Ownership is already at 100%.");
       return;
     }
     
-    const newId = entities.length > 0 ? Math.max(...entities.map(e => e.id)) + 1 : 1;
-    
-    const newEntity = {
-      id: newId,
+    applyChange(() => engine.addShareholder(structure, parentId, {
       name: "New Entity",
       type: "company",
-      parent: parentId,
       percentage: remainingPercentage
-    };
-    
-    setEntities([...entities, newEntity]);
+    }));
   };
   
-  const removeEntity = (id) => {
-    // Remove this entity and all its children recursively
-    const entitiesToRemove = [id];
-    
-    // Find all descendants
-    const findDescendants = (parentId) => {
-      entities.forEach(entity => {
-        if (entity.parent === parentId) {
-          entitiesToRemove.push(entity.id);
-          findDescendants(entity.id);
-        }
-      });
-    };
-    
-    findDescendants(id);
-    
-    // Filter out the entities to remove
-    setEntities(entities.filter(entity => !entitiesToRemove.includes(entity.id)));
-  };
+  // Remove this entity and every shareholder left without any holding
+  const removeEntity = (id) => applyChange(() => engine.removeEntity(structure, id));
   
-  const updateEntity = (id, updates) => {
-    setEntities(entities.map(entity => 
-      entity.id === id ? { ...entity, ...updates } : entity
-    ));
+  // Show a structure record from the server, or a new unsaved structure
+  // when `record` is null. Opening a structure starts a fresh undo history.
+  const openRecord = (record) => {
+    const opened = record ? engine.normalizeStructure(record.structure) : BLANK_STRUCTURE;
+    resetStructure(opened);
+    setStructureId(record ? record.id : null);
+    setStructureName(record ? record.name : UNTITLED_NAME);
+    setSavedSnapshot(JSON.stringify(opened));
   };
   
-  const saveStructure = () => {
-    const dataStr = JSON.stringify(entities);
-    localStorage.setItem("companyStructure", dataStr);
-    alert("Structure saved to browser's localStorage");
+  const saveStructure = async () => {
+    const options = confirmSaving(structure);
+    if (!options) return;
+    
+    try {
+      if (structureId) {
+        await updateStructure(structureId, { structure }, options);
+      } else {
+        const record = await createStructure(structureName, structure, options);
+        setStructureId(record.id);
+      }
+      setSavedSnapshot(JSON.stringify(structure));
+      alert(`"${structureName}" saved`);
+    } catch (error) {
+      alert("Could not save structure: " + describeApiError(error));
+    }
   };
   
   const downloadStructure = () => {
-    const dataStr = JSON.stringify(entities, null, 2);
+    const dataStr = JSON.stringify(structure, null, 2);
     const dataUri = `data:application/json;charset=utf-8,${encodeURIComponent(dataStr)}`;
     
     const downloadLink = document.createElement("a");
@@ -90,328 +112,340 @@ const CompanyOwnershipStructure = () => {
   const renderVisualization = () => {
     if (!svgRef.current) return;
     
-    // Clear previous content
-    d3.select(svgRef.current).selectAll("*").remove();
-    
     // Create hierarchical data structure
     const createHierarchy = () => {
       // Create a map for quick lookup
       const entityMap = {};
       entities.forEach(entity => {
-        entityMap[entity.id] = { ...entity, children: [] };
+        entityMap[entity.id] = { ...entity, children: [], parents: [] };
       });
       
-      // Connect parents and children
-      entities.forEach(entity => {
-        if (entity.parent !== null && entityMap[entity.parent]) {
-          entityMap[entity.parent].children.push(entityMap[entity.id]);
+      // Connect each company to its shareholders; a shareholder with stakes
+      // in several companies appears under each of them
+      holdings.forEach(holding => {
+        if (entityMap[holding.held] && entityMap[holding.holder]) {
+          entityMap[holding.held].children.push(entityMap[holding.holder]);
+          entityMap[holding.holder].parents.push(entityMap[holding.held]);
         }
       });
       
       // Find root nodes
-      return entities.find(entity => entity.parent === null);
+      return engine.findRoot(structure);
     };
     
     const rootEntity = createHierarchy();
-    if (!rootEntity) return;
+    const svg = d3.select(svgRef.current);
+    
+    // Without a root there is nothing to draw
+    if (!rootEntity) {
+      svg.selectAll("g.connections, g.nodes").remove();
+      return;
+    }
     
     // SVG dimensions
-    const svg = d3.select(svgRef.current);
     const width = parseInt(svg.style("width"));
-    const height = 800;
     
     // Node dimensions
     const nodeWidth = 200;
     const nodeHeight = 100;
-    const horizontalSpacing = 60;
     const verticalSpacing = 80;
+    const stakeSpacing = 50;
     
-    // Calculate the maximum depth and width of the tree
+    // Calculate the depth of every entity. A shareholder is placed one level
+    // below the deepest company it holds a stake in.
     const getTreeDimensions = (root) => {
       let maxDepth = 0;
-      let maxWidth = 0;
-      let widthByLevel = {};
+      const depthById = {};
       
-      const traverse = (node, depth) => {
-        if (!widthByLevel[depth]) widthByLevel[depth] = 0;
-        widthByLevel[depth]++;
-        
+      // `path` holds the entities on the current chain so circular holdings
+      // are not followed around the loop
+      const traverse = (node, depth, path) => {
+        if (path.has(node.id)) return;
+        if (depthById[node.id] !== undefined && depthById[node.id] >= depth) return;
+        depthById[node.id] = depth;
         maxDepth = Math.max(maxDepth, depth);
-        maxWidth = Math.max(maxWidth, widthByLevel[depth]);
         
-        const children = entities.filter(e => e.parent === node.id);
-        children.forEach(child => traverse(child, depth + 1));
+        path.add(node.id);
+        engine.getShareholdings(structure, node.id).forEach(holding => traverse({ id: holding.holder }, depth + 1, path));
+        path.delete(node.id);
       };
       
-      traverse(root, 0);
+      traverse(root, 0, new Set());
       
-      return { maxDepth, maxWidth, widthByLevel };
+      return { maxDepth, depthById };
     };
     
-    const { maxDepth, widthByLevel } = getTreeDimensions(rootEntity);
+    const { maxDepth, depthById } = getTreeDimensions(rootEntity);
     
     // Calculate positions
     const positions = {};
+    const levelY = (level) => 50 + level * (nodeHeight + verticalSpacing);
     
-    const calculatePositions = (node, depth, index, levelStart, levelWidth) => {
-      // Calculate x position
-      const levelSpace = width * 0.9; // Use 90% of width
-      const nodeSpace = levelSpace / levelWidth;
-      const startX = (width - levelSpace) / 2 + nodeSpace / 2;
-      const x = startX + index * nodeSpace;
-      
-      // Calculate y position
-      const y = 50 + depth * (nodeHeight + verticalSpacing);
-      
-      positions[node.id] = { x, y };
-      
-      // Process children
-      const children = entities.filter(e => e.parent === node.id);
-      children.forEach((child, i) => {
-        calculatePositions(child, depth + 1, levelStart + i, levelStart, children.length);
-        levelStart += 1;
-      });
-    };
+    positions[rootEntity.id] = { x: width / 2, y: levelY(0) };
     
-    // Calculate positions for the root level
-    calculatePositions(rootEntity, 0, 0, 0, 1);
+    // The entities on each level, bucketed once rather than per level
+    const entitiesByLevel = d3.group(entities, e => depthById[e.id]);
     
-    // Adjust the positions for subsequent levels
+    // Spread each level across the width, ordering entities by the average
+    // position of the companies they hold stakes in
     for (let level = 1; level <= maxDepth; level++) {
-      let levelEntities = entities.filter(e => {
-        const parent = entities.find(p => p.id === e.parent);
-        return parent && positions[parent.id] && positions[parent.id].y === 50 + (level - 1) * (nodeHeight + verticalSpacing);
-      });
+      const averageParentX = (entity) => {
+        const parentXs = engine.getStakes(structure, entity.id)
+          .map(h => positions[h.held])
+          .filter(Boolean)
+          .map(p => p.x);
+        return parentXs.reduce((sum, x) => sum + x, 0) / (parentXs.length || 1);
+      };
       
-      levelEntities.sort((a, b) => {
-        const parentA = positions[a.parent];
-        const parentB = positions[b.parent];
-        return parentA.x - parentB.x;
-      });
+      const levelEntities = (entitiesByLevel.get(level) || [])
+        .map(entity => ({ entity, parentX: averageParentX(entity) }))
+        .sort((a, b) => a.parentX - b.parentX);
       
-      levelEntities.forEach((entity, i) => {
+      levelEntities.forEach(({ entity }, i) => {
         positions[entity.id] = {
-          x: width * 0.1 + (width * 0.8 * i) / (levelEntities.length || 1),
-          y: 50 + level * (nodeHeight + verticalSpacing)
+          x: width * 0.1 + (width * 0.8 * (i + 0.5)) / (levelEntities.length || 1),
+          y: levelY(level)
         };
       });
     }
     
-    // Draw the connections
-    const connections = svg.append("g").attr("class", "connections");
-    
-    entities.filter(e => e.parent !== null).forEach(entity => {
-      const source = positions[entity.parent];
+    // The connector of every stake, keyed by holding. A shareholder holding
+    // several stakes has its lines fanned out.
+    const links = [];
+    entities.forEach(entity => {
+      const stakes = engine.getStakes(structure, entity.id);
       const target = positions[entity.id];
+      if (!target) return;
       
-      if (!source || !target) return;
+      stakes.forEach((holding, i) => {
+        const source = positions[holding.held];
+        if (!source) return;
+        
+        const targetX = target.x + (i - (stakes.length - 1) / 2) * stakeSpacing;
+        const midY = source.y + nodeHeight/2 + verticalSpacing/3;
+        const look = {
+          d: `M${source.x},${source.y + nodeHeight/2} 
+              L${source.x},${midY}
+              L${targetX},${midY}
+              L${targetX},${target.y - nodeHeight/2}`,
+          labelX: targetX + 4,
+          labelY: target.y - nodeHeight/2 - 10,
+          label: `${holding.percentage}%`
+        };
+        links.push({ key: holding.id, look, signature: JSON.stringify(look) });
+      });
+    });
+    
+    // How every node looks, keyed by entity; only the nodes whose look
+    // changed are drawn again
+    const nodes = entities.filter(entity => positions[entity.id]).map(entity => {
+      const isRoot = entity.id === rootEntity.id;
+      const stakes = engine.getStakes(structure, entity.id);
+      const percentageSum = engine.percentageSum(structure, entity.id);
       
-      // Draw the path from parent to child
-      connections.append("path")
-        .attr("d", `M${source.x},${source.y + nodeHeight/2} 
-                     L${source.x},${source.y + nodeHeight/2 + verticalSpacing/3}
-                     L${target.x},${source.y + nodeHeight/2 + verticalSpacing/3}
-                     L${target.x},${target.y - nodeHeight/2}`)
+      // The entity type gives the background color, border and icon; the
+      // root company has a color of its own
+      const entityType = findEntityType(entityTypes, entity.type);
+      const look = {
+        isRoot,
+        name: entity.name,
+        typeLine: `${entityType.icon || ""} ${entityType.label}`.trim(),
+        fill: isRoot ? "#e6f2ff" : entityType.fill,
+        dashArray: (BORDER_STYLES[entityType.border] || BORDER_STYLES.solid).dashArray,
+        percentageSum,
+        ownership: stakes.length === 1
+          ? `Ownership: ${stakes[0].percentage}%`
+          : `Stakes in ${stakes.length} companies`,
+        canAdd: engine.remainingPercentage(structure, entity.id) > 0
+      };
+      const pos = positions[entity.id];
+      return { key: entity.id, entity, x: pos.x, y: pos.y, look, signature: JSON.stringify(look) };
+    });
+    
+    const drawLink = (group, { look }) => {
+      // Draw the path from the company to its shareholder
+      group.append("path")
+        .attr("d", look.d)
         .attr("stroke", "#888")
         .attr("stroke-width", 2)
         .attr("fill", "none");
       
       // Add percentage label
-      connections.append("text")
-        .attr("x", target.x - 30)
-        .attr("y", target.y - nodeHeight/2 - 10)
-        .attr("text-anchor", "middle")
+      group.append("text")
+        .attr("x", look.labelX)
+        .attr("y", look.labelY)
+        .attr("text-anchor", "start")
         .attr("font-size", "12px")
         .attr("fill", "#666")
-        .text(`${entity.percentage}%`);
-    });
-    
-    // Draw the nodes
-    const nodes = svg.append("g").attr("class", "nodes");
+        .text(look.label);
+    };
     
-    entities.forEach(entity => {
-      const pos = positions[entity.id];
-      if (!pos) return;
+    // A round button on a node. Clicks are handled for all nodes at once
+    // below, so buttons drawn for an earlier structure act on the current one.
+    const appendButton = (group, action, x, color, symbol, fontSize) => {
+      const button = group.append("g")
+        .attr("class", "node-action")
+        .attr("data-action", action)
+        .attr("transform", `translate(${x}, 20)`)
+        .style("cursor", "pointer");
       
-      const isRoot = entity.parent === null;
-      const percentageSum = calculatePercentageSum(entity.id);
-      const hasFullOwnership = percentageSum === 100;
-      
-      // Determine background color based on entity type
-      let bgColor = "#fff";
-      if (isRoot) bgColor = "#e6f2ff";
-      else if (entity.type === "individual") bgColor = "#f0f9e8";
-      else if (entity.type === "trust") bgColor = "#fff8e6";
-      else if (entity.type === "partnership") bgColor = "#f9e8f0";
+      button.append("circle")
+        .attr("r", 10)
+        .attr("fill", color);
       
-      // Create a group for the node
-      const nodeGroup = nodes.append("g")
-        .attr("transform", `translate(${pos.x - nodeWidth/2}, ${pos.y - nodeHeight/2})`)
-        .attr("class", "node");
+      button.append("text")
+        .attr("text-anchor", "middle")
+        .attr("dominant-baseline", "middle")
+        .attr("font-size", fontSize)
+        .attr("fill", "white")
+        .text(symbol);
+    };
+    
+    const drawNode = (group, { look }) => {
+      const { isRoot, percentageSum } = look;
+      const hasFullOwnership = percentageSum === 100;
       
       // Draw the rectangle
-      nodeGroup.append("rect")
+      group.append("rect")
         .attr("width", nodeWidth)
         .attr("height", nodeHeight)
         .attr("rx", 8)
         .attr("ry", 8)
-        .attr("fill", bgColor)
+        .attr("fill", look.fill)
         .attr("stroke", hasFullOwnership || isRoot ? "#4caf50" : "#ff9800")
-        .attr("stroke-width", 2);
+        .attr("stroke-width", 2)
+        .attr("stroke-dasharray", look.dashArray);
       
       // Add entity name
-      nodeGroup.append("text")
+      group.append("text")
         .attr("x", 10)
         .attr("y", 25)
         .attr("font-weight", "bold")
         .attr("font-size", "14px")
-        .text(entity.name);
+        .text(look.name);
       
       // Add entity type
-      nodeGroup.append("text")
+      group.append("text")
         .attr("x", 10)
         .attr("y", 45)
         .attr("font-size", "12px")
         .attr("fill", "#666")
-        .text(entity.type.charAt(0).toUpperCase() + entity.type.slice(1));
+        .text(look.typeLine);
       
-      // Add ownership info for non-root entities
       if (!isRoot) {
-        nodeGroup.append("text")
+        // Add ownership info
+        group.append("text")
           .attr("x", 10)
           .attr("y", 65)
           .attr("font-size", "12px")
-          .text(`Ownership: ${entity.percentage}%`);
-      }
-      
-      // Add ownership status indicator
-      if (!isRoot) {
-        if (hasFullOwnership) {
-          nodeGroup.append("text")
-            .attr("x", 10)
-            .attr("y", 85)
-            .attr("font-size", "10px")
-            .attr("fill", "#4caf50")
-            .text("✓ Complete");
-        } else {
-          nodeGroup.append("text")
-            .attr("x", 10)
-            .attr("y", 85)
-            .attr("font-size", "10px")
-            .attr("fill", "#f44336")
-            .text(`⚠ ${100 - percentageSum}% remaining`);
-        }
-      }
-      
-      // Add delete button for non-root entities
-      if (!isRoot) {
-        const deleteBtn = nodeGroup.append("g")
-          .attr("transform", `translate(${nodeWidth - 25}, 20)`)
-          .style("cursor", "pointer")
-          .on("click", () => removeEntity(entity.id));
+          .text(look.ownership);
         
-        deleteBtn.append("circle")
-          .attr("r", 10)
-          .attr("fill", "#f44336");
+        // Add ownership status indicator
+        group.append("text")
+          .attr("x", 10)
+          .attr("y", 85)
+          .attr("font-size", "10px")
+          .attr("fill", hasFullOwnership ? "#4caf50" : "#f44336")
+          .text(hasFullOwnership ? "✓ Complete" : `⚠ ${100 - percentageSum}% remaining`);
         
-        deleteBtn.append("text")
-          .attr("text-anchor", "middle")
-          .attr("dominant-baseline", "middle")
-          .attr("font-size", "14px")
-          .attr("fill", "white")
-          .text("×");
+        appendButton(group, "delete", nodeWidth - 25, "#f44336", "×", "14px");
       }
       
-      // Add edit button
-      const editBtn = nodeGroup.append("g")
-        .attr("transform", `translate(${nodeWidth - (isRoot ? 15 : 50)}, 20)`)
-        .style("cursor", "pointer")
-        .on("click", () => setEditEntity(entity));
-      
-      editBtn.append("circle")
-        .attr("r", 10)
-        .attr("fill", "#2196f3");
-      
-      editBtn.append("text")
-        .attr("text-anchor", "middle")
-        .attr("dominant-baseline", "middle")
-        .attr("font-size", "10px")
-        .attr("fill", "white")
-        .text("✎");
+      appendButton(group, "edit", nodeWidth - (isRoot ? 15 : 50), "#2196f3", "✎", "10px");
       
       // Add "add entity" button if there's remaining percentage
-      const remainingPercentage = calculateRemainingPercentage(entity.id);
-      if (remainingPercentage > 0) {
-        const addBtn = nodeGroup.append("g")
-          .attr("transform", `translate(${nodeWidth - (isRoot ? 40 : 75)}, 20)`)
-          .style("cursor", "pointer")
-          .on("click", () => addEntity(entity.id));
-        
-        addBtn.append("circle")
-          .attr("r", 10)
-          .attr("fill", "#4caf50");
-        
-        addBtn.append("text")
-          .attr("text-anchor", "middle")
-          .attr("dominant-baseline", "middle")
-          .attr("font-size", "14px")
-          .attr("fill", "white")
-          .text("+");
+      if (look.canAdd) {
+        appendButton(group, "add", nodeWidth - (isRoot ? 40 : 75), "#4caf50", "+", "14px");
       }
+    };
+    
+    // The layers are created on the first render, connectors below nodes
+    const connectionLayer = layer(svg, "g", "connections");
+    const nodeLayer = layer(svg, "g", "nodes");
+    joinKeyed(connectionLayer, links, "link", drawLink);
+    joinKeyed(nodeLayer, nodes, "node", drawNode)
+      .attr("transform", node => `translate(${node.x - nodeWidth/2}, ${node.y - nodeHeight/2})`);
+    
+    // The buttons of every node, acting on the node's entity in the current
+    // structure
+    nodeLayer.on("click", (event) => {
+      const button = event.target.closest(".node-action");
+      if (!button) return;
+      const { entity } = d3.select(button.closest(".node")).datum();
+      if (button.dataset.action === "delete") removeEntity(entity.id);
+      else if (button.dataset.action === "edit") showEditEntityModal(entity);
+      else if (button.dataset.action === "add") addEntity(entity.id);
     });
 
     // Set SVG height based on content
-    const maxY = Math.max(...Object.values(positions).map(p => p.y)) + nodeHeight + 50;
+    const maxY = d3.max(Object.values(positions), p => p.y) + nodeHeight + 50;
     svg.attr("height", maxY);
   };
   
-  // Initialize visualization when component loads
+  // The callbacks of the latest render, for the effects below to call
+  // without running again whenever they are redefined
+  const latest = useRef({});
+  latest.current = { openRecord, renderVisualization };
+  
+  // Load the most recently saved structure when the component mounts. A
+  // structure left in localStorage by earlier versions is opened unsaved.
   useEffect(() => {
-    const savedStructure = localStorage.getItem("companyStructure");
-    if (savedStructure) {
+    const loadStructure = async () => {
       try {
-        setEntities(JSON.parse(savedStructure));
+        const [newest] = await listStructures();
+        if (newest) {
+          latest.current.openRecord(await getStructure(newest.id));
+          return;
+        }
       } catch (e) {
         console.error("Failed to load saved structure", e);
       }
-    }
-  }, []);
+      
+      const savedStructure = localStorage.getItem("companyStructure");
+      if (savedStructure) {
+        try {
+          resetStructure(engine.normalizeStructure(JSON.parse(savedStructure)));
+        } catch (e) {
+          console.error("Failed to load saved structure", e);
+        }
+      }
+    };
+    
+    loadStructure();
+  }, [resetStructure]);
   
   // Update visualization when entities change
   useEffect(() => {
-    renderVisualization();
-  }, [entities]);
+    latest.current.renderVisualization();
+  }, [structure]);
+  
+  // Open the edit modal with a working copy of the entity's stakes
+  const showEditEntityModal = (entity) => {
+    setEditEntity({
+      ...entity,
+      stakes: engine.getStakes(structure, entity.id).map(holding => ({ ...holding }))
+    });
+  };
+  
+  const updateEditStake = (holdingId, percentage) => {
+    setEditEntity({
+      ...editEntity,
+      stakes: editEntity.stakes.map(stake =>
+        stake.id === holdingId ? { ...stake, percentage } : stake
+      )
+    });
+  };
   
   // Handle entity editing
   const handleEditSave = () => {
     if (!editEntity) return;
     
-    // Validate percentage
-    if (editEntity.parent !== null) {
-      let percentage = editEntity.percentage;
-      
-      // Find siblings
-      const siblings = entities.filter(e => e.parent === editEntity.parent && e.id !== editEntity.id);
-      const siblingsSum = siblings.reduce((sum, e) => sum + (e.percentage || 0), 0);
-      
-      // Ensure we don't exceed 100%
-      if (siblingsSum + percentage > 100) {
-        percentage = 100 - siblingsSum;
-      }
-      
-      // Update entity with validated percentage
-      updateEntity(editEntity.id, {
-        name: editEntity.name,
-        type: editEntity.type,
-        percentage
-      });
-    } else {
-      // For root entity, just update name and type
-      updateEntity(editEntity.id, {
-        name: editEntity.name,
-        type: editEntity.type
-      });
-    }
+    // Clamp each stake to what the other shareholders of that company leave
+    applyChange(() => engine.updateEntity(
+      engine.updateStakes(structure, editEntity.id, editEntity.stakes),
+      editEntity.id,
+      { name: editEntity.name, type: editEntity.type }
+    ));
     
     setEditEntity(null);
   };
@@ -419,8 +453,27 @@ const CompanyOwnershipStructure = () => {
   return (
     <div className="w-full max-w-6xl mx-auto p-4">
       <div className="mb-4 flex justify-between items-center">
-        <h1 className="text-2xl font-bold">Company Ownership Structure</h1>
+        <h1 className="text-2xl font-bold">
+          {structureName}
+          {isDirty && <span className="ml-2 text-sm font-normal text-gray-500">(unsaved changes)</span>}
+        </h1>
         <div className="flex">
+          <button 
+            onClick={undo}
+            disabled={!canUndo}
+            title="Undo (Ctrl+Z)"
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded mr-2 disabled:opacity-50"
+          >
+            Undo
+          </button>
+          <button 
+            onClick={redo}
+            disabled={!canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded mr-2 disabled:opacity-50"
+          >
+            Redo
+          </button>
           <button 
             onClick={saveStructure}
             className="px-4 py-2 bg-blue-500 text-white rounded mr-2"
@@ -436,28 +489,31 @@ const CompanyOwnershipStructure = () => {
         </div>
       </div>
       
+      <StructurePicker
+        currentId={structureId}
+        currentName={structureName}
+        structure={structure}
+        blankStructure={BLANK_STRUCTURE}
+        isDirty={isDirty}
+        onOpen={openRecord}
+        onRename={setStructureName}
+      />
+      
       <div className="bg-white rounded-lg shadow-lg p-4">
         <div className="text-sm text-gray-500 mb-4 flex flex-wrap">
           <div className="mr-6 mb-2 flex items-center">
             <div className="w-4 h-4 bg-blue-100 border border-green-500 mr-1"></div>
             <span>Root Company</span>
           </div>
-          <div className="mr-6 mb-2 flex items-center">
-            <div className="w-4 h-4 bg-white border border-orange-500 mr-1"></div>
-            <span>Company</span>
-          </div>
-          <div className="mr-6 mb-2 flex items-center">
-            <div className="w-4 h-4 bg-green-50 border border-orange-500 mr-1"></div>
-            <span>Individual</span>
-          </div>
-          <div className="mr-6 mb-2 flex items-center">
-            <div className="w-4 h-4 bg-yellow-50 border border-orange-500 mr-1"></div>
-            <span>Trust</span>
-          </div>
-          <div className="mr-6 mb-2 flex items-center">
-            <div className="w-4 h-4 bg-pink-50 border border-orange-500 mr-1"></div>
-            <span>Partnership</span>
-          </div>
+          {entityTypes.map(type => (
+            <div key={type.id} className="mr-6 mb-2 flex items-center">
+              <div
+                className={`w-4 h-4 mr-1 ${type.border === "solid" ? "border" : "border-2 border-dashed"}`}
+                style={{ backgroundColor: type.fill, borderColor: "#ff9800" }}
+              ></div>
+              <span>{`${type.icon || ""} ${type.label}`.trim()}</span>
+            </div>
+          ))}
         </div>
         
         <div className="overflow-auto border border-gray-200 rounded">
@@ -498,29 +554,35 @@ const CompanyOwnershipStructure = () => {
                 value={editEntity.type}
                 onChange={(e) => setEditEntity({...editEntity, type: e.target.value})}
               >
-                <option value="company">Company</option>
-                <option value="individual">Individual</option>
-                <option value="trust">Trust</option>
-                <option value="partnership">Partnership</option>
+                {typeOptions(editEntity.type).map(type => (
+                  <option key={type.id} value={type.id}>
+                    {`${type.icon || ""} ${type.label}`.trim()}
+                  </option>
+                ))}
               </select>
             </div>
             
-            {editEntity.parent !== null && (
+            {editEntity.stakes.length > 0 && (
               <div className="mb-4">
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Ownership Percentage
                 </label>
-                <input 
-                  type="number"
-                  min="0"
-                  max="100"
-                  className="w-full p-2 border rounded"
-                  value={editEntity.percentage || 0}
-                  onChange={(e) => {
-                    const value = parseFloat(e.target.value) || 0;
-                    setEditEntity({...editEntity, percentage: value});
-                  }}
-                />
+                {editEntity.stakes.map(stake => (
+                  <div key={stake.id} className="flex items-center mb-2">
+                    <span className="w-1/2 text-sm truncate">{engine.getEntityName(structure, stake.held)}</span>
+                    <input 
+                      type="number"
+                      min="0"
+                      max="100"
+                      className="w-1/2 p-2 border rounded"
+                      value={stake.percentage || 0}
+                      onChange={(e) => {
+                        const value = parseFloat(e.target.value) || 0;
+                        updateEditStake(stake.id, value);
+                      }}
+                    />
+                  </div>
+                ))}
               </div>
             )}
             
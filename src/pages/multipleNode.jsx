@@ -1,527 +1,1631 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import * as d3 from "d3";
-
-const CompanyOwnershipStructure = () => {
-  const [entities, setEntities] = useState([
+import CapTablePanel from "@/components/CapTablePanel";
+import ChartExportModal from "@/components/ChartExportModal";
+import ControlPanel from "@/components/ControlPanel";
+import CsvImportModal from "@/components/CsvImportModal";
+import EntityProfileFields from "@/components/EntityProfileFields";
+import EntitySearch from "@/components/EntitySearch";
+import EntityTypesPanel from "@/components/EntityTypesPanel";
+import StructurePicker from "@/components/StructurePicker";
+import TimelineControl from "@/components/TimelineControl";
+import { useChartZoom } from "@/hooks/useChartZoom";
+import { useCollaboration } from "@/hooks/useCollaboration";
+import { useUndoableState, useUndoShortcuts } from "@/hooks/useUndoableState";
+import InstrumentsPanel from "@/components/InstrumentsPanel";
+import OwnershipTreeList from "@/components/OwnershipTreeList";
+import UboPanel from "@/components/UboPanel";
+import ValidationDialog from "@/components/ValidationDialog";
+import VersionsPanel from "@/components/VersionsPanel";
+import {
+  allocatedShares,
+  applyShareCounts,
+  derivePercentages,
+  enableShareMode,
+  isShareMode,
+  sharesHeld,
+} from "@/lib/capTable";
+import {
+  collapseToDepth,
+  collapsedSummary,
+  getCollapsed,
+  toggleCollapsed,
+  visibleStructure,
+} from "@/lib/collapse";
+import { parseCsv, structureToCsv } from "@/lib/csv";
+import * as engine from "@/lib/engine";
+import {
+  describeEntity,
+  keyAction,
+  keyMove,
+  treePositions,
+  treeStep,
+} from "@/lib/accessibility";
+import {
+  BORDER_STYLES,
+  findEntityType,
+  getEntityTypes,
+  mayHaveShareholders,
+} from "@/lib/entityTypes";
+import { findCycles, wouldCreateCycle } from "@/lib/cycles";
+import { holdingKey, mergeForComparison } from "@/lib/diff";
+import { DILUTION_VIEWS, INSTRUMENT_TYPES, fullyDiluted } from "@/lib/dilution";
+import { DIMENSIONS, findControllers, withDimension } from "@/lib/rights";
+import { getChangeDates, structureAsOf, today } from "@/lib/timeline";
+import {
+  confirmSaving,
+  createStructure,
+  describeApiError,
+  getStructure,
+  listStructures,
+  updateStructure,
+} from "@/lib/structuresApi";
+import { findUltimateBeneficialOwners } from "@/lib/ubo";
+import { WINDOWED_ABOVE, buildChartModel, itemsInArea } from "@/lib/chartModel";
+import { cleanProfile, countryCode } from "@/lib/profile";
+import { ownershipChain } from "@/lib/search";
+import { holdingIndex } from "@/lib/structureIndex";
+import { joinKeyed, layer } from "@/lib/keyedJoin";
+import { ORIENTATIONS, treePlacement } from "@/lib/treeLayout";
+import {
+  autoFixStructure,
+  mayBeSaved,
+  validateStructure,
+} from "@/lib/validation";
+import { applyChanges, withPerUserFields } from "@/lib/collab";
+
+const BLANK_STRUCTURE = {
+  entities: [
     {
       id: 1,
       name: "Your New Company",
       type: "company",
-      parent: null,
-      percentage: 100,
     },
-  ]);
+  ],
+  holdings: [],
+};
+
+const UNTITLED_NAME = "Untitled structure";
+
+// The record of a structure not yet saved on the server
+const NEW_RECORD = {
+  id: null,
+  name: UNTITLED_NAME,
+  savedSnapshot: JSON.stringify(BLANK_STRUCTURE),
+};
+
+// Colors for entities and holdings when comparing two versions
+const DIFF_COLORS = {
+  added: "#2e7d32",
+  removed: "#c62828",
+  changed: "#f57c00",
+};
+
+const CompanyOwnershipStructure = () => {
+  // Entities are the nodes of the ownership graph; holdings are the edges.
+  // A holding records that `holder` owns `percentage` of `held`.
+  // Every change to the structure goes through the undo history, together
+  // with the record it belongs to, so undoing an import goes back to the
+  // record that was open before
+  const {
+    state: edited,
+    set: setEdited,
+    reset: resetEdited,
+    rebase: rebaseEdited,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+  } = useUndoableState({ structure: BLANK_STRUCTURE, record: NEW_RECORD });
+  const { structure, record } = edited;
+  const { entities, holdings } = structure;
+  // Entity types with their colors and icons, saved with the structure
+  const entityTypes = getEntityTypes(structure);
+  const structureId = record.id; // Id on the server once saved
+  const structureName = record.name;
+  const savedSnapshot = record.savedSnapshot;
+  const setStructure = (updated) =>
+    setEdited((current) =>
+      updated === current.structure
+        ? current
+        : { ...current, structure: updated }
+    );
+  // Change the record `id` in every step of the history, as when it is
+  // saved or renamed, without recording a step
+  const updateRecord = (id, changes) => {
+    const update = (step) =>
+      step.record.id === id
+        ? { ...step, record: { ...step.record, ...changes } }
+        : step;
+    rebaseEdited(update, update);
+  };
+  // Which companies are collapsed is saved with the structure, but it is a
+  // way of looking at it rather than a change: it is not an undo step and
+  // stays as it is when other changes are undone
+  const setCollapsed = (collapsed) => {
+    const apply = (step) =>
+      step.record.id === structureId
+        ? { ...step, structure: { ...step.structure, collapsed } }
+        : step;
+    rebaseEdited(apply, apply);
+  };
+  const isDirty = JSON.stringify(structure) !== savedSnapshot;
+  useUndoShortcuts(undo, redo);
+  // Cross-holding mode accepts circular holdings and solves for effective
+  // ownership instead of walking the chains
+  const crossHoldings = Boolean(structure.crossHoldings);
   const [editEntity, setEditEntity] = useState(null);
-  const [addingToParent, setAddingToParent] = useState(null); // Track which parent we're adding to
+  const [addingToParent, setAddingToParent] = useState(null); // Track which company we're adding a shareholder to
   const [newEntityData, setNewEntityData] = useState({
+    existingId: "",
     name: "New Entity",
     type: "company",
     percentage: 0,
+    votingPercentage: "", // Empty means votes follow the economic interest
+    shares: {}, // Shares held per class, for companies in share-count mode
+    effectiveFrom: "",
+    effectiveTo: "",
   });
 
+  const [uboThreshold, setUboThreshold] = useState(25);
+  const [comparison, setComparison] = useState(null); // Two versions shown side by side in the chart
+  const [asOfDate, setAsOfDate] = useState(""); // Empty means today
+  const [csvImport, setCsvImport] = useState(null); // CSV file being mapped and previewed
+  const [review, setReview] = useState(null); // Structure with problems awaiting the user's decision
+
+  // The structure as it stands on the "as of" date; the chart, the
+  // percentage checks and the UBO figures all work on this view
+  const effectiveDate = asOfDate || today();
+  const datedStructure = useMemo(
+    () => structureAsOf(structure, effectiveDate),
+    [structure, effectiveDate]
+  );
+  // The companies with shareholders on that date
+  const heldCompanies = useMemo(() => {
+    const { byHeld } = holdingIndex(datedStructure.holdings);
+    return datedStructure.entities.filter((entity) => byHeld.has(entity.id));
+  }, [datedStructure]);
+
+  // Whether the chart, completeness indicators and UBO figures show economic
+  // interests or votes
+  const [rightsView, setRightsView] = useState("economic");
+  // Basic ownership, or fully diluted with every option, warrant and
+  // convertible exercised or converted
+  const [dilutionView, setDilutionView] = useState("basic");
+  // Direction the chart grows in from the root company
+  const [orientation, setOrientation] = useState("top-down");
+  const dilutedStructure =
+    dilutionView === "fully-diluted"
+      ? fullyDiluted(datedStructure, effectiveDate)
+      : datedStructure;
+  const votingStructure = withDimension(datedStructure, "voting");
+  const displayedStructure = withDimension(dilutedStructure, rightsView);
+  const control = findControllers(datedStructure);
+
   const svgRef = useRef(null);
+  const minimapRef = useRef(null);
+  const focusRef = useRef(null); // Entity to focus once its node is drawn
+  const chartZoom = useChartZoom(svgRef, minimapRef);
+  const [selectedEntityId, setSelectedEntityId] = useState(null); // Node clicked in the chart
+  // Everyone else with this saved structure open sees changes as they are
+  // made; theirs are merged into the undo history
+  const collaboration = useCollaboration(
+    structureId,
+    structure,
+    (merged, changes) =>
+      rebaseEdited(
+        (current) => ({
+          ...current,
+          structure: withPerUserFields(merged, current.structure),
+        }),
+        (step) =>
+          step.record.id === structureId
+            ? { ...step, structure: applyChanges(step.structure, changes) }
+            : step
+      ),
+    {
+      selectedEntityId,
+      editingEntityId: editEntity ? editEntity.id : addingToParent,
+    }
+  );
+  const [viewMode, setViewMode] = useState("chart"); // The chart, or the same structure as a list
+  const [searchHit, setSearchHit] = useState(null); // Search result highlighted with its chain to the root
+  const [exportingChart, setExportingChart] = useState(false); // Chart export dialog open
+  const [collapseDepth, setCollapseDepth] = useState(1); // Levels left open by "Collapse to Depth"
+
+  // Legend entries for the chart, shown above it and included in exports
+  const legendItems = [
+    { label: "Root Company", fill: "#e6f2ff", stroke: "#4caf50" },
+    ...entityTypes.map((type) => ({
+      label: `${type.icon || ""} ${type.label}`.trim(),
+      fill: type.fill,
+      stroke: "#ff9800",
+      dashed: type.border !== "solid",
+    })),
+    { label: "Ultimate Beneficial Owner", stroke: "#9c27b0", dashed: true },
+    { label: "Circular Holding", stroke: "#f44336", dashed: true, line: true },
+    ...(rightsView === "voting"
+      ? [{ label: "Controlling Stake (★)", stroke: "#3f51b5", line: true }]
+      : []),
+    ...(dilutionView === "fully-diluted"
+      ? [
+          {
+            label: "Option Pool / Unissued Instrument",
+            fill: "#f3f3f3",
+            stroke: "#ff9800",
+          },
+        ]
+      : []),
+  ];
+
+  // Queries and changes go through the ownership engine; these apply the
+  // change to the open structure, or report why it was refused. A change
+  // that leaves the structure as it was is not recorded in the history.
+  const commit = (updated) => {
+    if (updated !== structure) setStructure(updated);
+  };
 
-  // Calculate the sum of percentages for children of a parent
-  const calculatePercentageSum = (parentId) => {
-    return entities
-      .filter((e) => e.parent === parentId)
-      .reduce((sum, entity) => sum + (entity.percentage || 0), 0);
+  const applyChange = (change) => {
+    try {
+      commit(change());
+      return true;
+    } catch (error) {
+      if (!(error instanceof engine.OwnershipError)) throw error;
+      alert(error.message);
+      return false;
+    }
   };
 
+  const cycles = findCycles(structure);
+
+  // Problems left in the open structure, such as warnings accepted on
+  // import. Circular holdings have a banner of their own.
+  const structureProblems = validateStructure(structure).filter(
+    (problem) => problem.rule !== "circular-holding"
+  );
+
+  const describeCycle = (cycle) =>
+    [...cycle, cycle[0]].map((id) => getEntityName(id)).join(" → ");
+
   // Calculate the remaining percentage available for a parent
-  const calculateRemainingPercentage = (parentId) => {
-    return 100 - calculatePercentageSum(parentId);
+  const calculateRemainingPercentage = (parentId, items = datedStructure) =>
+    engine.remainingPercentage(items, parentId);
+
+  const getEntityName = (id, items = structure) =>
+    engine.getEntityName(items, id);
+
+  // Entity types to offer in a type picker. An entity's own type is kept
+  // even when it is missing from the registry.
+  const typeOptions = (currentType) =>
+    entityTypes.some((type) => type.id === currentType)
+      ? entityTypes
+      : [...entityTypes, findEntityType(entityTypes, currentType)];
+
+  const updateEntityTypes = (types) =>
+    setStructure({ ...structure, entityTypes: types });
+
+  // The company, if it is in share-count mode
+  const getShareModeCompany = (id) => {
+    const entity = entities.find((e) => e.id === id);
+    return isShareMode(entity) ? entity : null;
   };
 
   // Functions to manage entities
   const showAddEntityModal = (parentId) => {
     const remainingPercentage = calculateRemainingPercentage(parentId);
+    const remainingVotes = calculateRemainingPercentage(
+      parentId,
+      votingStructure
+    );
 
-    if (remainingPercentage <= 0) {
+    if (remainingPercentage <= 0 && remainingVotes <= 0) {
       alert("Cannot add more entities. Ownership is already at 100%.");
       return;
     }
 
     setAddingToParent(parentId);
     setNewEntityData({
+      existingId: "",
       name: "New Entity",
       type: "company",
       percentage: remainingPercentage > 0 ? remainingPercentage : 0,
+      votingPercentage: "",
+      shares: {},
+      effectiveFrom: "",
+      effectiveTo: "",
     });
   };
 
+  // Entities that may be linked as an additional shareholder of a company.
+  // Outside cross-holding mode, entities that would close a loop are left out.
+  // The root company holds no stakes, even in cross-holding mode.
+  const getLinkableEntities = (parentId) => {
+    const root = engine.findRoot(structure);
+    return entities.filter(
+      (entity) =>
+        entity.id !== parentId &&
+        !(root && entity.id === root.id) &&
+        !holdings.some((h) => h.holder === entity.id && h.held === parentId) &&
+        (crossHoldings || !wouldCreateCycle(structure, entity.id, parentId))
+    );
+  };
+
   const addEntity = () => {
     if (!addingToParent) return;
 
-    const remainingPercentage = calculateRemainingPercentage(addingToParent);
+    const added = applyChange(() =>
+      engine.addShareholder(structure, addingToParent, newEntityData)
+    );
+    if (added) setAddingToParent(null);
+  };
 
-    if (newEntityData.percentage > remainingPercentage) {
-      alert(
-        `Cannot add entity with ${newEntityData.percentage}%. Maximum available is ${remainingPercentage}%.`
+  const removeEntity = (id) =>
+    applyChange(() => engine.removeEntity(structure, id));
+
+  // Move a stake to another company, as when a node is dragged onto another
+  // one. The shareholder keeps its own shareholders, so its whole subtree
+  // moves with it in a single undoable change.
+  const moveHolding = (holdingId, toId) => {
+    try {
+      commit(engine.moveHolding(structure, holdingId, toId));
+    } catch (error) {
+      if (!(error instanceof engine.OwnershipError)) throw error;
+      if (!error.maxPercentage) {
+        alert(error.message);
+        return;
+      }
+
+      // The stake does not fit in what is left of the target; the user may
+      // enter a smaller percentage instead
+      const { maxPercentage } = error;
+      const target = getEntityName(toId);
+      const entered = window.prompt(
+        `${error.message} Percentage of ${target} to hold:`,
+        maxPercentage
+      );
+      if (entered === null) return;
+      const percentage = parseFloat(entered);
+      if (isNaN(percentage) || percentage <= 0 || percentage > maxPercentage) {
+        alert(`Enter a percentage above 0 and at most ${maxPercentage}%.`);
+        return;
+      }
+      applyChange(() =>
+        engine.moveHolding(structure, holdingId, toId, { percentage })
       );
-      return;
     }
+  };
 
-    const newId =
-      entities.length > 0 ? Math.max(...entities.map((e) => e.id)) + 1 : 1;
+  const updateEntity = (id, updates) =>
+    applyChange(() => engine.updateEntity(structure, id, updates));
 
-    const newEntity = {
-      id: newId,
-      name: newEntityData.name,
-      type: newEntityData.type,
-      parent: addingToParent,
-      percentage: newEntityData.percentage,
-    };
+  // Switch a company between share-count mode and typed-in percentages.
+  // Switching off keeps the last derived percentages and the share data.
+  const toggleShareMode = (companyId, enabled) => {
+    if (enabled) {
+      setStructure(enableShareMode(structure, companyId));
+      return;
+    }
+    updateEntity(companyId, { shareMode: false });
+  };
 
-    setEntities([...entities, newEntity]);
-    setAddingToParent(null);
+  const updateShareClasses = (companyId, shareClasses) => {
+    setStructure(
+      applyShareCounts({
+        ...structure,
+        entities: entities.map((entity) =>
+          entity.id === companyId ? { ...entity, shareClasses } : entity
+        ),
+      })
+    );
   };
 
-  const removeEntity = (id) => {
-    // Remove this entity and all its children recursively
-    const entitiesToRemove = [id];
+  const updateShares = (holdingId, classId, count) => {
+    const holding = holdings.find((h) => h.id === holdingId);
+    const company = getShareModeCompany(holding.held);
+    const shareClass = company.shareClasses.find((c) => c.id === classId);
+    const unallocated =
+      shareClass.issued -
+      allocatedShares(holdings, company.id, classId, holding, holdingId);
 
-    // Find all descendants
-    const findDescendants = (parentId) => {
-      entities.forEach((entity) => {
-        if (entity.parent === parentId) {
-          entitiesToRemove.push(entity.id);
-          findDescendants(entity.id);
-        }
-      });
+    if (count > unallocated) {
+      alert(
+        `Cannot give ${getEntityName(holding.holder)} ${count} ${shareClass.name} shares. Only ${unallocated} are unallocated.`
+      );
+      return;
+    }
+
+    setStructure(
+      applyShareCounts({
+        ...structure,
+        holdings: holdings.map((h) =>
+          h.id === holdingId
+            ? { ...h, shares: { ...h.shares, [classId]: count } }
+            : h
+        ),
+      })
+    );
+  };
+
+  // Show a structure record from the server, or a new unsaved structure
+  // when `record` is null. Opening a structure starts a fresh undo history
+  // unless `undoable` is set, as for imports. A repaired `structure` may be
+  // shown in place of the saved one, leaving the repairs unsaved.
+  const openRecord = (record, { undoable = false, structure } = {}) => {
+    const saved = record
+      ? engine.normalizeStructure(record.structure)
+      : BLANK_STRUCTURE;
+    const opened = {
+      structure: structure || saved,
+      record: record
+        ? {
+            id: record.id,
+            name: record.name,
+            savedSnapshot: JSON.stringify(saved),
+          }
+        : NEW_RECORD,
     };
+    if (undoable) {
+      setEdited(opened);
+    } else {
+      resetEdited(opened);
+    }
+    setComparison(null);
+    setSearchHit(null);
+  };
 
-    findDescendants(id);
+  // Open a saved structure. Warnings were accepted when it was saved, so only
+  // a structure with errors stops at the validation dialog.
+  const openLoadedRecord = (record) => {
+    if (!record) {
+      openRecord(null);
+      return;
+    }
 
-    // Filter out the entities to remove
-    setEntities(
-      entities.filter((entity) => !entitiesToRemove.includes(entity.id))
+    const loaded = engine.normalizeStructure(record.structure);
+    if (!validateStructure(loaded).some((p) => p.severity === "error")) {
+      openRecord(record);
+      return;
+    }
+    reviewStructure(loaded, `Problems in ${record.name}`, (accepted) =>
+      openRecord(record, { structure: accepted })
     );
   };
 
-  const updateEntity = (id, updates) => {
-    setEntities(
-      entities.map((entity) =>
-        entity.id === id ? { ...entity, ...updates } : entity
-      )
-    );
+  // Check a structure that is being imported or loaded. A valid structure
+  // is accepted straight away; otherwise the validation dialog lets the user
+  // cancel, repair the safe cases or accept the warnings.
+  const reviewStructure = (candidate, title, onAccept) => {
+    const problems = validateStructure(candidate);
+    if (problems.length === 0) {
+      onAccept(candidate);
+      return;
+    }
+    setReview({ title, structure: candidate, problems, fixes: [], onAccept });
+  };
+
+  const autoFixReview = () => {
+    const { structure: fixed, fixes } = autoFixStructure(review.structure);
+    setReview({
+      ...review,
+      structure: fixed,
+      problems: validateStructure(fixed),
+      fixes: [...review.fixes, ...fixes],
+    });
   };
 
-  const saveStructure = () => {
-    const dataStr = JSON.stringify(entities);
-    localStorage.setItem("companyStructure", dataStr);
-    alert("Structure saved to browser's localStorage");
+  const acceptReview = () => {
+    setReview(null);
+    review.onAccept(review.structure);
   };
 
-  const downloadStructure = () => {
-    const dataStr = JSON.stringify(entities, null, 2);
-    const dataUri = `data:application/json;charset=utf-8,${encodeURIComponent(
-      dataStr
+  const saveStructure = async () => {
+    const options = confirmSaving(structure);
+    if (!options) return;
+
+    try {
+      const savedSnapshot = JSON.stringify(structure);
+      if (structureId) {
+        await updateStructure(structureId, { structure }, options);
+        updateRecord(structureId, { savedSnapshot });
+      } else {
+        const created = await createStructure(
+          structureName,
+          structure,
+          options
+        );
+        updateRecord(null, { id: created.id, savedSnapshot });
+      }
+      alert(`"${structureName}" saved`);
+    } catch (error) {
+      alert("Could not save structure: " + describeApiError(error));
+    }
+  };
+
+  const downloadFile = (content, mimeType, fileName) => {
+    const dataUri = `data:${mimeType};charset=utf-8,${encodeURIComponent(
+      content
     )}`;
 
     const downloadLink = document.createElement("a");
     downloadLink.setAttribute("href", dataUri);
-    downloadLink.setAttribute("download", "company_structure.json");
+    downloadLink.setAttribute("download", fileName);
     document.body.appendChild(downloadLink);
     downloadLink.click();
     document.body.removeChild(downloadLink);
   };
 
-  // Import structure from JSON file
+  const downloadStructure = () => {
+    downloadFile(
+      JSON.stringify(structure, null, 2),
+      "application/json",
+      "company_structure.json"
+    );
+  };
+
+  // Export the entity list as it stands on the "as of" date, one row per
+  // stake
+  const downloadCsv = () => {
+    downloadFile(
+      structureToCsv(datedStructure),
+      "text/csv",
+      "company_structure.csv"
+    );
+  };
+
+  // Import a structure from a JSON or CSV file and store it on the server,
+  // which validates it before it replaces the open structure
   const importStructure = (event) => {
     const file = event.target.files[0];
     if (!file) return;
 
+    const isCsv = /\.csv$/i.test(file.name);
     const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const importedEntities = JSON.parse(e.target.result);
-        if (Array.isArray(importedEntities) && importedEntities.length > 0) {
-          setEntities(importedEntities);
-        } else {
-          alert("Invalid structure format");
+    reader.onload = async (e) => {
+      // CSV files go through column mapping and a preview first
+      if (isCsv) {
+        const rows = parseCsv(e.target.result);
+        if (rows.length < 2) {
+          alert("The CSV file has no rows to import");
+          return;
         }
+        setCsvImport({ fileName: file.name, rows });
+        return;
+      }
+
+      let importedStructure;
+      try {
+        importedStructure = engine.normalizeStructure(
+          JSON.parse(e.target.result)
+        );
       } catch (error) {
         alert("Error parsing file: " + error.message);
+        return;
+      }
+
+      if (engine.isStructure(importedStructure)) {
+        importParsedStructure(
+          importedStructure,
+          file.name.replace(/\.json$/i, "")
+        );
+      } else {
+        alert("Invalid structure format");
       }
     };
     reader.readAsText(file);
+    event.target.value = "";
   };
 
-  // D3 visualization
-  const renderVisualization = () => {
-    if (!svgRef.current) return;
-
-    // Clear previous content
-    d3.select(svgRef.current).selectAll("*").remove();
-
-    // Create hierarchical data structure
-    const createHierarchy = () => {
-      // Create a map for quick lookup
-      const entityMap = {};
-      entities.forEach((entity) => {
-        entityMap[entity.id] = { ...entity, children: [] };
-      });
-
-      // Connect parents and children
-      entities.forEach((entity) => {
-        if (entity.parent !== null && entityMap[entity.parent]) {
-          entityMap[entity.parent].children.push(entityMap[entity.id]);
+  // Store an imported structure on the server and open it, once any
+  // problems have been reviewed. A structure the server would refuse, such
+  // as one with several roots, is opened unsaved to be repaired first.
+  const importParsedStructure = (importedStructure, name) => {
+    reviewStructure(
+      importedStructure,
+      `Problems in ${name}`,
+      async (accepted) => {
+        const problems = validateStructure(accepted);
+        if (!problems.every(mayBeSaved)) {
+          // A new record with nothing saved yet
+          openRecord(
+            { id: null, name, structure: BLANK_STRUCTURE },
+            { undoable: true, structure: accepted }
+          );
+          alert(
+            `${name} was opened without saving it. Fix the problems with its ownership before saving.`
+          );
+          return;
         }
-      });
-
-      // Find root nodes
-      return entities.find((entity) => entity.parent === null);
-    };
 
-    const rootEntity = createHierarchy();
-    if (!rootEntity) return;
-
-    // SVG dimensions
-    const svg = d3.select(svgRef.current);
-    const width = parseInt(svg.style("width"));
-    const height = 800;
-
-    // Node dimensions
-    const nodeWidth = 200;
-    const nodeHeight = 100;
-    const horizontalSpacing = 60;
-    const verticalSpacing = 80;
+        try {
+          // The user accepted any warnings in the validation dialog
+          const record = await createStructure(name, accepted, {
+            allowWarnings: problems.length > 0,
+          });
+          openRecord(record, { undoable: true });
+        } catch (error) {
+          alert("Could not import structure: " + describeApiError(error));
+        }
+      }
+    );
+  };
 
-    // Calculate the maximum depth and width of the tree
-    const getTreeDimensions = (root) => {
-      let maxDepth = 0;
-      let maxWidth = 0;
-      let widthByLevel = {};
+  const toggleCrossHoldings = () => {
+    if (crossHoldings && cycles.length > 0) {
+      alert("Remove the circular holdings before leaving cross-holding mode.");
+      return;
+    }
+    setStructure({ ...structure, crossHoldings: !crossHoldings });
+  };
 
-      const traverse = (node, depth) => {
-        if (!widthByLevel[depth]) widthByLevel[depth] = 0;
-        widthByLevel[depth]++;
+  const expandAll = () => setCollapsed([]);
 
-        maxDepth = Math.max(maxDepth, depth);
-        maxWidth = Math.max(maxWidth, widthByLevel[depth]);
+  // Show only the first `collapseDepth` levels below the root
+  const collapseAllToDepth = () => {
+    const root = engine.findRoot(structure);
+    if (!root) return;
+    setCollapsed(collapseToDepth(structure, root.id, collapseDepth));
+  };
 
-        const children = entities.filter((e) => e.parent === node.id);
-        children.forEach((child) => traverse(child, depth + 1));
+  // Individuals owning at least the threshold of the root, directly or through
+  // chains of companies
+  const getUltimateBeneficialOwners = () => {
+    const root = engine.findRoot(structure);
+    if (!root) return { owners: [] };
+
+    try {
+      return {
+        owners: findUltimateBeneficialOwners(
+          displayedStructure,
+          root.id,
+          uboThreshold,
+          {
+            solveCrossHoldings: crossHoldings,
+          }
+        ),
       };
+    } catch (error) {
+      return { owners: [], error: error.message };
+    }
+  };
 
-      traverse(root, 0);
-
-      return { maxDepth, maxWidth, widthByLevel };
-    };
-
-    const { maxDepth, widthByLevel } = getTreeDimensions(rootEntity);
-
-    // Calculate positions
-    const positions = {};
-
-    const calculatePositions = (node, depth, index, levelStart, levelWidth) => {
-      // Calculate x position
-      const levelSpace = width * 0.9; // Use 90% of width
-      const nodeSpace = levelSpace / levelWidth;
-      const startX = (width - levelSpace) / 2 + nodeSpace / 2;
-      const x = startX + index * nodeSpace;
-
-      // Calculate y position
-      const y = 50 + depth * (nodeHeight + verticalSpacing);
+  const { owners: ultimateBeneficialOwners, error: uboError } =
+    getUltimateBeneficialOwners();
+
+  // While comparing versions the chart shows both of them merged, read-only
+  const comparisonView = comparison
+    ? mergeForComparison(comparison.before, comparison.after)
+    : null;
+
+  // The structure the chart and the list view show. The shareholders of
+  // collapsed entities are left out of `view`; `fullView` has them all.
+  const getChartViews = () => {
+    const fullView = comparisonView
+      ? withDimension(comparisonView.view, rightsView)
+      : displayedStructure;
+    const collapsed = getCollapsed(structure);
+    const root = engine.findRoot(fullView);
+    const view = root
+      ? visibleStructure({ ...fullView, collapsed: [...collapsed] }, root.id)
+      : fullView;
+    const visibleIds = new Set(view.entities.map((e) => e.id));
+    return { fullView, view, root, collapsed, visibleIds };
+  };
 
-      positions[node.id] = { x, y };
+  // The comparison and fully diluted views have no editing actions
+  const readOnly = Boolean(comparisonView) || dilutionView === "fully-diluted";
+  const uboById = new Map(
+    ultimateBeneficialOwners.map((owner) => [owner.entity.id, owner])
+  );
 
-      // Process children
-      const children = entities.filter((e) => e.parent === node.id);
-      children.forEach((child, i) => {
-        calculatePositions(
-          child,
-          depth + 1,
-          levelStart + i,
-          levelStart,
-          children.length
-        );
-        levelStart += 1;
-      });
+  // What the chart and the list view show about an entity, its description
+  // for screen readers, and which of the add, edit, delete and collapse
+  // actions it offers
+  const describeNode = (
+    { fullView, collapsed, visibleIds },
+    entity,
+    isRoot
+  ) => {
+    const entityType = findEntityType(entityTypes, entity.type);
+    // Types that cannot have shareholders are never incomplete
+    const takesShareholders =
+      entityType.mayHaveShareholders && entity.type !== "instrument";
+    // Ownership figures count the stakes hidden by collapsing too
+    const stakes = engine.getStakes(fullView, entity.id);
+    const percentageSum = engine.percentageSum(fullView, entity.id);
+    const hasShareholders =
+      engine.getShareholdings(fullView, entity.id).length > 0;
+    const isCollapsed = hasShareholders && collapsed.has(entity.id);
+    const hidden = isCollapsed
+      ? collapsedSummary(fullView, entity.id, visibleIds, entityTypes)
+      : null;
+    const ubo = readOnly ? null : uboById.get(entity.id);
+
+    return {
+      entityType,
+      takesShareholders,
+      stakes,
+      percentageSum,
+      hasShareholders,
+      isCollapsed,
+      hidden,
+      ubo,
+      label: describeEntity(fullView, entity, {
+        typeLabel: entity.instrumentType
+          ? INSTRUMENT_TYPES[entity.instrumentType].label
+          : entityType.label,
+        isRoot,
+        stakes,
+        percentageSum,
+        takesShareholders,
+        ubo: ubo ? ubo.effective : null,
+        hidden: hidden && hidden.hidden,
+      }),
+      actions: {
+        // Add a shareholder if the type takes shareholders and there's
+        // remaining economic or voting percentage
+        add:
+          !readOnly &&
+          takesShareholders &&
+          (calculateRemainingPercentage(entity.id) > 0 ||
+            calculateRemainingPercentage(entity.id, votingStructure) > 0),
+        edit: !readOnly,
+        delete: !readOnly && !isRoot,
+        toggle: hasShareholders,
+      },
     };
+  };
 
-    // Calculate positions for the root level
-    calculatePositions(rootEntity, 0, 0, 0, 1);
-
-    // Adjust the positions for subsequent levels
-    for (let level = 1; level <= maxDepth; level++) {
-      let levelEntities = entities.filter((e) => {
-        const parent = entities.find((p) => p.id === e.parent);
-        return (
-          parent &&
-          positions[parent.id] &&
-          positions[parent.id].y ===
-            50 + (level - 1) * (nodeHeight + verticalSpacing)
-        );
-      });
+  // Carry out an action on an entity, from its button in the chart, a
+  // keyboard shortcut or the list view
+  const runNodeAction = (action, entity) => {
+    if (action === "add") showAddEntityModal(entity.id);
+    else if (action === "edit") showEditEntityModal(entity);
+    else if (action === "delete") removeEntity(entity.id);
+    else if (action === "toggle") {
+      setCollapsed(toggleCollapsed(structure, entity.id).collapsed);
+    }
+  };
 
-      levelEntities.sort((a, b) => {
-        const parentA = positions[a.parent];
-        const parentB = positions[b.parent];
-        return parentA.x - parentB.x;
+  // The structure as nested lists, in place of the chart
+  const renderTreeList = () => {
+    const views = getChartViews();
+    if (!views.root) return null;
+
+    const tree = treePlacement(views.view, views.root.id);
+    const nodes = new Map();
+    views.view.entities.forEach((entity) => {
+      if (!(entity.id in tree.depthById)) return;
+      const isRoot = entity.id === views.root.id;
+      nodes.set(entity.id, {
+        entity,
+        info: describeNode(views, entity, isRoot),
       });
+    });
 
-      levelEntities.forEach((entity, i) => {
-        positions[entity.id] = {
-          x: width * 0.1 + (width * 0.8 * i) / (levelEntities.length || 1),
-          y: 50 + level * (nodeHeight + verticalSpacing),
-        };
-      });
-    }
+    return (
+      <OwnershipTreeList
+        tree={tree}
+        nodes={nodes}
+        selectedEntityId={selectedEntityId}
+        onSelect={setSelectedEntityId}
+        onAction={runNodeAction}
+      />
+    );
+  };
 
-    // Draw the connections
-    const connections = svg.append("g").attr("class", "connections");
+  // D3 visualization. The chart's layers are kept between renders and
+  // nodes and connectors are joined to their data by key, so a change only
+  // redraws the nodes and connectors whose content changed. Large charts
+  // only draw what is in view, and draw more as the view pans and zooms.
+  const renderVisualization = () => {
+    if (!svgRef.current) return;
 
-    entities
-      .filter((e) => e.parent !== null)
-      .forEach((entity) => {
-        const source = positions[entity.parent];
-        const target = positions[entity.id];
+    const svg = d3.select(svgRef.current);
+    const views = getChartViews();
+    const { fullView, view, root: fullRoot } = views;
+    if (!fullRoot) {
+      svg.selectAll("*").remove();
+      return;
+    }
+    // A search result and every company above it stay in full colour; the
+    // rest of the chart is dimmed
+    const highlighted = searchHit && ownershipChain(view, searchHit.entityId);
 
-        if (!source || !target) return;
+    // SVG dimensions
+    const width = parseInt(svg.style("width"));
 
-        // Draw the path from parent to child
-        connections
-          .append("path")
-          .attr(
-            "d",
-            `M${source.x},${source.y + nodeHeight / 2} 
-                     L${source.x},${
-              source.y + nodeHeight / 2 + verticalSpacing / 3
-            }
-                     L${target.x},${
-              source.y + nodeHeight / 2 + verticalSpacing / 3
-            }
-                     L${target.x},${target.y - nodeHeight / 2}`
-          )
-          .attr("stroke", "#888")
-          .attr("stroke-width", 2)
-          .attr("fill", "none");
+    // Node dimensions
+    const nodeWidth = 200;
+    const nodeHeight = 100;
+    // Left to right, the gap between levels also holds the collapsed badges
+    const levelGap = orientation === "left-to-right" ? 170 : 80;
+
+    const model = buildChartModel(view, fullRoot.id, {
+      orientation,
+      nodeWidth,
+      nodeHeight,
+      siblingGap: 40,
+      levelGap,
+      stakeSpacing: orientation === "left-to-right" ? 25 : 50,
+      margin: 40,
+      width,
+    });
+    const { positions } = model;
+
+    // The middle of the node edge facing its shareholders, where the
+    // collapse button sits, and the collapsed badge just beyond it
+    const shareholderSide = {
+      "top-down": {
+        x: nodeWidth / 2,
+        y: nodeHeight,
+        badgeX: nodeWidth / 2,
+        badgeY: nodeHeight + 24,
+      },
+      "bottom-up": {
+        x: nodeWidth / 2,
+        y: 0,
+        badgeX: nodeWidth / 2,
+        badgeY: -24,
+      },
+      "left-to-right": {
+        x: nodeWidth,
+        y: nodeHeight / 2,
+        badgeX: nodeWidth + 86,
+        badgeY: nodeHeight / 2,
+      },
+    }[orientation];
+
+    // How each connector looks
+    const links = model.links.map((link) => {
+      const { holding, isCircular } = link;
+      const status =
+        comparisonView && comparisonView.holdingStatus[holdingKey(holding)];
+      // In the voting view, stakes carrying a majority of the votes
+      // are drawn as controlling
+      const isControlling =
+        rightsView === "voting" && !isCircular && holding.percentage > 50;
+      const onChain = highlighted && highlighted.has(link.holderId);
+
+      const look = {
+        d: link.d,
+        stroke: onChain
+          ? "#2196f3"
+          : status
+            ? DIFF_COLORS[status]
+            : isCircular
+              ? "#f44336"
+              : isControlling
+                ? "#3f51b5"
+                : "#888",
+        strokeWidth: onChain ? 4 : status || isControlling ? 3 : 2,
+        dashArray: isCircular || status === "removed" ? "6 4" : null,
+        opacity: highlighted && !onChain ? 0.2 : null,
+        labelX: link.labelX,
+        labelY: link.labelY,
+        labelAnchor: link.labelAnchor,
+        labelColor: status ? DIFF_COLORS[status] : "#666",
+        label:
+          status === "changed"
+            ? `${
+                comparisonView.previousPercentage[holdingKey(holding)]
+              }% → ${holding.percentage}%`
+            : holding.instrument
+              ? `${holding.percentage}% (${INSTRUMENT_TYPES[holding.instrument].label})`
+              : `${holding.percentage}%${isControlling ? " ★" : ""}`,
+      };
+      return { ...link, look, signature: JSON.stringify(look) };
+    });
 
-        // Add percentage label
-        connections
-          .append("text")
-          .attr("x", target.x - 30)
-          .attr("y", target.y - nodeHeight / 2 - 10)
-          .attr("text-anchor", "middle")
-          .attr("font-size", "12px")
-          .attr("z-index", "100")
-          .attr("fill", "#666")
-          .text(`${entity.percentage}%`);
+    // Where each node sits in the tree, for screen readers. Keyboard focus
+    // stays on the selected entity, or starts at the root.
+    const treeItems = treePositions(model.tree);
+    const focusId = treeItems.has(selectedEntityId)
+      ? selectedEntityId
+      : fullRoot.id;
+
+    // Who else is looking at or editing each entity
+    const presenceById = new Map();
+    collaboration.peers.forEach((peer) => {
+      new Set([peer.selectedEntityId, peer.editingEntityId]).forEach((id) => {
+        if (id === null) return;
+        if (!presenceById.has(id)) presenceById.set(id, []);
+        presenceById.get(id).push({
+          name: peer.name,
+          color: peer.color,
+          editing: peer.editingEntityId === id,
+        });
       });
+    });
 
-    // Draw the nodes
-    const nodes = svg.append("g").attr("class", "nodes");
+    // How each node looks, and which buttons it has
+    const nodes = model.nodes.map((node) => {
+      const { entity, isRoot } = node;
+      const info = describeNode(views, entity, isRoot);
+      const { entityType, stakes, percentageSum, takesShareholders } = info;
+      // Derived percentages are rounded, so allow for rounding error
+      const hasFullOwnership = Math.abs(100 - percentageSum) < 0.001;
+      const status = comparisonView && comparisonView.entityStatus[entity.id];
+
+      // The entity type gives the background color, border and icon; the
+      // root company and unissued instruments have colors of their own
+      let fill = entityType.fill;
+      if (isRoot) fill = "#e6f2ff";
+      else if (entity.type === "instrument") fill = "#f3f3f3";
+
+      const look = {
+        orientation,
+        name: entity.name,
+        typeLine:
+          (entity.instrumentType
+            ? INSTRUMENT_TYPES[entity.instrumentType].label
+            : `${entityType.icon || ""} ${entityType.label}`.trim()) +
+          (countryCode(entity) ? ` · ${countryCode(entity)}` : ""),
+        fill,
+        stroke: status
+          ? DIFF_COLORS[status]
+          : hasFullOwnership || isRoot || !takesShareholders
+            ? "#4caf50"
+            : "#ff9800",
+        strokeWidth: status ? 3 : 2,
+        dashArray:
+          status === "removed"
+            ? "6 4"
+            : (BORDER_STYLES[entityType.border] || BORDER_STYLES.solid)
+                .dashArray,
+        opacity:
+          highlighted && !highlighted.has(entity.id)
+            ? 0.25
+            : status === "removed"
+              ? 0.6
+              : null,
+        selected: entity.id === selectedEntityId,
+        focusable: entity.id === focusId,
+        label: info.label,
+        treeItem: treeItems.get(entity.id),
+        expanded: info.hasShareholders ? !info.isCollapsed : null,
+        status,
+        ubo: info.ubo
+          ? `UBO ${parseFloat(info.ubo.effective.toFixed(2))}%`
+          : null,
+        ownership: isRoot
+          ? null
+          : stakes.length === 1
+            ? `Ownership: ${stakes[0].percentage}%`
+            : `Stakes in ${stakes.length} companies`,
+        completeness:
+          isRoot || !takesShareholders
+            ? null
+            : hasFullOwnership
+              ? "complete"
+              : `⚠ ${parseFloat((100 - percentageSum).toFixed(4))}% remaining`,
+        // Collapse or expand the shareholders of entities that have any
+        toggle: info.hasShareholders ? (info.isCollapsed ? "+" : "−") : null,
+        collapsedSummary: info.hidden,
+        actions: info.actions,
+        isRoot,
+        // Exports show the structure alone
+        presence: exportingChart ? [] : presenceById.get(entity.id) || [],
+      };
+      return {
+        ...node,
+        // Drag a shareholder onto another company to move its stake there,
+        // together with everything below it
+        draggable: !readOnly && Boolean(node.treeStake),
+        look,
+        signature: JSON.stringify(look),
+      };
+    });
 
-    entities.forEach((entity) => {
-      const pos = positions[entity.id];
-      if (!pos) return;
+    const drawLink = (group, { look }) => {
+      group
+        .append("path")
+        .attr("d", look.d)
+        .attr("stroke", look.stroke)
+        .attr("stroke-width", look.strokeWidth)
+        .attr("stroke-dasharray", look.dashArray)
+        .attr("opacity", look.opacity)
+        .attr("fill", "none");
+
+      // Add percentage label
+      group
+        .append("text")
+        .attr("x", look.labelX)
+        .attr("y", look.labelY)
+        .attr("text-anchor", look.labelAnchor)
+        .attr("font-size", "12px")
+        .attr("fill", look.labelColor)
+        .attr("opacity", look.opacity)
+        .text(look.label);
+    };
 
-      const isRoot = entity.parent === null;
-      const percentageSum = calculatePercentageSum(entity.id);
-      const hasFullOwnership = percentageSum === 100;
+    // A round button on a node. Clicks are handled for all nodes at once
+    // by `action`.
+    const appendButton = (group, action, x, y, color, symbol, fontSize) => {
+      const button = group
+        .append("g")
+        .attr("class", "node-action")
+        .attr("data-action", action)
+        .attr("aria-hidden", true)
+        .attr("transform", `translate(${x}, ${y})`)
+        .style("cursor", "pointer");
 
-      // Determine background color based on entity type
-      let bgColor = "#fff";
-      if (isRoot) bgColor = "#e6f2ff";
-      else if (entity.type === "individual") bgColor = "#f0f9e8";
-      else if (entity.type === "trust") bgColor = "#fff8e6";
-      else if (entity.type === "partnership") bgColor = "#f9e8f0";
+      button.append("circle").attr("r", 10).attr("fill", color);
 
-      // Create a group for the node
-      const nodeGroup = nodes
-        .append("g")
-        .attr(
-          "transform",
-          `translate(${pos.x - nodeWidth / 2}, ${pos.y - nodeHeight / 2})`
-        )
-        .attr("class", "node");
+      button
+        .append("text")
+        .attr("text-anchor", "middle")
+        .attr("dominant-baseline", "middle")
+        .attr("font-size", fontSize)
+        .attr("fill", "white")
+        .text(symbol);
+    };
+
+    const drawNode = (group, { look }) => {
+      // Screen readers read the node's description in place of its drawing
+      group
+        .attr("opacity", look.opacity)
+        .attr("tabindex", look.focusable ? 0 : -1)
+        .attr("role", "treeitem")
+        .attr("aria-label", look.label)
+        .attr("aria-level", look.treeItem.level)
+        .attr("aria-posinset", look.treeItem.position)
+        .attr("aria-setsize", look.treeItem.setSize)
+        .attr("aria-selected", look.selected)
+        .attr("aria-expanded", look.expanded)
+        .attr("aria-keyshortcuts", "A E Enter Delete C");
+
+      // Outline the selected entity
+      if (look.selected) {
+        group
+          .append("rect")
+          .attr("x", -8)
+          .attr("y", -8)
+          .attr("width", nodeWidth + 16)
+          .attr("height", nodeHeight + 16)
+          .attr("rx", 12)
+          .attr("ry", 12)
+          .attr("fill", "none")
+          .attr("stroke", "#2196f3")
+          .attr("stroke-width", 3);
+      }
 
       // Draw the rectangle
-      nodeGroup
+      group
         .append("rect")
         .attr("width", nodeWidth)
         .attr("height", nodeHeight)
         .attr("rx", 8)
         .attr("ry", 8)
-        .attr("fill", bgColor)
-        .attr("stroke", hasFullOwnership || isRoot ? "#4caf50" : "#ff9800")
-        .attr("stroke-width", 2);
+        .attr("fill", look.fill)
+        .attr("stroke", look.stroke)
+        .attr("stroke-width", look.strokeWidth)
+        .attr("stroke-dasharray", look.dashArray);
+
+      // Label entities that differ between the compared versions
+      if (look.status) {
+        group
+          .append("text")
+          .attr("x", nodeWidth - 10)
+          .attr("y", 20)
+          .attr("text-anchor", "end")
+          .attr("font-size", "10px")
+          .attr("font-weight", "bold")
+          .attr("fill", DIFF_COLORS[look.status])
+          .text(look.status.charAt(0).toUpperCase() + look.status.slice(1));
+      }
+
+      // Highlight ultimate beneficial owners above the threshold
+      if (look.ubo) {
+        group
+          .append("rect")
+          .attr("x", -4)
+          .attr("y", -4)
+          .attr("width", nodeWidth + 8)
+          .attr("height", nodeHeight + 8)
+          .attr("rx", 10)
+          .attr("ry", 10)
+          .attr("fill", "none")
+          .attr("stroke", "#9c27b0")
+          .attr("stroke-width", 3)
+          .attr("stroke-dasharray", "6 3");
+
+        group
+          .append("text")
+          .attr("x", nodeWidth - 10)
+          .attr("y", 85)
+          .attr("text-anchor", "end")
+          .attr("font-size", "10px")
+          .attr("font-weight", "bold")
+          .attr("fill", "#9c27b0")
+          .text(look.ubo);
+      }
 
       // Add entity name
-      nodeGroup
+      group
         .append("text")
         .attr("x", 10)
         .attr("y", 25)
         .attr("font-weight", "bold")
         .attr("font-size", "14px")
-        .text(entity.name);
+        .text(look.name);
 
       // Add entity type
-      nodeGroup
+      group
         .append("text")
         .attr("x", 10)
         .attr("y", 45)
         .attr("font-size", "12px")
         .attr("fill", "#666")
-        .text(entity.type.charAt(0).toUpperCase() + entity.type.slice(1));
+        .text(look.typeLine);
 
       // Add ownership info for non-root entities
-      if (!isRoot) {
-        nodeGroup
+      if (look.ownership) {
+        group
           .append("text")
           .attr("x", 10)
           .attr("y", 65)
           .attr("font-size", "12px")
-          .text(`Ownership: ${entity.percentage}%`);
+          .text(look.ownership);
       }
 
       // Add ownership status indicator
-      if (!isRoot) {
-        if (hasFullOwnership) {
-          nodeGroup
-            .append("text")
-            .attr("x", 10)
-            .attr("y", 85)
-            .attr("font-size", "10px")
-            .attr("fill", "#4caf50")
-            .text("✓ Complete");
-        } else {
-          nodeGroup
-            .append("text")
-            .attr("x", 10)
-            .attr("y", 85)
-            .attr("font-size", "10px")
-            .attr("fill", "#f44336")
-            .text(`⚠ ${100 - percentageSum}% remaining`);
-        }
+      if (look.completeness) {
+        const complete = look.completeness === "complete";
+        group
+          .append("text")
+          .attr("x", 10)
+          .attr("y", 85)
+          .attr("font-size", "10px")
+          .attr("fill", complete ? "#4caf50" : "#f44336")
+          .text(complete ? "✓ Complete" : look.completeness);
       }
 
-      // Add delete button for non-root entities
-      if (!isRoot) {
-        const deleteBtn = nodeGroup
+      if (look.collapsedSummary) {
+        const { hidden, incomplete } = look.collapsedSummary;
+        const badge = group
           .append("g")
-          .attr("transform", `translate(${nodeWidth - 25}, 20)`)
-          .style("cursor", "pointer")
-          .on("click", () => removeEntity(entity.id));
-
-        deleteBtn.append("circle").attr("r", 10).attr("fill", "#f44336");
-
-        deleteBtn
+          .attr(
+            "transform",
+            `translate(${shareholderSide.badgeX}, ${shareholderSide.badgeY})`
+          );
+
+        badge
+          .append("rect")
+          .attr("x", -70)
+          .attr("y", -10)
+          .attr("width", 140)
+          .attr("height", 20)
+          .attr("rx", 10)
+          .attr("ry", 10)
+          .attr("fill", incomplete > 0 ? "#fff3e0" : "#e8f5e9")
+          .attr("stroke", incomplete > 0 ? "#ff9800" : "#4caf50");
+
+        badge
           .append("text")
           .attr("text-anchor", "middle")
           .attr("dominant-baseline", "middle")
-          .attr("font-size", "14px")
-          .attr("fill", "white")
-          .text("×");
+          .attr("font-size", "10px")
+          .attr("fill", incomplete > 0 ? "#e65100" : "#2e7d32")
+          .text(
+            `${hidden} hidden · ${
+              incomplete > 0 ? `⚠ ${incomplete} incomplete` : "✓ Complete"
+            }`
+          );
       }
 
-      // Add edit button
-      const editBtn = nodeGroup
-        .append("g")
-        .attr("transform", `translate(${nodeWidth - (isRoot ? 15 : 50)}, 20)`)
-        .style("cursor", "pointer")
-        .on("click", () => setEditEntity(entity));
+      if (look.toggle) {
+        const toggleBtn = group
+          .append("g")
+          .attr("class", "node-action")
+          .attr("data-action", "toggle")
+          .attr("aria-hidden", true)
+          .attr(
+            "transform",
+            `translate(${shareholderSide.x}, ${shareholderSide.y})`
+          )
+          .style("cursor", "pointer");
 
-      editBtn.append("circle").attr("r", 10).attr("fill", "#2196f3");
+        toggleBtn
+          .append("circle")
+          .attr("r", 8)
+          .attr("fill", "#fff")
+          .attr("stroke", "#888");
 
-      editBtn
-        .append("text")
-        .attr("text-anchor", "middle")
-        .attr("dominant-baseline", "middle")
-        .attr("font-size", "10px")
-        .attr("fill", "white")
-        .text("✎");
+        toggleBtn
+          .append("text")
+          .attr("text-anchor", "middle")
+          .attr("dominant-baseline", "middle")
+          .attr("font-size", "12px")
+          .attr("fill", "#555")
+          .text(look.toggle);
+      }
 
-      // Add "add entity" button if there's remaining percentage
-      const remainingPercentage = calculateRemainingPercentage(entity.id);
-      if (remainingPercentage > 0) {
-        const addBtn = nodeGroup
+      // The initials of others on this entity, filled in while they edit it
+      look.presence.forEach((peer, i) => {
+        const badge = group
           .append("g")
-          .attr("transform", `translate(${nodeWidth - (isRoot ? 40 : 75)}, 20)`)
-          .style("cursor", "pointer")
-          .on("click", () => showAddEntityModal(entity.id));
-
-        addBtn.append("circle").attr("r", 10).attr("fill", "#4caf50");
-
-        addBtn
+          .attr("transform", `translate(${14 + i * 18}, 0)`);
+        badge
+          .append("title")
+          .text(`${peer.name} is ${peer.editing ? "editing" : "viewing"}`);
+        badge
+          .append("circle")
+          .attr("r", 8)
+          .attr("fill", peer.editing ? peer.color : "#fff")
+          .attr("stroke", peer.color)
+          .attr("stroke-width", 2);
+        badge
           .append("text")
           .attr("text-anchor", "middle")
           .attr("dominant-baseline", "middle")
-          .attr("font-size", "14px")
-          .attr("fill", "white")
-          .text("+");
+          .attr("font-size", "9px")
+          .attr("font-weight", "bold")
+          .attr("fill", peer.editing ? "#fff" : peer.color)
+          .text(peer.name.charAt(0).toUpperCase());
+      });
+
+      if (look.actions.delete) {
+        appendButton(
+          group,
+          "delete",
+          nodeWidth - 25,
+          20,
+          "#f44336",
+          "×",
+          "14px"
+        );
+      }
+      if (look.actions.edit) {
+        const x = nodeWidth - (look.isRoot ? 15 : 50);
+        appendButton(group, "edit", x, 20, "#2196f3", "✎", "10px");
+      }
+      if (look.actions.add) {
+        const x = nodeWidth - (look.isRoot ? 40 : 75);
+        appendButton(group, "add", x, 20, "#4caf50", "+", "14px");
+      }
+    };
+
+    // Layers of the chart, created on the first render. Everything is
+    // drawn into a viewport group that pans and zooms.
+    const viewport = layer(svg, "g", "viewport");
+    const connectionLayer = layer(viewport, "g", "connections").attr(
+      "aria-hidden",
+      true
+    );
+    const nodeLayer = layer(viewport, "g", "nodes")
+      .attr("role", "tree")
+      .attr("aria-label", `Ownership of ${fullRoot.name}`)
+      .attr("aria-describedby", "chart-keyboard-help");
+
+    // Outline of the node a dragged node would be dropped on: blue when the
+    // move is possible, red when it would create a circular holding
+    const dropIndicator = layer(viewport, "rect", "drop-indicator")
+      .attr("width", nodeWidth + 12)
+      .attr("height", nodeHeight + 12)
+      .attr("rx", 12)
+      .attr("ry", 12)
+      .attr("fill", "none")
+      .attr("stroke-width", 3)
+      .attr("stroke-dasharray", "6 3")
+      .attr("pointer-events", "none")
+      .style("display", "none");
+
+    // The node containing the chart point (x, y), if any
+    const nodeAt = (x, y, exceptId) =>
+      nodes.find(
+        (node) =>
+          node.entity.id !== exceptId &&
+          Math.abs(x - node.x) <= nodeWidth / 2 &&
+          Math.abs(y - node.y) <= nodeHeight / 2
+      );
+
+    const placeAt = (element, x, y) =>
+      d3
+        .select(element)
+        .attr(
+          "transform",
+          `translate(${x - nodeWidth / 2}, ${y - nodeHeight / 2})`
+        );
+
+    const drag = d3
+      .drag()
+      .subject((event, node) => ({ x: node.x, y: node.y }))
+      .filter((event) => !event.button && !event.target.closest(".node-action"))
+      .on("start", function () {
+        d3.select(this).raise();
+      })
+      .on("drag", function (event, node) {
+        placeAt(this, event.x, event.y);
+        const target = nodeAt(event.x, event.y, node.entity.id);
+        dropIndicator.style("display", target ? null : "none");
+        if (target) {
+          dropIndicator
+            .attr("x", target.x - nodeWidth / 2 - 6)
+            .attr("y", target.y - nodeHeight / 2 - 6)
+            // Checked against the whole structure, as the move is: the
+            // cycle may run through collapsed companies
+            .attr(
+              "stroke",
+              wouldCreateCycle(structure, node.entity.id, target.entity.id)
+                ? "#f44336"
+                : "#2196f3"
+            );
+        }
+      })
+      .on("end", function (event, node) {
+        dropIndicator.style("display", "none");
+        placeAt(this, node.x, node.y);
+        const target = nodeAt(event.x, event.y, node.entity.id);
+        if (target) moveHolding(node.treeStake.id, target.entity.id);
+      });
+
+    const selectNode = (id) => {
+      setSelectedEntityId(id);
+      chartZoom.zoomToNode(id);
+    };
+
+    // Clicking a node selects it; its buttons add, edit, delete or
+    // collapse
+    nodeLayer.on("click", (event) => {
+      const element = event.target.closest(".node");
+      if (!element) return;
+      const { entity } = d3.select(element).datum();
+      const button = event.target.closest(".node-action");
+
+      if (button) runNodeAction(button.dataset.action, entity);
+      else selectNode(entity.id);
+    });
+
+    // The arrow keys move between a company, its shareholders and their
+    // siblings, and the shortcuts work on the focused node
+    nodeLayer.on("keydown", (event) => {
+      const element = event.target.closest(".node");
+      if (!element) return;
+      const { entity, look } = d3.select(element).datum();
+
+      const move = keyMove(event, orientation);
+      if (move) {
+        event.preventDefault();
+        const nextId = treeStep(model.tree, entity.id, move);
+        if (nextId === entity.id) return;
+        focusRef.current = nextId;
+        selectNode(nextId);
+        return;
       }
+
+      const action = keyAction(event);
+      if (!action || !look.actions[action]) return;
+      event.preventDefault();
+      // Focus the company above once the node is gone
+      if (action === "delete")
+        focusRef.current = model.tree.parentById[entity.id];
+      runNodeAction(action, entity);
     });
 
-    // Set SVG height based on content
-    const maxY =
-      Math.max(...Object.values(positions).map((p) => p.y)) + nodeHeight + 50;
-    svg.attr("height", maxY);
+    // Draw the nodes and connectors in `area`, or all of them
+    const draw = (area) => {
+      const shown = area
+        ? itemsInArea({ nodes, links }, area, { nodeWidth, nodeHeight })
+        : { nodes, links };
+
+      joinKeyed(connectionLayer, shown.links, "link", drawLink);
+      joinKeyed(nodeLayer, shown.nodes, "node", drawNode)
+        .attr(
+          "transform",
+          (node) =>
+            `translate(${node.x - nodeWidth / 2}, ${node.y - nodeHeight / 2})`
+        )
+        .style("cursor", "pointer")
+        .each(function (node) {
+          d3.select(this).call(
+            node.draggable ? drag : (group) => group.on(".drag", null)
+          );
+        });
+
+      // Move keyboard focus to the node navigated to, once it is drawn
+      if (focusRef.current !== null) {
+        const element = nodeLayer
+          .selectAll("g.node")
+          .filter((node) => node.entity.id === focusRef.current)
+          .node();
+        if (element) {
+          element.focus({ preventScroll: true });
+          focusRef.current = null;
+        }
+      }
+    };
+
+    // Large charts draw what is in view, with a screen's worth of margin
+    // so panning does not show gaps, and follow the view as it moves
+    const windowed = nodes.length > WINDOWED_ABOVE && !exportingChart;
+    const areaInView = (transform) => {
+      const { width: viewWidth, height: viewHeight } =
+        svgRef.current.getBoundingClientRect();
+      const [x0, y0] = transform.invert([-viewWidth, -viewHeight]);
+      const [x1, y1] = transform.invert([2 * viewWidth, 2 * viewHeight]);
+      return { x0, y0, x1, y1 };
+    };
+    let frame = null;
+    const followView = (transform) => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => draw(areaInView(transform)));
+    };
+
+    draw(windowed ? areaInView(d3.zoomTransform(svgRef.current)) : null);
+    chartZoom.attach(viewport, positions, nodeWidth, nodeHeight, {
+      onZoom: windowed ? followView : null,
+    });
   };
 
-  // Initialize visualization when component loads
+  // Load the most recently saved structure when the component mounts. A
+  // structure left in localStorage by earlier versions is opened unsaved.
   useEffect(() => {
-    const savedStructure = localStorage.getItem("companyStructure");
-    if (savedStructure) {
+    const loadStructure = async () => {
       try {
-        setEntities(JSON.parse(savedStructure));
+        const [latest] = await listStructures();
+        if (latest) {
+          openLoadedRecord(await getStructure(latest.id));
+          return;
+        }
       } catch (e) {
         console.error("Failed to load saved structure", e);
       }
-    }
+
+      const savedStructure = localStorage.getItem("companyStructure");
+      if (savedStructure) {
+        try {
+          reviewStructure(
+            engine.normalizeStructure(JSON.parse(savedStructure)),
+            "Problems in the structure saved in this browser",
+            (accepted) =>
+              resetEdited({ structure: accepted, record: NEW_RECORD })
+          );
+        } catch (e) {
+          console.error("Failed to load saved structure", e);
+        }
+      }
+    };
+
+    loadStructure();
   }, []);
 
   // Update visualization when entities change
   useEffect(() => {
     renderVisualization();
-  }, [entities]);
+  }, [
+    structure,
+    uboThreshold,
+    comparison,
+    effectiveDate,
+    rightsView,
+    dilutionView,
+    orientation,
+    selectedEntityId,
+    searchHit,
+    exportingChart,
+    viewMode,
+    collaboration.peers,
+  ]);
 
-  // Handle entity editing
-  const handleEditSave = () => {
-    if (!editEntity) return;
+  // Bring the search result into view once the chart has been drawn
+  useEffect(() => {
+    if (searchHit) chartZoom.zoomToNode(searchHit.entityId);
+  }, [searchHit]);
 
-    // Validate percentage
-    if (editEntity.parent !== null) {
-      let percentage = editEntity.percentage;
+  const renameCollaborator = () => {
+    const name = window.prompt(
+      "Name shown to others editing this structure:",
+      collaboration.user.name
+    );
+    if (name && name.trim()) collaboration.rename(name.trim());
+  };
 
-      // Find siblings
-      const siblings = entities.filter(
-        (e) => e.parent === editEntity.parent && e.id !== editEntity.id
-      );
-      const siblingsSum = siblings.reduce(
-        (sum, e) => sum + (e.percentage || 0),
-        0
+  // Where another person editing this structure is
+  const describePresence = ({ selectedEntityId, editingEntityId }) => {
+    if (editingEntityId !== null) {
+      return `is editing ${getEntityName(editingEntityId)}`;
+    }
+    if (selectedEntityId !== null) {
+      return `is viewing ${getEntityName(selectedEntityId)}`;
+    }
+    return "is here";
+  };
+
+  // Show a search result: expand any collapsed company above it, select it
+  // and highlight its ownership chain
+  const showSearchResult = (entityId) => {
+    const chain = ownershipChain(structure, entityId);
+    const collapsed = getCollapsed(structure);
+    if ([...chain].some((id) => id !== entityId && collapsed.has(id))) {
+      setCollapsed(
+        [...collapsed].filter((id) => id === entityId || !chain.has(id))
       );
+    }
+    setSelectedEntityId(entityId);
+    setSearchHit({ entityId });
+  };
 
-      // Ensure we don't exceed 100%
-      if (siblingsSum + percentage > 100) {
-        percentage = 100 - siblingsSum;
-      }
+  // Open the edit modal with a working copy of the entity's stakes
+  const showEditEntityModal = (entity) => {
+    setEditEntity({
+      ...entity,
+      stakes: engine
+        .getStakes(structure, entity.id)
+        .map((holding) => ({ ...holding })),
+    });
+  };
 
-      // Update entity with validated percentage
-      updateEntity(editEntity.id, {
-        name: editEntity.name,
-        type: editEntity.type,
-        percentage,
-      });
-    } else {
-      // For root entity, just update name and type
-      updateEntity(editEntity.id, {
-        name: editEntity.name,
-        type: editEntity.type,
-      });
+  const updateEditStake = (holdingId, updates) => {
+    setEditEntity({
+      ...editEntity,
+      stakes: editEntity.stakes.map((stake) =>
+        stake.id === holdingId ? { ...stake, ...updates } : stake
+      ),
+    });
+  };
+
+  const removeEditStake = (holdingId) => {
+    if (editEntity.stakes.length <= 1) {
+      alert(
+        "A shareholder must hold at least one stake. Delete the entity instead."
+      );
+      return;
     }
 
-    setEditEntity(null);
+    setEditEntity({
+      ...editEntity,
+      stakes: editEntity.stakes.filter((stake) => stake.id !== holdingId),
+    });
+  };
+
+  // Handle entity editing
+  const handleEditSave = () => {
+    if (!editEntity) return;
+
+    // Stakes are clamped to what the other shareholders of each company
+    // leave over the stake's period; stakes removed in the modal are dropped
+    const saved = applyChange(() =>
+      engine.updateEntity(
+        engine.updateStakes(structure, editEntity.id, editEntity.stakes),
+        editEntity.id,
+        {
+          name: editEntity.name,
+          type: editEntity.type,
+          ...cleanProfile(entityTypes, editEntity),
+        }
+      )
+    );
+    if (saved) setEditEntity(null);
   };
 
   return (
     <div className="w-full max-w-6xl mx-auto p-4">
       <div className="mb-4 flex justify-between items-center">
-        <h1 className="text-2xl font-bold">Company Ownership Structure</h1>
+        <h1 className="text-2xl font-bold">
+          {structureName}
+          {isDirty && (
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              (unsaved changes)
+            </span>
+          )}
+        </h1>
         <div className="flex">
+          <button
+            onClick={undo}
+            disabled={!canUndo}
+            title="Undo (Ctrl+Z)"
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded mr-2 disabled:opacity-50"
+          >
+            Undo
+          </button>
+          <button
+            onClick={redo}
+            disabled={!canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+            className="px-4 py-2 bg-gray-200 text-gray-800 rounded mr-2 disabled:opacity-50"
+          >
+            Redo
+          </button>
           <button
             onClick={saveStructure}
             className="px-4 py-2 bg-blue-500 text-white rounded mr-2"
@@ -534,11 +1638,23 @@ const CompanyOwnershipStructure = () => {
           >
             Export
           </button>
+          <button
+            onClick={downloadCsv}
+            className="px-4 py-2 bg-gray-500 text-white rounded mr-2"
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={() => setExportingChart(true)}
+            className="px-4 py-2 bg-gray-500 text-white rounded mr-2"
+          >
+            Export Chart
+          </button>
           <label className="px-4 py-2 bg-green-500 text-white rounded cursor-pointer">
             Import
             <input
               type="file"
-              accept=".json"
+              accept=".json,.csv"
               className="hidden"
               onChange={importStructure}
             />
@@ -546,46 +1662,382 @@ const CompanyOwnershipStructure = () => {
         </div>
       </div>
 
-      <div className="bg-white rounded-lg shadow-lg p-4">
-        <div className="text-sm text-gray-500 mb-4 flex flex-wrap">
-          <div className="mr-6 mb-2 flex items-center">
-            <div className="w-4 h-4 bg-blue-100 border border-green-500 mr-1"></div>
-            <span>Root Company</span>
-          </div>
-          <div className="mr-6 mb-2 flex items-center">
-            <div className="w-4 h-4 bg-white border border-orange-500 mr-1"></div>
-            <span>Company</span>
+      <StructurePicker
+        currentId={structureId}
+        currentName={structureName}
+        structure={structure}
+        blankStructure={BLANK_STRUCTURE}
+        isDirty={isDirty}
+        onOpen={openLoadedRecord}
+        onRename={(name) => updateRecord(structureId, { name })}
+      />
+
+      {cycles.length > 0 && (
+        <div
+          className={`mb-4 p-3 rounded text-sm ${
+            crossHoldings
+              ? "bg-yellow-50 text-yellow-800"
+              : "bg-red-50 text-red-700"
+          }`}
+        >
+          <div className="font-medium mb-1">
+            {crossHoldings
+              ? "Cross-holdings in this structure:"
+              : "Circular holdings detected. Remove one of the stakes or enable cross-holding mode:"}
           </div>
-          <div className="mr-6 mb-2 flex items-center">
-            <div className="w-4 h-4 bg-green-50 border border-orange-500 mr-1"></div>
-            <span>Individual</span>
-          </div>
-          <div className="mr-6 mb-2 flex items-center">
-            <div className="w-4 h-4 bg-yellow-50 border border-orange-500 mr-1"></div>
-            <span>Trust</span>
-          </div>
-          <div className="mr-6 mb-2 flex items-center">
-            <div className="w-4 h-4 bg-pink-50 border border-orange-500 mr-1"></div>
-            <span>Partnership</span>
+          <ul>
+            {cycles.map((cycle) => (
+              <li key={cycle.join("-")}>{describeCycle(cycle)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {structureProblems.length > 0 && (
+        <div className="mb-4 p-3 rounded text-sm bg-orange-50 text-orange-800">
+          <div className="font-medium mb-1 flex items-center">
+            This structure has {structureProblems.length} validation problem(s):
+            {structureProblems.some((problem) => problem.fixable) && (
+              <button
+                className="ml-4 px-2 py-1 bg-green-500 text-white rounded text-xs"
+                onClick={() =>
+                  setStructure(autoFixStructure(structure).structure)
+                }
+              >
+                Fix Automatically
+              </button>
+            )}
           </div>
+          <ul>
+            {structureProblems.map((problem, i) => (
+              <li key={i}>{problem.message}</li>
+            ))}
+          </ul>
         </div>
+      )}
 
-        <div className="overflow-auto border border-gray-200 rounded">
-          <svg
-            ref={svgRef}
-            width="100%"
-            height="500"
-            style={{ minWidth: "800px" }}
-            className="bg-gray-50 pt-[30px]"
-          ></svg>
+      <div className="bg-white rounded-lg shadow-lg p-4">
+        {comparison && (
+          <div className="mb-4 p-3 rounded bg-blue-50 text-sm text-blue-900 flex flex-wrap items-center">
+            <span className="mr-6 font-medium">
+              Comparing {comparison.beforeLabel} → {comparison.afterLabel}
+            </span>
+            {Object.entries(DIFF_COLORS).map(([status, color]) => (
+              <span key={status} className="mr-4 flex items-center">
+                <span
+                  className="inline-block w-4 h-4 mr-1 border-2 rounded"
+                  style={{ borderColor: color }}
+                ></span>
+                {status.charAt(0).toUpperCase() + status.slice(1)}
+              </span>
+            ))}
+          </div>
+        )}
+        <TimelineControl
+          date={asOfDate}
+          effectiveDate={effectiveDate}
+          changeDates={getChangeDates(structure)}
+          onChange={setAsOfDate}
+        />
+        <div className="mb-2 flex items-center text-sm text-gray-700">
+          <span className="mr-2">Show</span>
+          {DIMENSIONS.map((dimension) => (
+            <button
+              key={dimension}
+              className={`px-2 py-1 rounded mr-1 ${
+                rightsView === dimension
+                  ? "bg-indigo-600 text-white"
+                  : "bg-gray-200 text-gray-800"
+              }`}
+              onClick={() => setRightsView(dimension)}
+            >
+              {dimension === "voting" ? "Voting rights" : "Economic rights"}
+            </button>
+          ))}
+          <span className="ml-4 mr-2">Ownership</span>
+          {DILUTION_VIEWS.map((view) => (
+            <button
+              key={view}
+              className={`px-2 py-1 rounded mr-1 ${
+                dilutionView === view
+                  ? "bg-indigo-600 text-white"
+                  : "bg-gray-200 text-gray-800"
+              }`}
+              onClick={() => setDilutionView(view)}
+            >
+              {view === "fully-diluted" ? "Fully diluted" : "Basic"}
+            </button>
+          ))}
+          <span className="ml-4 mr-2">Layout</span>
+          {Object.entries(ORIENTATIONS).map(([value, label]) => (
+            <button
+              key={value}
+              className={`px-2 py-1 rounded mr-1 ${
+                orientation === value
+                  ? "bg-indigo-600 text-white"
+                  : "bg-gray-200 text-gray-800"
+              }`}
+              onClick={() => setOrientation(value)}
+            >
+              {label}
+            </button>
+          ))}
+          <span className="ml-4 mr-2">View</span>
+          {[
+            ["chart", "Chart"],
+            ["list", "List"],
+          ].map(([value, label]) => (
+            <button
+              key={value}
+              className={`px-2 py-1 rounded mr-1 ${
+                viewMode === value
+                  ? "bg-indigo-600 text-white"
+                  : "bg-gray-200 text-gray-800"
+              }`}
+              aria-pressed={viewMode === value}
+              onClick={() => setViewMode(value)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {dilutionView === "fully-diluted" && !comparisonView && (
+          <p className="text-xs text-gray-600 mb-2">
+            Showing ownership with every option, warrant and convertible
+            exercised or converted. Switch back to basic ownership to edit.
+          </p>
+        )}
+        <label className="text-sm text-gray-700 mb-2 flex items-center">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={crossHoldings}
+            onChange={toggleCrossHoldings}
+          />
+          Cross-holding mode (allow circular holdings and solve effective
+          ownership)
+        </label>
+        <div className="text-sm text-gray-500 mb-4 flex flex-wrap">
+          {legendItems.map((item) => (
+            <div key={item.label} className="mr-6 mb-2 flex items-center">
+              <div
+                className={`w-4 mr-1 ${item.line ? "h-0 border-t-2" : "h-4"} ${
+                  item.dashed ? "border-dashed" : ""
+                } ${!item.line ? (item.dashed ? "border-2" : "border") : ""}`}
+                style={{
+                  backgroundColor: item.fill,
+                  borderColor: item.stroke,
+                }}
+              ></div>
+              <span>{item.label}</span>
+            </div>
+          ))}
         </div>
+
+        {structureId && collaboration.user && (
+          <div
+            className="text-sm text-gray-700 mb-2 flex flex-wrap items-center"
+            aria-live="polite"
+          >
+            <span
+              className={`inline-block w-2 h-2 rounded-full mr-2 ${
+                collaboration.connected ? "bg-green-500" : "bg-gray-400"
+              }`}
+            ></span>
+            <span className="mr-2">
+              {collaboration.connected ? "Live editing as" : "Connecting as"}
+            </span>
+            <span
+              className="font-semibold mr-2"
+              style={{ color: collaboration.user.color }}
+            >
+              {collaboration.user.name}
+            </span>
+            <button
+              className="px-2 py-0.5 bg-gray-200 text-gray-800 rounded mr-4"
+              onClick={renameCollaborator}
+            >
+              Change name
+            </button>
+            {collaboration.connected && collaboration.peers.length === 0 && (
+              <span className="text-gray-500">No one else has this open</span>
+            )}
+            {collaboration.peers.map((peer) => (
+              <span key={peer.id} className="mr-4">
+                <span className="font-semibold" style={{ color: peer.color }}>
+                  {peer.name}
+                </span>{" "}
+                {describePresence(peer)}
+              </span>
+            ))}
+          </div>
+        )}
+        <EntitySearch
+          entities={structure.entities}
+          onSelect={showSearchResult}
+          onClear={() => setSearchHit(null)}
+        />
+        {viewMode === "list" ? (
+          <div className="border border-gray-200 rounded">
+            {renderTreeList()}
+          </div>
+        ) : (
+          <div className="relative overflow-hidden border border-gray-200 rounded">
+            <svg
+              ref={svgRef}
+              width="100%"
+              height="600"
+              style={{ minWidth: "800px" }}
+              className="bg-gray-50 cursor-grab"
+              role="group"
+              aria-label="Ownership chart"
+            ></svg>
+            <div className="absolute top-2 right-2 flex text-sm">
+              <button
+                className="px-2 py-1 bg-white border rounded mr-1"
+                title="Zoom in"
+                aria-label="Zoom in"
+                onClick={chartZoom.zoomIn}
+              >
+                +
+              </button>
+              <button
+                className="px-2 py-1 bg-white border rounded mr-1"
+                title="Zoom out"
+                aria-label="Zoom out"
+                onClick={chartZoom.zoomOut}
+              >
+                −
+              </button>
+              <button
+                className="px-2 py-1 bg-white border rounded mr-1"
+                onClick={chartZoom.fitToScreen}
+              >
+                Fit to Screen
+              </button>
+              <button
+                className="px-2 py-1 bg-white border rounded"
+                onClick={chartZoom.reset}
+              >
+                Reset
+              </button>
+            </div>
+            <div className="absolute top-2 left-2 flex items-center text-sm">
+              <button
+                className="px-2 py-1 bg-white border rounded mr-1 disabled:opacity-50"
+                disabled={
+                  !structure.collapsed || structure.collapsed.length === 0
+                }
+                onClick={expandAll}
+              >
+                Expand All
+              </button>
+              <button
+                className="px-2 py-1 bg-white border rounded mr-1"
+                onClick={collapseAllToDepth}
+              >
+                Collapse to Depth
+              </button>
+              <input
+                type="number"
+                min="0"
+                className="w-14 px-2 py-1 border rounded"
+                title="Levels to leave open below the root company"
+                aria-label="Levels to leave open below the root company"
+                value={collapseDepth}
+                onChange={(e) =>
+                  setCollapseDepth(Math.max(0, parseInt(e.target.value) || 0))
+                }
+              />
+            </div>
+            <div className="absolute bottom-2 right-2 bg-white/90 border border-gray-300 rounded p-1">
+              <svg
+                ref={minimapRef}
+                className="block cursor-pointer"
+                aria-hidden="true"
+              ></svg>
+            </div>
+          </div>
+        )}
+        {viewMode === "chart" && (
+          <p id="chart-keyboard-help" className="text-xs text-gray-500 mt-1">
+            Keyboard: Tab to the chart, then use the arrow keys to move between
+            a company, its shareholders and their siblings, and Home to go to
+            the root company. A adds a shareholder, E or Enter edits, Delete
+            removes and C collapses or expands the focused entity.
+          </p>
+        )}
       </div>
 
+      <UboPanel
+        owners={ultimateBeneficialOwners}
+        threshold={uboThreshold}
+        onThresholdChange={setUboThreshold}
+        getEntityName={getEntityName}
+        error={uboError}
+        solvedCrossHoldings={crossHoldings && cycles.length > 0}
+        dimension={rightsView}
+      />
+
+      <ControlPanel
+        companies={heldCompanies}
+        control={control}
+        getEntityName={getEntityName}
+      />
+
+      <CapTablePanel
+        companies={entities.filter((entity) =>
+          mayHaveShareholders(entityTypes, entity)
+        )}
+        holdings={datedStructure.holdings}
+        getEntityName={getEntityName}
+        onToggleShareMode={toggleShareMode}
+        onUpdateClasses={updateShareClasses}
+        onUpdateShares={updateShares}
+      />
+
+      <InstrumentsPanel
+        companies={entities.filter((entity) =>
+          mayHaveShareholders(entityTypes, entity)
+        )}
+        entities={entities}
+        effectiveDate={effectiveDate}
+        getEntityName={getEntityName}
+        onChange={(companyId, instruments) =>
+          updateEntity(companyId, { instruments })
+        }
+      />
+
+      <EntityTypesPanel
+        types={entityTypes}
+        usedTypes={new Set(entities.map((entity) => entity.type))}
+        onChange={updateEntityTypes}
+      />
+
+      <VersionsPanel
+        structureId={structureId}
+        structure={structure}
+        diff={comparisonView && comparisonView.diff}
+        onCompare={setComparison}
+        getEntityName={(id) =>
+          getEntityName(id, comparisonView ? comparisonView.view : structure)
+        }
+      />
+
       {/* Edit Entity Modal */}
       {editEntity && (
-        <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 w-96">
-            <h3 className="text-lg font-bold mb-4">Edit Entity</h3>
+        <div className="fixed inset-y-0 right-0 w-[28rem] bg-white shadow-xl border-l z-50 flex flex-col">
+          <div className="p-6 overflow-auto flex-1">
+            <div className="mb-4 flex justify-between items-center">
+              <h3 className="text-lg font-bold">Edit Entity</h3>
+              <button
+                className="text-xl text-gray-500"
+                title="Close without saving"
+                onClick={() => setEditEntity(null)}
+              >
+                ×
+              </button>
+            </div>
 
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -612,46 +2064,123 @@ const CompanyOwnershipStructure = () => {
                   setEditEntity({ ...editEntity, type: e.target.value })
                 }
               >
-                <option value="company">Company</option>
-                <option value="individual">Individual</option>
-                <option value="trust">Trust</option>
-                <option value="partnership">Partnership</option>
+                {typeOptions(editEntity.type).map((type) => (
+                  <option key={type.id} value={type.id}>
+                    {`${type.icon || ""} ${type.label}`.trim()}
+                  </option>
+                ))}
               </select>
             </div>
 
-            {editEntity.parent !== null && (
+            <EntityProfileFields
+              entity={editEntity}
+              types={entityTypes}
+              onChange={(updates) =>
+                setEditEntity({ ...editEntity, ...updates })
+              }
+            />
+
+            {editEntity.stakes.length > 0 && (
               <div className="mb-4">
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Ownership Percentage
+                  Ownership Percentage (economic / voting)
                 </label>
-                <input
-                  type="number"
-                  min="0"
-                  max="100"
-                  className="w-full p-2 border rounded"
-                  value={editEntity.percentage || 0}
-                  onChange={(e) => {
-                    const value = parseFloat(e.target.value) || 0;
-                    setEditEntity({ ...editEntity, percentage: value });
-                  }}
-                />
+                {editEntity.stakes.map((stake) => (
+                  <div key={stake.id} className="mb-3">
+                    <div className="flex items-center mb-1">
+                      <span className="w-1/2 text-sm truncate">
+                        {getEntityName(stake.held)}
+                      </span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        className="w-1/3 p-2 border rounded"
+                        value={stake.percentage || 0}
+                        disabled={Boolean(getShareModeCompany(stake.held))}
+                        title={
+                          getShareModeCompany(stake.held)
+                            ? "Derived from the cap table"
+                            : "Economic interest"
+                        }
+                        onChange={(e) => {
+                          const value = parseFloat(e.target.value) || 0;
+                          updateEditStake(stake.id, { percentage: value });
+                        }}
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        className="w-1/3 p-2 border rounded ml-1"
+                        disabled={Boolean(getShareModeCompany(stake.held))}
+                        title={
+                          getShareModeCompany(stake.held)
+                            ? "Derived from the cap table"
+                            : "Voting rights (blank: same as economic)"
+                        }
+                        placeholder="Votes"
+                        value={stake.votingPercentage ?? ""}
+                        onChange={(e) =>
+                          updateEditStake(stake.id, {
+                            votingPercentage:
+                              e.target.value === ""
+                                ? ""
+                                : parseFloat(e.target.value) || 0,
+                          })
+                        }
+                      />
+                      <button
+                        className="ml-2 text-red-500"
+                        title="Remove this stake"
+                        onClick={() => removeEditStake(stake.id)}
+                      >
+                        ×
+                      </button>
+                    </div>
+                    <div className="flex items-center text-xs text-gray-600">
+                      <span className="mr-1">From</span>
+                      <input
+                        type="date"
+                        className="p-1 border rounded mr-2"
+                        value={stake.effectiveFrom || ""}
+                        onChange={(e) =>
+                          updateEditStake(stake.id, {
+                            effectiveFrom: e.target.value,
+                          })
+                        }
+                      />
+                      <span className="mr-1">to</span>
+                      <input
+                        type="date"
+                        className="p-1 border rounded"
+                        value={stake.effectiveTo || ""}
+                        onChange={(e) =>
+                          updateEditStake(stake.id, {
+                            effectiveTo: e.target.value,
+                          })
+                        }
+                      />
+                    </div>
+                  </div>
+                ))}
               </div>
             )}
+          </div>
 
-            <div className="flex justify-end mt-6">
-              <button
-                className="px-4 py-2 bg-gray-300 text-gray-800 rounded mr-2"
-                onClick={() => setEditEntity(null)}
-              >
-                Cancel
-              </button>
-              <button
-                className="px-4 py-2 bg-blue-500 text-white rounded"
-                onClick={handleEditSave}
-              >
-                Save
-              </button>
-            </div>
+          <div className="p-4 border-t flex justify-end">
+            <button
+              className="px-4 py-2 bg-gray-300 text-gray-800 rounded mr-2"
+              onClick={() => setEditEntity(null)}
+            >
+              Cancel
+            </button>
+            <button
+              className="px-4 py-2 bg-blue-500 text-white rounded"
+              onClick={handleEditSave}
+            >
+              Save
+            </button>
           </div>
         </div>
       )}
@@ -660,59 +2189,219 @@ const CompanyOwnershipStructure = () => {
       {addingToParent !== null && (
         <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg p-6 w-96">
-            <h3 className="text-lg font-bold mb-4">Add New Entity</h3>
+            <h3 className="text-lg font-bold mb-4">Add Shareholder</h3>
 
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Entity Name
-              </label>
-              <input
-                type="text"
-                className="w-full p-2 border rounded"
-                value={newEntityData.name}
-                onChange={(e) =>
-                  setNewEntityData({ ...newEntityData, name: e.target.value })
-                }
-              />
-            </div>
-
-            <div className="mb-4">
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Entity Type
+                Shareholder
               </label>
               <select
                 className="w-full p-2 border rounded"
-                value={newEntityData.type}
+                value={newEntityData.existingId}
                 onChange={(e) =>
-                  setNewEntityData({ ...newEntityData, type: e.target.value })
+                  setNewEntityData({
+                    ...newEntityData,
+                    existingId: e.target.value,
+                  })
                 }
               >
-                <option value="company">Company</option>
-                <option value="individual">Individual</option>
-                <option value="trust">Trust</option>
-                <option value="partnership">Partnership</option>
+                <option value="">New entity</option>
+                {getLinkableEntities(addingToParent).map((entity) => (
+                  <option key={entity.id} value={entity.id}>
+                    {entity.name}
+                  </option>
+                ))}
               </select>
             </div>
 
-            <div className="mb-4">
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Ownership Percentage
-              </label>
-              <div className="flex items-center">
+            {!newEntityData.existingId && (
+              <>
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Entity Name
+                  </label>
+                  <input
+                    type="text"
+                    className="w-full p-2 border rounded"
+                    value={newEntityData.name}
+                    onChange={(e) =>
+                      setNewEntityData({
+                        ...newEntityData,
+                        name: e.target.value,
+                      })
+                    }
+                  />
+                </div>
+
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Entity Type
+                  </label>
+                  <select
+                    className="w-full p-2 border rounded"
+                    value={newEntityData.type}
+                    onChange={(e) =>
+                      setNewEntityData({
+                        ...newEntityData,
+                        type: e.target.value,
+                      })
+                    }
+                  >
+                    {typeOptions(newEntityData.type).map((type) => (
+                      <option key={type.id} value={type.id}>
+                        {`${type.icon || ""} ${type.label}`.trim()}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </>
+            )}
+
+            {getShareModeCompany(addingToParent) ? (
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Shares Held
+                </label>
+                {getShareModeCompany(addingToParent).shareClasses.map(
+                  (shareClass) => (
+                    <div key={shareClass.id} className="flex items-center mb-1">
+                      <span className="w-1/3 text-sm">{shareClass.name}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        className="w-full p-2 border rounded"
+                        value={sharesHeld(newEntityData, shareClass.id)}
+                        onChange={(e) =>
+                          setNewEntityData({
+                            ...newEntityData,
+                            shares: {
+                              ...newEntityData.shares,
+                              [shareClass.id]: Math.max(
+                                0,
+                                Math.floor(Number(e.target.value) || 0)
+                              ),
+                            },
+                          })
+                        }
+                      />
+                      <span className="ml-2 text-sm whitespace-nowrap">
+                        of {shareClass.issued}
+                      </span>
+                    </div>
+                  )
+                )}
+                <p className="text-xs text-gray-600 mt-1">
+                  Gives{" "}
+                  {
+                    derivePercentages(
+                      getShareModeCompany(addingToParent),
+                      newEntityData
+                    ).percentage
+                  }
+                  % ownership and{" "}
+                  {
+                    derivePercentages(
+                      getShareModeCompany(addingToParent),
+                      newEntityData
+                    ).votingPercentage
+                  }
+                  % of the votes
+                </p>
+              </div>
+            ) : (
+              <>
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Ownership Percentage
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      className="w-full p-2 border rounded"
+                      value={newEntityData.percentage}
+                      onChange={(e) => {
+                        const value = parseFloat(e.target.value) || 0;
+                        setNewEntityData({
+                          ...newEntityData,
+                          percentage: value,
+                        });
+                      }}
+                    />
+                    <span className="ml-2">
+                      Remaining: {calculateRemainingPercentage(addingToParent)}%
+                    </span>
+                  </div>
+                </div>
+
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Voting Percentage
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      className="w-full p-2 border rounded"
+                      placeholder="Same as ownership"
+                      value={newEntityData.votingPercentage}
+                      onChange={(e) =>
+                        setNewEntityData({
+                          ...newEntityData,
+                          votingPercentage:
+                            e.target.value === ""
+                              ? ""
+                              : parseFloat(e.target.value) || 0,
+                        })
+                      }
+                    />
+                    <span className="ml-2">
+                      Remaining:{" "}
+                      {calculateRemainingPercentage(
+                        addingToParent,
+                        votingStructure
+                      )}
+                      %
+                    </span>
+                  </div>
+                </div>
+              </>
+            )}
+
+            <div className="mb-4 flex">
+              <div className="w-1/2 mr-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Effective From
+                </label>
                 <input
-                  type="number"
-                  min="0"
-                  max="100"
+                  type="date"
                   className="w-full p-2 border rounded"
-                  value={newEntityData.percentage}
-                  onChange={(e) => {
-                    const value = parseFloat(e.target.value) || 0;
-                    setNewEntityData({ ...newEntityData, percentage: value });
-                  }}
+                  value={newEntityData.effectiveFrom}
+                  onChange={(e) =>
+                    setNewEntityData({
+                      ...newEntityData,
+                      effectiveFrom: e.target.value,
+                    })
+                  }
+                />
+              </div>
+              <div className="w-1/2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Effective To
+                </label>
+                <input
+                  type="date"
+                  className="w-full p-2 border rounded"
+                  value={newEntityData.effectiveTo}
+                  onChange={(e) =>
+                    setNewEntityData({
+                      ...newEntityData,
+                      effectiveTo: e.target.value,
+                    })
+                  }
                 />
-                <span className="ml-2">
-                  Remaining: {calculateRemainingPercentage(addingToParent)}%
-                </span>
               </div>
             </div>
 
@@ -733,6 +2422,55 @@ const CompanyOwnershipStructure = () => {
           </div>
         </div>
       )}
+
+      {/* Chart Export Modal */}
+      {exportingChart && (
+        <ChartExportModal
+          svgRef={svgRef}
+          defaultTitle={structureName}
+          date={effectiveDate}
+          legend={[
+            ...legendItems,
+            ...(comparison
+              ? Object.entries(DIFF_COLORS).map(([status, color]) => ({
+                  label: status.charAt(0).toUpperCase() + status.slice(1),
+                  stroke: color,
+                  line: true,
+                }))
+              : []),
+          ]}
+          fileName={structureName.replace(/[^\w-]+/g, "_")}
+          onClose={() => setExportingChart(false)}
+        />
+      )}
+
+      {/* Validation Dialog */}
+      {review && (
+        <ValidationDialog
+          title={review.title}
+          problems={review.problems}
+          fixes={review.fixes}
+          onCancel={() => setReview(null)}
+          onAutoFix={autoFixReview}
+          onAccept={acceptReview}
+        />
+      )}
+
+      {/* CSV Import Modal */}
+      {csvImport && (
+        <CsvImportModal
+          fileName={csvImport.fileName}
+          rows={csvImport.rows}
+          onCancel={() => setCsvImport(null)}
+          onImport={(importedStructure) => {
+            setCsvImport(null);
+            importParsedStructure(
+              importedStructure,
+              csvImport.fileName.replace(/\.csv$/i, "")
+            );
+          }}
+        />
+      )}
     </div>
   );
 };
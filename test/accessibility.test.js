@@ -0,0 +1,101 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  describeEntity,
+  keyAction,
+  keyMove,
+  treePositions,
+  treeStep,
+} from "../src/lib/accessibility.js";
+import { treePlacement } from "../src/lib/treeLayout.js";
+import { sample as group } from "./fixtures.js";
+
+// The shared sample, with HoldCo held by Bob 50% and by Alice 25%
+const sample = () => {
+  const structure = group();
+  structure.holdings[2].percentage = 50;
+  structure.holdings.push({ id: 4, holder: 2, held: 3, percentage: 25 });
+  return structure;
+};
+
+describe("keyboard", () => {
+  it("maps arrow keys to moves by orientation", () => {
+    assert.equal(keyMove({ key: "ArrowUp" }), "parent");
+    assert.equal(keyMove({ key: "ArrowUp" }, "bottom-up"), "child");
+    assert.equal(keyMove({ key: "ArrowLeft" }, "left-to-right"), "parent");
+    assert.equal(keyMove({ key: "ArrowDown" }, "left-to-right"), "next");
+    assert.equal(keyMove({ key: "Home" }), "root");
+    assert.equal(keyMove({ key: "ArrowUp", ctrlKey: true }), null);
+  });
+
+  it("maps shortcuts to actions", () => {
+    assert.equal(keyAction({ key: "A" }), "add");
+    assert.equal(keyAction({ key: "Enter" }), "edit");
+    assert.equal(keyAction({ key: "Delete" }), "delete");
+    assert.equal(keyAction({ key: "z", metaKey: true }), null);
+    assert.equal(keyAction({ key: "x" }), null);
+  });
+
+  it("steps between a company, its shareholders and their siblings", () => {
+    const tree = treePlacement(sample(), 1);
+    // Alice holds a stake in HoldCo too, so hangs below it
+    assert.deepEqual(tree.childrenOf[1], [3]);
+    assert.deepEqual(tree.childrenOf[3], [2, 4]);
+    assert.equal(treeStep(tree, 1, "child"), 3);
+    assert.equal(treeStep(tree, 2, "next"), 4);
+    assert.equal(treeStep(tree, 4, "next"), 4);
+    assert.equal(treeStep(tree, 4, "previous"), 2);
+    assert.equal(treeStep(tree, 4, "parent"), 3);
+    assert.equal(treeStep(tree, 1, "parent"), 1);
+    assert.equal(treeStep(tree, 4, "root"), 1);
+  });
+
+  it("gives tree levels and positions", () => {
+    const positions = treePositions(treePlacement(sample(), 1));
+    assert.deepEqual(positions.get(1), { level: 1, position: 1, setSize: 1 });
+    assert.deepEqual(positions.get(4), { level: 3, position: 2, setSize: 2 });
+  });
+});
+
+describe("descriptions", () => {
+  it("describes stakes and what is left to allocate", () => {
+    const structure = sample();
+    const label = describeEntity(structure, structure.entities[2], {
+      typeLabel: "Company",
+      isRoot: false,
+      stakes: [structure.holdings[1]],
+      percentageSum: 75,
+      takesShareholders: true,
+    });
+    assert.equal(
+      label,
+      "HoldCo, Company. Holds 40% of Root. Shareholders hold 75%, 25% remaining."
+    );
+  });
+
+  it("describes the root, beneficial owners and collapsed entities", () => {
+    const structure = sample();
+    assert.equal(
+      describeEntity(structure, structure.entities[0], {
+        typeLabel: "Company",
+        isRoot: true,
+        stakes: [],
+        percentageSum: 100,
+        takesShareholders: true,
+        hidden: 3,
+      }),
+      "Root, Company, root. Fully owned by its shareholders. Collapsed, 3 shareholders hidden."
+    );
+    assert.equal(
+      describeEntity(structure, structure.entities[1], {
+        typeLabel: "Individual",
+        isRoot: false,
+        stakes: [structure.holdings[0], structure.holdings[3]],
+        percentageSum: 0,
+        takesShareholders: false,
+        ubo: 70,
+      }),
+      "Alice, Individual. Holds 60% of Root, 25% of HoldCo. Ultimate beneficial owner of 70%."
+    );
+  });
+});
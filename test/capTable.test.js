@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  allocatedShares,
+  applyShareCounts,
+  derivePercentages,
+  enableShareMode,
+  nextClassId,
+} from "../src/lib/capTable.js";
+import { sample } from "./fixtures.js";
+
+// 800 ordinary shares with one vote each and 200 founder shares with ten
+const COMPANY = {
+  id: 1,
+  shareMode: true,
+  shareClasses: [
+    { id: 1, name: "Ordinary", issued: 800, votesPerShare: 1 },
+    { id: 2, name: "Founder", issued: 200, votesPerShare: 10 },
+  ],
+};
+
+describe("derivePercentages", () => {
+  it("weighs votes by each class's votes per share", () => {
+    assert.deepEqual(derivePercentages(COMPANY, { shares: { 2: 200 } }), {
+      percentage: 20,
+      votingPercentage: 71.4286,
+    });
+    assert.deepEqual(derivePercentages(COMPANY, { shares: { 1: 400 } }), {
+      percentage: 40,
+      votingPercentage: 14.2857,
+    });
+  });
+
+  it("gives nothing in a company without issued shares", () => {
+    assert.deepEqual(
+      derivePercentages({ shareClasses: [] }, { shares: { 1: 10 } }),
+      { percentage: 0, votingPercentage: 0 }
+    );
+  });
+});
+
+describe("applyShareCounts", () => {
+  it("derives the holdings of share-count companies only", () => {
+    const structure = sample();
+    structure.entities[0] = { ...structure.entities[0], ...COMPANY };
+    structure.holdings[0] = { ...structure.holdings[0], shares: { 1: 800 } };
+    structure.holdings[1] = {
+      ...structure.holdings[1],
+      votingPercentage: 5,
+      shares: { 2: 200 },
+    };
+
+    const [alice, holdCo, bob] = applyShareCounts(structure).holdings;
+    assert.equal(alice.percentage, 80);
+    assert.equal(alice.votingPercentage, 28.5714);
+    assert.equal(holdCo.percentage, 20);
+    assert.equal(holdCo.votingPercentage, 71.4286);
+    assert.deepEqual(bob, structure.holdings[2]);
+  });
+
+  it("leaves votes out when they match the economic interest", () => {
+    const structure = sample();
+    structure.entities[2] = {
+      ...structure.entities[2],
+      shareMode: true,
+      shareClasses: [{ id: 1, name: "Ordinary", issued: 10 }],
+    };
+    structure.holdings[2] = {
+      ...structure.holdings[2],
+      votingPercentage: 30,
+      shares: { 1: 5 },
+    };
+
+    assert.deepEqual(applyShareCounts(structure).holdings[2], {
+      id: 3,
+      holder: 4,
+      held: 3,
+      percentage: 50,
+      shares: { 1: 5 },
+    });
+  });
+});
+
+describe("enableShareMode", () => {
+  it("gives shareholders the share counts of their percentages", () => {
+    const updated = enableShareMode(sample(), 1, 1000);
+    assert.deepEqual(updated.entities[0].shareClasses, [
+      { id: 1, name: "Ordinary", issued: 1000, votesPerShare: 1 },
+    ]);
+    assert.deepEqual(
+      updated.holdings.map((h) => [h.shares, h.percentage]),
+      [
+        [{ 1: 600 }, 60],
+        [{ 1: 400 }, 40],
+        [undefined, 100],
+      ]
+    );
+  });
+
+  it("keeps the share classes a company already has", () => {
+    const structure = sample();
+    structure.entities[0] = { ...structure.entities[0], ...COMPANY };
+    structure.entities[0].shareMode = false;
+    structure.holdings[0].shares = { 2: 100 };
+
+    const updated = enableShareMode(structure, 1);
+    assert.equal(updated.entities[0].shareClasses, COMPANY.shareClasses);
+    assert.equal(updated.holdings[0].percentage, 10);
+    assert.equal(updated.holdings[1].percentage, 0);
+    assert.equal(nextClassId(updated.entities[0]), 3);
+  });
+});
+
+describe("allocatedShares", () => {
+  it("counts the most shares of a class allocated at once", () => {
+    const holdings = [
+      { id: 1, holder: 2, held: 1, shares: { 1: 300 } },
+      {
+        id: 2,
+        holder: 3,
+        held: 1,
+        shares: { 1: 200, 2: 50 },
+        effectiveTo: "2020-12-31",
+      },
+      {
+        id: 3,
+        holder: 4,
+        held: 1,
+        shares: { 1: 100 },
+        effectiveFrom: "2021-01-01",
+      },
+    ];
+    assert.equal(allocatedShares(holdings, 1, 1, {}), 500);
+    assert.equal(allocatedShares(holdings, 1, 1, {}, 2), 400);
+    assert.equal(
+      allocatedShares(holdings, 1, 1, { effectiveFrom: "2021-01-01" }),
+      400
+    );
+    assert.equal(allocatedShares(holdings, 1, 2, {}), 50);
+  });
+});
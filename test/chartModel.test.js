@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildChartModel, itemsInArea } from "../src/lib/chartModel.js";
+import {
+  entityIndex,
+  heldPercentage,
+  holdingIndex,
+  shareholdingsOf,
+  stakesOf,
+} from "../src/lib/structureIndex.js";
+import { idsOf, sample } from "./fixtures.js";
+
+const GEOMETRY = {
+  nodeWidth: 200,
+  nodeHeight: 100,
+  siblingGap: 40,
+  levelGap: 80,
+  stakeSpacing: 50,
+  margin: 40,
+  width: 1000,
+};
+
+describe("structure index", () => {
+  it("looks up entities and holdings", () => {
+    const structure = sample();
+    assert.equal(entityIndex(structure.entities).get(3).name, "HoldCo");
+    assert.equal(holdingIndex(structure.holdings).byId.get(3).holder, 4);
+    assert.deepEqual(idsOf(shareholdingsOf(structure, 1)), [1, 2]);
+    assert.deepEqual(idsOf(stakesOf(structure, 4)), [3]);
+    assert.deepEqual(stakesOf(structure, 1), []);
+    assert.equal(heldPercentage(structure, 1), 100);
+  });
+
+  it("builds an index once per holdings list", () => {
+    const structure = sample();
+    assert.equal(
+      holdingIndex(structure.holdings),
+      holdingIndex(structure.holdings)
+    );
+    assert.notEqual(
+      holdingIndex(structure.holdings),
+      holdingIndex([...structure.holdings])
+    );
+  });
+});
+
+describe("chart model", () => {
+  it("has a node per entity and a link per holding, keyed", () => {
+    const structure = sample();
+    const { nodes, links } = buildChartModel(structure, 1, GEOMETRY);
+    assert.deepEqual(nodes.map((node) => node.key).sort(), [
+      "1",
+      "2",
+      "3",
+      "4",
+    ]);
+    assert.equal(links.length, 3);
+    assert.equal(new Set(links.map((link) => link.key)).size, 3);
+  });
+
+  it("keeps keys stable across edits", () => {
+    const before = sample();
+    const after = sample();
+    after.holdings[0].percentage = 50;
+    const keys = (structure) =>
+      buildChartModel(structure, 1, GEOMETRY).links.map((link) => link.key);
+    assert.deepEqual(keys(before), keys(after));
+  });
+
+  it("records the stake placing each node in the tree", () => {
+    const structure = sample();
+    const { nodes } = buildChartModel(structure, 1, GEOMETRY);
+    const byId = new Map(nodes.map((node) => [node.entity.id, node]));
+    assert.equal(byId.get(1).treeStake, null);
+    assert.equal(byId.get(4).treeStake.id, 3);
+  });
+
+  it("picks out the nodes and links inside an area", () => {
+    const structure = sample();
+    const model = buildChartModel(structure, 1, GEOMETRY);
+    const root = model.nodes.find((node) => node.isRoot);
+    const area = { x0: root.x, y0: root.y, x1: root.x, y1: root.y };
+    const shown = itemsInArea(model, area, GEOMETRY);
+    assert.deepEqual(
+      shown.nodes.map((node) => node.key),
+      ["1"]
+    );
+    // Connectors from the root reach into its node
+    assert.ok(shown.links.length >= 1);
+  });
+});
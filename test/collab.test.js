@@ -0,0 +1,324 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  applyChanges,
+  applyOps,
+  changesToOps,
+  createDoc,
+  isOp,
+  isPresence,
+  materialize,
+  readDoc,
+  structureChanges,
+  withPerUserFields,
+} from "../src/lib/collab.js";
+import { idsOf, sample } from "./fixtures.js";
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+// A replica that started from `doc`, as a browser does from the snapshot
+const replica = (doc, name) => ({ doc: readDoc(copy(doc)), name });
+
+// Make `edit` on a replica, returning the ops to send to the others
+const edit = (peer, change) => {
+  const { structure, tags } = materialize(peer.doc);
+  const ops = changesToOps(
+    peer.doc,
+    tags,
+    structureChanges(structure, change(structure)),
+    peer.name
+  );
+  applyOps(peer.doc, ops);
+  return ops;
+};
+
+const structureOf = (peer) => materialize(peer.doc).structure;
+
+describe("collab", () => {
+  it("materializes the structure a document was created from", () => {
+    assert.deepEqual(
+      structureOf({ doc: createDoc(sample(), "server") }),
+      sample()
+    );
+  });
+
+  it("converges whatever order edits arrive in", () => {
+    const doc = createDoc(sample(), "server");
+    const a = replica(doc, "a");
+    const b = replica(doc, "b");
+
+    const fromA = edit(a, (s) => ({
+      ...s,
+      entities: s.entities.map((e) =>
+        e.id === 2 ? { ...e, name: "Alice Smith" } : e
+      ),
+    }));
+    const fromB = edit(b, (s) => ({
+      ...s,
+      holdings: s.holdings.map((h) =>
+        h.id === 2 ? { ...h, percentage: 30 } : h
+      ),
+    }));
+    applyOps(a.doc, fromB);
+    applyOps(b.doc, fromA);
+    // Receiving ops twice changes nothing
+    applyOps(b.doc, fromA);
+
+    assert.deepEqual(structureOf(a), structureOf(b));
+    assert.equal(structureOf(a).entities[1].name, "Alice Smith");
+    assert.equal(structureOf(a).holdings[1].percentage, 30);
+  });
+
+  it("keeps the later of two edits to the same field on every replica", () => {
+    const doc = createDoc(sample(), "server");
+    const a = replica(doc, "a");
+    const b = replica(doc, "b");
+    const rename = (name) => (s) => ({
+      ...s,
+      entities: s.entities.map((e) => (e.id === 4 ? { ...e, name } : e)),
+    });
+
+    const fromA = edit(a, rename("Robert"));
+    const fromB = edit(b, rename("Bobby"));
+    applyOps(a.doc, fromB);
+    applyOps(b.doc, fromA);
+
+    assert.deepEqual(structureOf(a), structureOf(b));
+  });
+
+  it("renumbers the later of two entities added with the same id", () => {
+    const doc = createDoc(sample(), "server");
+    const a = replica(doc, "a");
+    const b = replica(doc, "b");
+    const addHolder = (name) => (s) => ({
+      ...s,
+      entities: [...s.entities, { id: 5, name, type: "individual" }],
+      holdings: [...s.holdings, { id: 4, holder: 5, held: 3, percentage: 10 }],
+    });
+
+    const fromA = edit(a, addHolder("Carol"));
+    const fromB = edit(b, addHolder("Dave"));
+    applyOps(a.doc, fromB);
+    applyOps(b.doc, fromA);
+
+    const merged = structureOf(a);
+    assert.deepEqual(merged, structureOf(b));
+    assert.deepEqual(merged.entities.map((e) => [e.id, e.name]).slice(4), [
+      [5, "Carol"],
+      [6, "Dave"],
+    ]);
+    // Each holding follows its own entity
+    assert.deepEqual(
+      merged.holdings.slice(3).map((h) => [h.id, h.holder]),
+      [
+        [4, 5],
+        [5, 6],
+      ]
+    );
+  });
+
+  it("drops the holdings of an entity removed while another replica edits them", () => {
+    const doc = createDoc(sample(), "server");
+    const a = replica(doc, "a");
+    const b = replica(doc, "b");
+
+    const fromA = edit(a, (s) => ({
+      ...s,
+      entities: s.entities.filter((e) => e.id !== 4),
+      holdings: s.holdings.filter((h) => h.holder !== 4),
+    }));
+    const fromB = edit(b, (s) => ({
+      ...s,
+      holdings: s.holdings.map((h) =>
+        h.id === 3 ? { ...h, percentage: 90 } : h
+      ),
+    }));
+    applyOps(a.doc, fromB);
+    applyOps(b.doc, fromA);
+
+    assert.deepEqual(structureOf(a), structureOf(b));
+    assert.deepEqual(idsOf(structureOf(a).entities), [1, 2, 3]);
+    assert.deepEqual(idsOf(structureOf(a).holdings), [1, 2]);
+  });
+
+  it("merges settings such as cross-holding mode", () => {
+    const doc = createDoc(sample(), "server");
+    const a = replica(doc, "a");
+    const b = replica(doc, "b");
+
+    applyOps(
+      b.doc,
+      edit(a, (s) => ({ ...s, crossHoldings: true }))
+    );
+
+    assert.equal(structureOf(b).crossHoldings, true);
+  });
+
+  it("leaves each replica its own collapsed companies", () => {
+    const doc = createDoc({ ...sample(), collapsed: [1] }, "server");
+    const a = replica(doc, "a");
+
+    assert.deepEqual(
+      edit(a, (s) => ({ ...s, collapsed: [3] })),
+      []
+    );
+    assert.equal(structureOf(a).collapsed, undefined);
+    assert.deepEqual(
+      withPerUserFields(structureOf(a), { collapsed: [3] }).collapsed,
+      [3]
+    );
+  });
+
+  it("applies another replica's changes to an earlier version for undo", () => {
+    const original = sample();
+    const edited = {
+      ...original,
+      entities: original.entities.map((e) =>
+        e.id === 2 ? { ...e, name: "Alice Smith" } : e
+      ),
+    };
+    // Someone else adds a shareholder and changes HoldCo's stake
+    const remote = {
+      ...edited,
+      entities: [...edited.entities, { id: 5, name: "Carol" }],
+      holdings: edited.holdings.map((h) =>
+        h.id === 2 ? { ...h, percentage: 30 } : h
+      ),
+    };
+
+    // Undoing the rename keeps their changes
+    const undone = applyChanges(original, structureChanges(edited, remote));
+    assert.equal(undone.entities[1].name, "Alice");
+    assert.deepEqual(undone.entities[4], { id: 5, name: "Carol" });
+    assert.equal(undone.holdings[1].percentage, 30);
+  });
+
+  it("skips changes to elements an earlier version does not have", () => {
+    const before = sample();
+    const after = {
+      ...before,
+      holdings: before.holdings.map((h) =>
+        h.id === 2 ? { ...h, percentage: 30 } : h
+      ),
+    };
+    const earlier = { ...before, holdings: [before.holdings[0]] };
+
+    assert.deepEqual(
+      applyChanges(earlier, structureChanges(before, after)),
+      earlier
+    );
+  });
+
+  it("tells well-formed ops from others", () => {
+    const op = {
+      tag: "7@a",
+      kind: "entity",
+      field: "name",
+      value: "Carol",
+      stamp: [7, "a"],
+    };
+    assert.ok(isOp(op));
+    assert.ok(
+      isOp({
+        ...op,
+        tag: "settings",
+        kind: "settings",
+        field: "crossHoldings",
+        value: true,
+      })
+    );
+    [
+      null,
+      { ...op, kind: "widget" },
+      { ...op, kind: "settings" },
+      { ...op, tag: "settings" },
+      { ...op, field: 1 },
+      { ...op, stamp: [7] },
+      { ...op, stamp: ["7", "a"] },
+      { ...op, stamp: [0, "a"] },
+      { ...op, stamp: [7, 1] },
+    ].forEach((bad) => assert.ok(!isOp(bad), JSON.stringify(bad)));
+  });
+
+  it("rejects ops whose value the field cannot take", () => {
+    const op = { tag: "7@a", stamp: [7, "a"] };
+    [
+      { ...op, kind: "entity", field: "id", value: "5" },
+      { ...op, kind: "entity", field: "name", value: { first: "Carol" } },
+      { ...op, kind: "entity", field: "instruments", value: [null] },
+      { ...op, kind: "entity", field: "removed", value: "yes" },
+      { ...op, kind: "holding", field: "percentage", value: { value: 10 } },
+      { ...op, kind: "holding", field: "holder", value: 5 },
+      { ...op, kind: "holding", field: "votingPercentage", value: "10" },
+    ].forEach((bad) => assert.ok(!isOp(bad), JSON.stringify(bad)));
+    [
+      { ...op, kind: "holding", field: "votingPercentage", value: null },
+      { ...op, kind: "holding", field: "percentage", value: undefined },
+      { ...op, kind: "entity", field: "lei", value: "5493001KJTIIGC8Y1R12" },
+    ].forEach((good) => assert.ok(isOp(good), JSON.stringify(good)));
+  });
+
+  it("moves instrument holders along with renumbered entities", () => {
+    const doc = createDoc(sample(), "server");
+    const a = replica(doc, "a");
+    const b = replica(doc, "b");
+    const addWithWarrant = (name) => (s) => ({
+      ...s,
+      entities: [
+        ...s.entities.map((e) =>
+          e.id === 3
+            ? {
+                ...e,
+                instruments: [
+                  { id: 1, type: "warrant", holder: 5, percentage: 5 },
+                ],
+              }
+            : e
+        ),
+        { id: 5, name, type: "individual" },
+      ],
+    });
+
+    const fromA = edit(a, addWithWarrant("Carol"));
+    const fromB = edit(b, addWithWarrant("Dave"));
+    applyOps(a.doc, fromB);
+    applyOps(b.doc, fromA);
+
+    const merged = structureOf(a);
+    assert.deepEqual(merged, structureOf(b));
+    const holder = merged.entities[2].instruments[0].holder;
+    const named = merged.entities.find((e) => e.id === holder).name;
+    // Whichever write wins, the warrant stays with the entity it named
+    assert.ok(
+      (holder === 5 && named === "Carol") || (holder === 6 && named === "Dave"),
+      `${holder} ${named}`
+    );
+  });
+
+  it("tells well-formed presence from others", () => {
+    const user = { name: "Alice", color: "#e91e63" };
+    assert.ok(isPresence({ user }));
+    assert.ok(isPresence({ user, selected: "3@a", editing: null }));
+    [
+      { user: null },
+      { user: { name: "", color: "#e91e63" } },
+      { user: { name: { first: "Alice" }, color: "#e91e63" } },
+      { user: { name: "Alice" } },
+      { user, selected: 3 },
+      { user, editing: { tag: "3@a" } },
+    ].forEach((bad) => assert.ok(!isPresence(bad), JSON.stringify(bad)));
+  });
+
+  it("keeps tags and fields named after Object's own properties as plain keys", () => {
+    const peer = replica(createDoc(sample(), "server"), "a");
+    const ops = JSON.parse(
+      '[{"tag":"__proto__","kind":"entity","field":"__proto__","value":{"polluted":true},"stamp":[50,"a"]}]'
+    );
+    applyOps(peer.doc, ops);
+
+    assert.equal({}.polluted, undefined);
+    const added = structureOf(peer).entities.at(-1);
+    assert.equal(added.id, 5);
+    assert.ok(Object.hasOwn(added, "__proto__"));
+  });
+});
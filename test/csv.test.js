@@ -0,0 +1,157 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  csvToStructure,
+  guessColumnMapping,
+  parseCsv,
+  structureToCsv,
+} from "../src/lib/csv.js";
+import { sample } from "./fixtures.js";
+
+// Parse `text` with its header row mapped by name
+const importCsv = (text, parentMatch) => {
+  const [headers, ...rows] = parseCsv(text);
+  return csvToStructure(rows, guessColumnMapping(headers), parentMatch);
+};
+
+describe("parseCsv", () => {
+  it("reads quoted fields with commas, quotes and line breaks", () => {
+    assert.deepEqual(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n\n'), [
+      ["a", "b"],
+      ["x, y", 'say "hi"\nthere'],
+    ]);
+  });
+
+  it("reads files separated by semicolons", () => {
+    assert.deepEqual(parseCsv("name;parent\nAlice;Root"), [
+      ["name", "parent"],
+      ["Alice", "Root"],
+    ]);
+  });
+});
+
+describe("guessColumnMapping", () => {
+  it("maps header names and custom columns", () => {
+    const mapping = guessColumnMapping([
+      "Shareholder",
+      "Owns",
+      "Stake",
+      "DOB",
+      "custom:Tax ID",
+    ]);
+    assert.equal(mapping.name, 0);
+    assert.equal(mapping.parent, 1);
+    assert.equal(mapping.percentage, 2);
+    assert.equal(mapping.dateOfBirth, 3);
+    assert.equal(mapping.id, null);
+    assert.deepEqual(mapping.custom, [{ index: 4, label: "Tax ID" }]);
+  });
+});
+
+describe("csvToStructure", () => {
+  it("reads back what structureToCsv writes", () => {
+    const structure = sample();
+    structure.entities[1] = {
+      ...structure.entities[1],
+      nationality: "GB",
+      customFields: [{ label: "Tax ID", value: "123" }],
+    };
+
+    const { structure: imported, errors } = importCsv(
+      structureToCsv(structure)
+    );
+    assert.deepEqual(errors, []);
+    assert.deepEqual(imported, structure);
+  });
+
+  it("keeps profiles and custom fields through export and import", () => {
+    const structure = sample();
+    structure.entities[0] = {
+      ...structure.entities[0],
+      jurisdiction: "GB",
+      registrationNumber: "01234567",
+      lei: "5493001KJTIIGC8Y1R12",
+      incorporationDate: "2001-05-04",
+      registeredAddress: '1 "High" Street,\nLondon',
+      customFields: [
+        { label: "Sector", value: "Energy" },
+        { label: "Tax ID", value: "GB-1" },
+      ],
+    };
+    structure.entities[3] = {
+      ...structure.entities[3],
+      dateOfBirth: "1970-01-31",
+      customFields: [{ label: "Tax ID", value: "FR-2" }],
+    };
+
+    const csv = structureToCsv(structure);
+    assert.equal(
+      csv.split("\n")[0],
+      "id,name,type,parent,percentage,jurisdiction,registrationNumber,lei,incorporationDate,registeredAddress,nationality,dateOfBirth,custom:Sector,custom:Tax ID"
+    );
+    const { structure: imported, errors } = importCsv(csv);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(imported, structure);
+  });
+
+  it("reads profile and custom columns under other header names", () => {
+    const { structure } = importCsv(
+      "Entity,Country,DOB,custom: Risk\nRoot,GB,,High\nAlice,,1980-02-01,"
+    );
+    assert.deepEqual(structure.entities, [
+      {
+        id: 1,
+        name: "Root",
+        type: "company",
+        jurisdiction: "GB",
+        customFields: [{ label: "Risk", value: "High" }],
+      },
+    ]);
+  });
+
+  it("places parents named rather than numbered", () => {
+    const { structure, errors } = importCsv(
+      "name,type,parent,percentage\nRoot,company,,\nAlice,individual,Root,60%"
+    );
+    assert.deepEqual(errors, []);
+    assert.deepEqual(structure.holdings, [
+      { id: 1, holder: 2, held: 1, percentage: 60 },
+    ]);
+  });
+
+  it("lists the rows that cannot be placed", () => {
+    const { structure, errors } = importCsv(
+      [
+        "id,name,parent,percentage",
+        "1,Root,,",
+        "2,Alice,1,70",
+        "3,Bob,1,40",
+        "4,Carol,9,10",
+        "5,Dave,3,10",
+        ",,1,10",
+      ].join("\n")
+    );
+    assert.deepEqual(
+      structure.entities.map((entity) => entity.name),
+      ["Root", "Alice"]
+    );
+    assert.deepEqual(errors, [
+      {
+        row: 4,
+        message: 'Adding 40% would take the shareholders of "Root" over 100%',
+      },
+      { row: 5, message: 'No entity matches the parent "9"' },
+      {
+        row: 6,
+        message: '"Bob" could not be placed, so neither can "Dave"',
+      },
+      { row: 7, message: "The row has no name" },
+    ]);
+  });
+
+  it("reports a file without a root company", () => {
+    const { errors } = importCsv("name,parent\nAlice,Bob\nBob,Alice", "name");
+    assert.equal(errors[0].row, null);
+    assert.match(errors[0].message, /no root company/);
+  });
+});
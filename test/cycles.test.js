@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { findCycles, hasCycles, wouldCreateCycle } from "../src/lib/cycles.js";
+import { sample } from "./fixtures.js";
+
+// The sample with OpCo (5), held 50% by HoldCo and holding 10% of HoldCo
+const looped = () => {
+  const structure = sample();
+  structure.entities.push({ id: 5, name: "OpCo", type: "company" });
+  structure.holdings[2].percentage = 90;
+  structure.holdings.push(
+    { id: 4, holder: 3, held: 5, percentage: 50 },
+    { id: 5, holder: 5, held: 3, percentage: 10 }
+  );
+  return structure;
+};
+
+describe("findCycles", () => {
+  it("finds nothing in a tree", () => {
+    assert.deepEqual(findCycles(sample()), []);
+    assert.ok(!hasCycles(sample()));
+  });
+
+  it("groups the entities that hold each other in a loop", () => {
+    assert.deepEqual(findCycles(looped()), [[3, 5]]);
+    assert.ok(hasCycles(looped()));
+  });
+
+  it("counts an entity holding a stake in itself", () => {
+    const structure = sample();
+    structure.holdings.push({ id: 4, holder: 3, held: 3, percentage: 5 });
+    assert.deepEqual(findCycles(structure), [[3]]);
+  });
+});
+
+describe("wouldCreateCycle", () => {
+  it("tells holdings that would close a loop", () => {
+    const structure = sample();
+    // Root is held by HoldCo and through it by Bob, so it cannot hold either
+    assert.ok(wouldCreateCycle(structure, 1, 3));
+    assert.ok(wouldCreateCycle(structure, 1, 4));
+    assert.ok(wouldCreateCycle(structure, 3, 3));
+    assert.ok(!wouldCreateCycle(structure, 2, 3));
+  });
+});
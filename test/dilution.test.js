@@ -0,0 +1,118 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  conversionAmount,
+  diluteCompany,
+  fullyDiluted,
+  instrumentEntityId,
+} from "../src/lib/dilution.js";
+import { sample } from "./fixtures.js";
+
+// An unallocated option pool of 10%, a warrant for 10% held by Bob and a
+// SAFE converting into 10% at its cap
+const INSTRUMENTS = [
+  { id: 1, type: "option-pool", percentage: 10 },
+  { id: 2, type: "warrant", percentage: 10, holder: 4 },
+  { id: 3, type: "safe", principal: 1000000, valuationCap: 10000000 },
+];
+
+const percentagesOf = ({ instruments }) =>
+  instruments.map(({ percentage }) => percentage);
+
+describe("conversionAmount", () => {
+  it("adds simple interest to notes since their issue date", () => {
+    const note = {
+      type: "convertible-note",
+      principal: 100000,
+      interestRate: 10,
+      issueDate: "2020-01-01",
+    };
+    const amount = conversionAmount(note, "2022-01-01");
+    assert.ok(Math.abs(amount - 120000) < 100);
+    assert.equal(conversionAmount(note, "2019-06-30"), 100000);
+    assert.equal(
+      conversionAmount({ ...note, type: "safe" }, "2022-01-01"),
+      100000
+    );
+  });
+});
+
+describe("diluteCompany", () => {
+  it("reserves percentages of the fully diluted capital", () => {
+    const dilution = diluteCompany({ instruments: INSTRUMENTS }, "2024-01-01");
+    assert.ok(Math.abs(dilution.factor - 0.7) < 1e-9);
+    assert.deepEqual(percentagesOf(dilution), [10, 10, 10]);
+  });
+
+  it("adds option shares to the issued shares in share-count mode", () => {
+    const company = {
+      shareMode: true,
+      shareClasses: [{ id: 1, name: "Ordinary", issued: 900 }],
+      instruments: [{ id: 1, type: "warrant", shares: 100 }, INSTRUMENTS[2]],
+    };
+    const dilution = diluteCompany(company, "2024-01-01");
+    assert.ok(Math.abs(dilution.factor - 0.81) < 1e-9);
+    assert.deepEqual(percentagesOf(dilution), [9, 10]);
+  });
+
+  it("skips entries that are not instruments", () => {
+    const dilution = diluteCompany(
+      { instruments: [null, 7, INSTRUMENTS[0]] },
+      "2024-01-01"
+    );
+    assert.equal(dilution.factor, 0.9);
+    assert.deepEqual(percentagesOf(dilution), [10]);
+  });
+
+  it("leaves convertibles without a valuation cap unpriced", () => {
+    const dilution = diluteCompany(
+      { instruments: [{ id: 1, type: "safe", principal: 50000 }] },
+      "2024-01-01"
+    );
+    assert.equal(dilution.factor, 1);
+    assert.deepEqual(percentagesOf(dilution), [null]);
+  });
+});
+
+describe("fullyDiluted", () => {
+  it("scales holdings down and adds a holding per instrument", () => {
+    const structure = sample();
+    structure.entities[0] = {
+      ...structure.entities[0],
+      instruments: INSTRUMENTS,
+    };
+    const diluted = fullyDiluted(structure, "2024-01-01");
+
+    const pool = instrumentEntityId(1, INSTRUMENTS[0]);
+    assert.deepEqual(
+      diluted.entities.find((entity) => entity.id === pool),
+      {
+        id: pool,
+        name: "Option pool",
+        type: "instrument",
+        instrumentType: "option-pool",
+      }
+    );
+    assert.deepEqual(
+      diluted.holdings
+        .filter((holding) => holding.held === 1)
+        .map(({ holder, percentage, votingPercentage }) => [
+          holder,
+          percentage,
+          votingPercentage,
+        ]),
+      [
+        [2, 42, 60],
+        [3, 28, 40],
+        [pool, 10, 0],
+        [4, 10, 0],
+        [instrumentEntityId(1, INSTRUMENTS[2]), 10, 0],
+      ]
+    );
+    assert.equal(
+      structure.holdings[0].percentage,
+      60,
+      "the input is left alone"
+    );
+  });
+});
@@ -0,0 +1,443 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import * as engine from "../src/lib/engine.js";
+import { idsOf, sample } from "./fixtures.js";
+
+describe("queries", () => {
+  it("finds the root as the entity holding no stakes", () => {
+    assert.equal(engine.findRoot(sample()).id, 1);
+  });
+
+  it("lists shareholdings and stakes", () => {
+    assert.deepEqual(idsOf(engine.getShareholdings(sample(), 1)), [1, 2]);
+    assert.deepEqual(idsOf(engine.getStakes(sample(), 4)), [3]);
+  });
+
+  it("names entities, falling back to their id", () => {
+    assert.equal(engine.getEntityName(sample(), 3), "HoldCo");
+    assert.equal(engine.getEntityName(sample(), 9), "#9");
+  });
+
+  it("sums percentages and what is left", () => {
+    const structure = sample();
+    structure.holdings[1].percentage = 25;
+    assert.equal(engine.percentageSum(structure, 1), 85);
+    assert.equal(engine.remainingPercentage(structure, 1), 15);
+  });
+
+  it("counts dated shareholders over a period", () => {
+    const structure = sample();
+    structure.holdings[0].effectiveTo = "2020-12-31";
+    const period = { effectiveFrom: "2021-01-01" };
+    assert.equal(engine.availablePercentage(structure, 1, period), 60);
+    assert.equal(engine.availablePercentage(structure, 1), 0);
+  });
+
+  it("counts votes separately from the economic interest", () => {
+    const structure = sample();
+    structure.holdings[0].votingPercentage = 30;
+    assert.equal(
+      engine.availablePercentage(structure, 1, {}, { dimension: "voting" }),
+      30
+    );
+  });
+
+  it("gives the next free id", () => {
+    assert.equal(engine.nextId([]), 1);
+    assert.equal(engine.nextId([{ id: 3 }, { id: 7 }]), 8);
+  });
+
+  it("converts the legacy single-parent format", () => {
+    const structure = engine.normalizeStructure([
+      { id: 1, name: "Root", type: "company", parent: null },
+      { id: 2, name: "Alice", type: "individual", parent: 1, percentage: 50 },
+    ]);
+    assert.deepEqual(structure.entities[1], {
+      id: 2,
+      name: "Alice",
+      type: "individual",
+    });
+    assert.deepEqual(structure.holdings, [
+      { id: 1, holder: 2, held: 1, percentage: 50 },
+    ]);
+    assert.ok(engine.isStructure(structure));
+    assert.ok(!engine.isStructure({ entities: [], holdings: [] }));
+  });
+});
+
+describe("addShareholder", () => {
+  it("adds a new entity with its stake", () => {
+    const structure = sample();
+    structure.holdings[2].percentage = 70;
+    const updated = engine.addShareholder(structure, 3, {
+      name: "Carol",
+      type: "individual",
+      percentage: 30,
+    });
+
+    assert.deepEqual(updated.entities.at(-1), {
+      id: 5,
+      name: "Carol",
+      type: "individual",
+    });
+    assert.deepEqual(updated.holdings.at(-1), {
+      id: 4,
+      holder: 5,
+      held: 3,
+      percentage: 30,
+    });
+    assert.equal(structure.entities.length, 4, "the input is left alone");
+  });
+
+  it("links an existing entity", () => {
+    const structure = sample();
+    structure.holdings[2].percentage = 50;
+    const updated = engine.addShareholder(structure, 3, {
+      existingId: "2",
+      percentage: 50,
+      votingPercentage: "",
+    });
+
+    assert.equal(updated.entities.length, 4);
+    assert.deepEqual(updated.holdings.at(-1), {
+      id: 4,
+      holder: 2,
+      held: 3,
+      percentage: 50,
+    });
+  });
+
+  it("refuses a stake larger than what is left", () => {
+    assert.throws(
+      () =>
+        engine.addShareholder(sample(), 1, {
+          name: "Carol",
+          type: "company",
+          percentage: 10,
+        }),
+      (error) =>
+        error instanceof engine.OwnershipError && error.maxPercentage === 0
+    );
+  });
+
+  it("refuses more votes than are left", () => {
+    const structure = sample();
+    structure.holdings[2].percentage = 50;
+    structure.holdings[2].votingPercentage = 100;
+    assert.throws(
+      () =>
+        engine.addShareholder(structure, 3, {
+          name: "Carol",
+          type: "company",
+          percentage: 50,
+        }),
+      /of the votes/
+    );
+  });
+
+  it("refuses shareholders for types that cannot have any", () => {
+    assert.throws(
+      () =>
+        engine.addShareholder(sample(), 2, {
+          name: "Carol",
+          type: "company",
+          percentage: 10,
+        }),
+      /Individual type cannot have shareholders/
+    );
+  });
+
+  it("refuses a circular holding outside cross-holding mode", () => {
+    // HoldCo owns OpCo (5), which would in turn hold a stake in HoldCo
+    const structure = sample();
+    structure.holdings[2].percentage = 50;
+    structure.entities.push({ id: 5, name: "OpCo", type: "company" });
+    structure.holdings.push({ id: 4, holder: 3, held: 5, percentage: 100 });
+    const shareholder = { existingId: 5, percentage: 10 };
+
+    assert.throws(
+      () => engine.addShareholder(structure, 3, shareholder),
+      /circular holding/
+    );
+    const crossHeld = engine.addShareholder(
+      { ...structure, crossHoldings: true },
+      3,
+      shareholder
+    );
+    assert.equal(crossHeld.holdings.length, 5);
+  });
+
+  it("refuses the root company as a shareholder", () => {
+    const structure = { ...sample(), crossHoldings: true };
+    assert.throws(
+      () =>
+        engine.addShareholder(structure, 3, { existingId: 1, percentage: 0 }),
+      /root company/
+    );
+  });
+
+  it("derives percentages from shares in share-count mode", () => {
+    const structure = sample();
+    structure.entities[2] = {
+      ...structure.entities[2],
+      shareMode: true,
+      shareClasses: [{ id: 1, name: "Ordinary", issued: 100 }],
+    };
+    structure.holdings[2] = {
+      ...structure.holdings[2],
+      percentage: 75,
+      shares: { 1: 75 },
+    };
+
+    const updated = engine.addShareholder(structure, 3, {
+      name: "Carol",
+      type: "individual",
+      shares: { 1: 25 },
+    });
+    assert.equal(updated.holdings.at(-1).percentage, 25);
+    assert.throws(
+      () =>
+        engine.addShareholder(structure, 3, {
+          name: "Carol",
+          type: "individual",
+          shares: { 1: 26 },
+        }),
+      /Only 25 are unallocated/
+    );
+  });
+});
+
+describe("removeEntity", () => {
+  it("removes shareholders left without any holding", () => {
+    const updated = engine.removeEntity(sample(), 3);
+    assert.deepEqual(idsOf(updated.entities), [1, 2]);
+    assert.deepEqual(idsOf(updated.holdings), [1]);
+  });
+
+  it("keeps shareholders with stakes elsewhere", () => {
+    const structure = sample();
+    structure.holdings.push({ id: 4, holder: 4, held: 1, percentage: 0 });
+    const updated = engine.removeEntity(structure, 3);
+    assert.deepEqual(idsOf(updated.entities), [1, 2, 4]);
+  });
+
+  it("drops circular groups cut off from the root", () => {
+    const structure = sample();
+    structure.crossHoldings = true;
+    structure.entities.push({ id: 5, name: "Loop", type: "company" });
+    structure.holdings[2].percentage = 50;
+    structure.holdings.push(
+      { id: 4, holder: 5, held: 3, percentage: 50 },
+      { id: 5, holder: 3, held: 5, percentage: 10 }
+    );
+
+    const updated = engine.removeEntity(structure, 3);
+    assert.deepEqual(idsOf(updated.entities), [1, 2]);
+    assert.deepEqual(idsOf(updated.holdings), [1]);
+  });
+
+  it("clears removed holders of instruments and collapsed ids", () => {
+    const structure = sample();
+    structure.entities[0].instruments = [{ id: 1, holder: 4, type: "option" }];
+    structure.collapsed = [3, 1];
+
+    const updated = engine.removeEntity(structure, 3);
+    assert.deepEqual(updated.entities[0].instruments, [
+      { id: 1, type: "option" },
+    ]);
+    assert.deepEqual(updated.collapsed, [1]);
+  });
+
+  it("keeps the rest of a structure whose root holds a stake", () => {
+    // Root also holds 10% of HoldCo, so every entity holds a stake
+    const structure = sample();
+    structure.crossHoldings = true;
+    structure.holdings.push({ id: 4, holder: 1, held: 3, percentage: 10 });
+    structure.holdings[2].percentage = 90;
+
+    const updated = engine.removeEntity(structure, 3);
+    assert.deepEqual(idsOf(updated.entities), [1, 2]);
+    assert.deepEqual(idsOf(updated.holdings), [1]);
+  });
+
+  it("refuses to remove the root", () => {
+    assert.throws(
+      () => engine.removeEntity(sample(), 1),
+      engine.OwnershipError
+    );
+  });
+});
+
+describe("moveHolding", () => {
+  // Bob's 100% of HoldCo moved into the root alongside Alice
+  const withRoom = () => {
+    const structure = sample();
+    structure.holdings[0].percentage = 20;
+    structure.holdings[1].percentage = 30;
+    structure.entities.push({ id: 5, name: "OpCo", type: "company" });
+    structure.holdings.push({ id: 4, holder: 5, held: 3, percentage: 0 });
+    return structure;
+  };
+
+  it("moves a stake with the shareholder's subtree", () => {
+    const structure = withRoom();
+    structure.holdings[2].percentage = 50;
+    const updated = engine.moveHolding(structure, 3, 1);
+    assert.deepEqual(updated.holdings[2], {
+      id: 3,
+      holder: 4,
+      held: 1,
+      percentage: 50,
+    });
+  });
+
+  it("reports the most that fits, and accepts a smaller stake", () => {
+    const structure = withRoom();
+    assert.throws(
+      () => engine.moveHolding(structure, 3, 1),
+      (error) => error.maxPercentage === 50
+    );
+    const updated = engine.moveHolding(structure, 3, 1, { percentage: 50 });
+    assert.equal(updated.holdings[2].percentage, 50);
+  });
+
+  it("leaves the structure alone when moved to the same company", () => {
+    const structure = sample();
+    assert.equal(engine.moveHolding(structure, 3, 3), structure);
+  });
+
+  it("refuses moves that would close a loop", () => {
+    assert.throws(
+      () => engine.moveHolding(withRoom(), 2, 5),
+      /circular holding/
+    );
+  });
+
+  it("refuses a second stake in the same company", () => {
+    const structure = withRoom();
+    structure.holdings.push({ id: 5, holder: 4, held: 5, percentage: 10 });
+    assert.throws(
+      () => engine.moveHolding(structure, 3, 5),
+      /already holds a stake/
+    );
+  });
+
+  it("drops share counts of the company the stake was in", () => {
+    const structure = withRoom();
+    structure.holdings[2] = {
+      ...structure.holdings[2],
+      percentage: 10,
+      shares: { 1: 10 },
+    };
+    const updated = engine.moveHolding(structure, 3, 1);
+    assert.equal(updated.holdings[2].shares, undefined);
+  });
+});
+
+describe("updating entities and stakes", () => {
+  it("updates entity fields", () => {
+    const updated = engine.updateEntity(sample(), 3, { name: "TopCo" });
+    assert.deepEqual(updated.entities[2], {
+      id: 3,
+      name: "TopCo",
+      type: "company",
+    });
+  });
+
+  it("clamps stakes to what the other shareholders leave", () => {
+    const structure = sample();
+    const updated = engine.updateStakes(structure, 2, [
+      { ...structure.holdings[0], percentage: 90, votingPercentage: 90 },
+    ]);
+    assert.equal(updated.holdings[0].percentage, 60);
+    assert.equal(updated.holdings[0].votingPercentage, 60);
+  });
+
+  it("clamps the votes that follow the economic interest", () => {
+    const structure = sample();
+    structure.holdings[1].votingPercentage = 70;
+    const updated = engine.updateStakes(structure, 2, [structure.holdings[0]]);
+    assert.equal(updated.holdings[0].percentage, 60);
+    assert.equal(updated.holdings[0].votingPercentage, 30);
+
+    const fitting = engine.updateStakes(sample(), 2, [
+      { ...sample().holdings[0], votingPercentage: "" },
+    ]);
+    assert.equal(fitting.holdings[0].votingPercentage, undefined);
+  });
+
+  it("never leaves a stake below 0%", () => {
+    const structure = sample();
+    const updated = engine.updateStakes(structure, 2, [
+      { ...structure.holdings[0], percentage: -10 },
+    ]);
+    assert.equal(updated.holdings[0].percentage, 0);
+
+    // Root is over-allocated, so nothing is left for Alice's stake
+    const overAllocated = sample();
+    overAllocated.holdings[1].percentage = 110;
+    const clamped = engine.updateStakes(overAllocated, 2, [
+      overAllocated.holdings[0],
+    ]);
+    assert.equal(clamped.holdings[0].percentage, 0);
+  });
+
+  it("drops stakes left out", () => {
+    const structure = sample();
+    structure.holdings.push({ id: 4, holder: 4, held: 1, percentage: 0 });
+    const updated = engine.updateStakes(structure, 4, [structure.holdings[3]]);
+    assert.deepEqual(idsOf(updated.holdings), [1, 2, 4]);
+  });
+
+  it("refuses a stake that ends before it starts", () => {
+    const structure = sample();
+    assert.throws(
+      () =>
+        engine.updateStakes(structure, 2, [
+          {
+            ...structure.holdings[0],
+            effectiveFrom: "2022-01-01",
+            effectiveTo: "2021-01-01",
+          },
+        ]),
+      /The stake in Root cannot end before it starts/
+    );
+  });
+
+  it("refuses cross-holdings that leave no outside owner", () => {
+    const structure = {
+      crossHoldings: true,
+      entities: [
+        { id: 1, name: "Root", type: "company" },
+        { id: 2, name: "A", type: "company" },
+        { id: 3, name: "B", type: "company" },
+      ],
+      holdings: [
+        { id: 1, holder: 2, held: 1, percentage: 100 },
+        { id: 2, holder: 3, held: 2, percentage: 50 },
+        { id: 3, holder: 2, held: 3, percentage: 100 },
+      ],
+    };
+    assert.throws(
+      () =>
+        engine.updateStakes(structure, 3, [
+          { ...structure.holdings[1], percentage: 100 },
+        ]),
+      engine.OwnershipError
+    );
+  });
+});
+
+describe("validate", () => {
+  it("accepts a sound structure", () => {
+    assert.deepEqual(engine.validate(sample()).filter(engine.isError), []);
+  });
+
+  it("reports holdings of unknown entities as errors", () => {
+    const structure = sample();
+    structure.holdings.push({ id: 4, holder: 9, held: 1, percentage: 0 });
+    const errors = engine.validate(structure).filter(engine.isError);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].rule, "holding-reference");
+  });
+});
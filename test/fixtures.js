@@ -0,0 +1,19 @@
+// Structures shared by the tests. Each call returns a fresh copy, so a test
+// may change it freely.
+
+// Root (1) held by Alice (2) 60% and HoldCo (3) 40%; HoldCo held by Bob (4)
+export const sample = () => ({
+  entities: [
+    { id: 1, name: "Root", type: "company" },
+    { id: 2, name: "Alice", type: "individual" },
+    { id: 3, name: "HoldCo", type: "company" },
+    { id: 4, name: "Bob", type: "individual" },
+  ],
+  holdings: [
+    { id: 1, holder: 2, held: 1, percentage: 60 },
+    { id: 2, holder: 3, held: 1, percentage: 40 },
+    { id: 3, holder: 4, held: 3, percentage: 100 },
+  ],
+});
+
+export const idsOf = (items) => items.map((item) => item.id);
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { DEFAULT_ENTITY_TYPES } from "../src/lib/entityTypes.js";
+import {
+  INDIVIDUAL_FIELDS,
+  ORGANIZATION_FIELDS,
+  cleanProfile,
+  countryCode,
+  isValidLei,
+  profileFieldsFor,
+  profileProblems,
+} from "../src/lib/profile.js";
+
+const types = DEFAULT_ENTITY_TYPES;
+
+describe("profile fields", () => {
+  it("gives personal fields to natural persons only", () => {
+    assert.equal(
+      profileFieldsFor(types, { type: "individual" }),
+      INDIVIDUAL_FIELDS
+    );
+    ["company", "government", "public-float", "unknown"].forEach((type) =>
+      assert.equal(profileFieldsFor(types, { type }), ORGANIZATION_FIELDS)
+    );
+    assert.deepEqual(profileFieldsFor(types, { type: "instrument" }), []);
+  });
+
+  it("trims the profile and clears fields that do not apply", () => {
+    const updates = cleanProfile(types, {
+      type: "government",
+      jurisdiction: " GB ",
+      registrationNumber: "",
+      nationality: "FR",
+      customFields: [
+        { label: " Sector ", value: " Energy " },
+        { label: "", value: "dropped" },
+      ],
+    });
+    assert.equal(updates.jurisdiction, "GB");
+    assert.equal(updates.registrationNumber, undefined);
+    assert.equal(updates.nationality, undefined);
+    assert.deepEqual(updates.customFields, [
+      { label: "Sector", value: "Energy" },
+    ]);
+    assert.ok("lei" in updates, "cleared fields are listed to be merged");
+
+    assert.equal(
+      cleanProfile(types, { type: "individual", customFields: [] })
+        .customFields,
+      undefined
+    );
+  });
+
+  it("shows the country of incorporation or nationality", () => {
+    assert.equal(countryCode({ jurisdiction: "gb" }), "GB");
+    assert.equal(countryCode({ nationality: "fra" }), "FRA");
+    assert.equal(countryCode({ jurisdiction: "Jersey" }), "Jersey");
+    assert.equal(countryCode({}), "");
+  });
+});
+
+describe("profile checks", () => {
+  it("checks LEI check digits", () => {
+    assert.ok(isValidLei("5493001KJTIIGC8Y1R12"));
+    assert.ok(!isValidLei("5493001KJTIIGC8Y1R13"));
+    assert.ok(!isValidLei("5493001kjtiigc8y1r12"));
+    assert.ok(!isValidLei("5493001KJTIIGC8Y1R1"));
+  });
+
+  it("reports invalid LEIs, dates and unlabelled custom fields", () => {
+    assert.deepEqual(
+      profileProblems({
+        lei: "XYZ",
+        dateOfBirth: "30/02/2020",
+        customFields: [{ label: "", value: "x" }],
+      }),
+      [
+        'has an invalid LEI "XYZ"',
+        "has an invalid date of birth",
+        "has custom fields without a label",
+      ]
+    );
+    assert.deepEqual(profileProblems({ lei: "5493001KJTIIGC8Y1R12" }), []);
+  });
+});
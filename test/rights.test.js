@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  findControllers,
+  findMajorityHolder,
+  getVotingPercentage,
+  withDimension,
+} from "../src/lib/rights.js";
+import { findUltimateBeneficialOwners } from "../src/lib/ubo.js";
+import { sample } from "./fixtures.js";
+
+// The sample with HoldCo's stake in Root carrying 60% of the votes and
+// Alice's 40%
+const dualClass = () => {
+  const structure = sample();
+  structure.holdings[0].votingPercentage = 40;
+  structure.holdings[1].votingPercentage = 60;
+  return structure;
+};
+
+describe("voting dimension", () => {
+  it("defaults the votes to the economic interest", () => {
+    const [alice, holdCo] = dualClass().holdings;
+    assert.equal(getVotingPercentage(alice), 40);
+    assert.equal(
+      getVotingPercentage({ ...holdCo, votingPercentage: null }),
+      40
+    );
+    assert.equal(getVotingPercentage({ holder: 2, held: 1 }), 0);
+  });
+
+  it("sets every holding's percentage to its votes", () => {
+    const structure = dualClass();
+    assert.equal(withDimension(structure, "economic"), structure);
+    assert.deepEqual(
+      withDimension(structure, "voting").holdings.map((h) => h.percentage),
+      [40, 60, 100]
+    );
+    assert.equal(
+      structure.holdings[0].percentage,
+      60,
+      "the input is left alone"
+    );
+  });
+
+  it("gives beneficial owners by votes", () => {
+    const owners = findUltimateBeneficialOwners(
+      withDimension(dualClass(), "voting"),
+      1,
+      25
+    );
+    assert.deepEqual(
+      owners.map(({ entity, effective }) => [entity.name, effective]),
+      [
+        ["Bob", 60],
+        ["Alice", 40],
+      ]
+    );
+  });
+});
+
+describe("findControllers", () => {
+  it("gives control to a direct voting majority", () => {
+    assert.deepEqual(findControllers(sample()), {
+      1: { controllers: [2], ultimate: 2 },
+      3: { controllers: [4], ultimate: 4 },
+    });
+    assert.equal(findMajorityHolder(sample(), 1), 2);
+  });
+
+  it("follows votes rather than the economic interest", () => {
+    const control = findControllers(dualClass());
+    assert.deepEqual(control[1], { controllers: [3, 4], ultimate: 4 });
+    assert.equal(findMajorityHolder(dualClass(), 1), 3);
+  });
+
+  it("adds the votes of the companies a controller already controls", () => {
+    // Alice holds 30% of Root directly and 60% of HoldCo, which holds 30%
+    const structure = sample();
+    structure.holdings[0].percentage = 30;
+    structure.holdings[1].percentage = 30;
+    structure.holdings[2].percentage = 40;
+    structure.holdings.push({ id: 4, holder: 2, held: 3, percentage: 60 });
+
+    assert.deepEqual(findControllers(structure)[1], {
+      controllers: [2],
+      ultimate: 2,
+    });
+    assert.equal(findMajorityHolder(structure, 1), null);
+  });
+});
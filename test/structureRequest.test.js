@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { validateStructureRequest } from "../src/lib/structureRequest.js";
+
+// Root (1) held by Alice (2), whose name is missing: a warning only
+const withWarning = () => ({
+  entities: [
+    { id: 1, name: "Root", type: "company" },
+    { id: 2, name: "", type: "individual" },
+  ],
+  holdings: [{ id: 1, holder: 2, held: 1, percentage: 60 }],
+});
+
+const rulesOf = (problems) => problems.map((p) => p.rule);
+
+describe("validateStructureRequest", () => {
+  it("lets warnings through only when they were accepted", () => {
+    const body = { name: "Acme", structure: withWarning() };
+    assert.deepEqual(rulesOf(validateStructureRequest(body)), ["entity-name"]);
+    assert.deepEqual(
+      validateStructureRequest({ ...body, allowWarnings: true }),
+      []
+    );
+  });
+
+  it("refuses structures whose ownership does not add up", () => {
+    const structure = withWarning();
+    structure.entities.push({ id: 3, name: "Other", type: "company" });
+    structure.holdings[0].percentage = 120;
+
+    const problems = validateStructureRequest({
+      name: "Acme",
+      structure,
+      allowWarnings: true,
+    });
+    assert.deepEqual(rulesOf(problems).sort(), [
+      "percentage-sum",
+      "single-root",
+      "voting-sum",
+    ]);
+  });
+
+  it("reports instruments that are not objects", () => {
+    const structure = withWarning();
+    structure.entities[0].instruments = [null, "warrant"];
+
+    const problems = validateStructureRequest({ name: "Acme", structure });
+    assert.deepEqual(
+      problems.filter((p) => p.rule === "instrument").map((p) => p.message),
+      [
+        'The instrument at position 1 of "Root" has an unknown type',
+        'The instrument at position 2 of "Root" has an unknown type',
+      ]
+    );
+  });
+});
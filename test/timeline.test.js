@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  allocatedPercentage,
+  getChangeDates,
+  structureAsOf,
+} from "../src/lib/timeline.js";
+import { idsOf } from "./fixtures.js";
+
+// Root (1) held by Alice (2) throughout and by HoldCo (3) during 2020 only;
+// HoldCo held by Bob (4) throughout
+const dated = () => ({
+  entities: [
+    { id: 1, name: "Root", type: "company" },
+    { id: 2, name: "Alice", type: "individual" },
+    { id: 3, name: "HoldCo", type: "company" },
+    { id: 4, name: "Bob", type: "individual" },
+  ],
+  holdings: [
+    { id: 1, holder: 2, held: 1, percentage: 60 },
+    {
+      id: 2,
+      holder: 3,
+      held: 1,
+      percentage: 40,
+      effectiveFrom: "2020-01-01",
+      effectiveTo: "2020-12-31",
+    },
+    { id: 3, holder: 4, held: 3, percentage: 100 },
+  ],
+});
+
+describe("structureAsOf", () => {
+  it("keeps holdings in force on the date", () => {
+    const asOf = structureAsOf(dated(), "2020-06-30");
+    assert.deepEqual(idsOf(asOf.entities), [1, 2, 3, 4]);
+    assert.deepEqual(idsOf(asOf.holdings), [1, 2, 3]);
+  });
+
+  it("drops an entity whose stakes have lapsed with its shareholders", () => {
+    const asOf = structureAsOf(dated(), "2021-01-01");
+    assert.deepEqual(idsOf(asOf.entities), [1, 2]);
+    assert.deepEqual(idsOf(asOf.holdings), [1]);
+  });
+
+  it("leaves the structure alone without a date", () => {
+    const structure = dated();
+    assert.equal(structureAsOf(structure, ""), structure);
+  });
+});
+
+describe("dates", () => {
+  it("lists the days the structure changes on", () => {
+    assert.deepEqual(getChangeDates(dated()), ["2020-01-01", "2021-01-01"]);
+  });
+
+  it("counts the most allocated at any moment of a period", () => {
+    const { holdings } = dated();
+    assert.equal(allocatedPercentage(holdings, 1, {}), 100);
+    assert.equal(
+      allocatedPercentage(holdings, 1, { effectiveFrom: "2021-01-01" }),
+      60
+    );
+  });
+});
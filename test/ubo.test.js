@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  calculateEffectiveOwnership,
+  findUltimateBeneficialOwners,
+  solveEffectiveOwnership,
+} from "../src/lib/ubo.js";
+import { sample } from "./fixtures.js";
+
+// Root (1) held 100% by HoldCo (2); HoldCo held by Bob (3) 50% and SubCo (4)
+// 50%; SubCo held by HoldCo 50% and Alice (5) 50%
+const crossHeld = () => ({
+  entities: [
+    { id: 1, name: "Root", type: "company" },
+    { id: 2, name: "HoldCo", type: "company" },
+    { id: 3, name: "Bob", type: "individual" },
+    { id: 4, name: "SubCo", type: "company" },
+    { id: 5, name: "Alice", type: "individual" },
+  ],
+  holdings: [
+    { id: 1, holder: 2, held: 1, percentage: 100 },
+    { id: 2, holder: 3, held: 2, percentage: 50 },
+    { id: 3, holder: 4, held: 2, percentage: 50 },
+    { id: 4, holder: 2, held: 4, percentage: 50 },
+    { id: 5, holder: 5, held: 4, percentage: 50 },
+  ],
+});
+
+const ownersOf = (owners) =>
+  owners.map(({ entity, effective }) => [entity.name, effective]);
+
+describe("effective ownership", () => {
+  it("multiplies the stakes along every chain", () => {
+    const structure = sample();
+    structure.holdings[2].percentage = 50;
+    structure.holdings.push({ id: 4, holder: 2, held: 3, percentage: 50 });
+
+    const ownership = calculateEffectiveOwnership(structure, 1);
+    assert.equal(ownership[2].effective, 80);
+    assert.deepEqual(
+      ownership[2].paths.map((path) => path.chain),
+      [
+        [2, 1],
+        [2, 3, 1],
+      ]
+    );
+    assert.equal(ownership[4].effective, 20);
+  });
+
+  it("follows each loop once without solving cross-holdings", () => {
+    const ownership = calculateEffectiveOwnership(crossHeld(), 1);
+    assert.equal(ownership[3].effective, 50);
+    assert.equal(ownership[5].effective, 25);
+  });
+
+  it("includes the value that loops around cross-holdings when solving", () => {
+    const solved = solveEffectiveOwnership(crossHeld(), 1);
+    assert.ok(Math.abs(solved[3] - 200 / 3) < 1e-9);
+    assert.ok(Math.abs(solved[5] - 100 / 3) < 1e-9);
+  });
+
+  it("refuses loops that leave no outside owner", () => {
+    const structure = crossHeld();
+    structure.holdings = structure.holdings.filter(
+      (holding) => holding.holder === 2 || holding.holder === 4
+    );
+    structure.holdings[1].percentage = 100;
+    structure.holdings[2].percentage = 100;
+    assert.throws(
+      () => solveEffectiveOwnership(structure, 1),
+      /no outside owner/
+    );
+  });
+});
+
+describe("findUltimateBeneficialOwners", () => {
+  it("lists owners at or above the threshold, largest first", () => {
+    assert.deepEqual(ownersOf(findUltimateBeneficialOwners(sample(), 1, 25)), [
+      ["Alice", 60],
+      ["Bob", 40],
+    ]);
+    assert.deepEqual(ownersOf(findUltimateBeneficialOwners(sample(), 1, 50)), [
+      ["Alice", 60],
+    ]);
+  });
+
+  it("lists natural persons only", () => {
+    const structure = sample();
+    structure.entities.push(
+      { id: 5, name: "State", type: "government" },
+      { id: 6, name: "Public", type: "public-float" }
+    );
+    structure.holdings[0].percentage = 30;
+    structure.holdings.push(
+      { id: 4, holder: 5, held: 1, percentage: 20 },
+      { id: 5, holder: 6, held: 1, percentage: 10 }
+    );
+    assert.deepEqual(ownersOf(findUltimateBeneficialOwners(structure, 1, 10)), [
+      ["Bob", 40],
+      ["Alice", 30],
+    ]);
+  });
+
+  it("follows the natural-person flag of the structure's own types", () => {
+    const structure = sample();
+    structure.entityTypes = [
+      { id: "company", label: "Company", mayHaveShareholders: true },
+      { id: "individual", label: "Individual", mayHaveShareholders: false },
+      {
+        id: "trust",
+        label: "Trust",
+        mayHaveShareholders: true,
+        naturalPerson: true,
+      },
+    ];
+    structure.entities[2] = { ...structure.entities[2], type: "trust" };
+    assert.deepEqual(ownersOf(findUltimateBeneficialOwners(structure, 1, 25)), [
+      ["Alice", 60],
+      ["HoldCo", 40],
+      ["Bob", 40],
+    ]);
+  });
+
+  it("solves cross-holdings when asked", () => {
+    const owners = findUltimateBeneficialOwners(crossHeld(), 1, 30, {
+      solveCrossHoldings: true,
+    });
+    assert.deepEqual(
+      owners.map(({ entity }) => entity.name),
+      ["Bob", "Alice"]
+    );
+  });
+});
@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { autoFixStructure, validateStructure } from "../src/lib/validation.js";
+import { idsOf, sample } from "./fixtures.js";
+
+// The sample with Bob listed twice and a different entity reusing his id
+const withRepeats = () => {
+  const structure = sample();
+  const bob = structure.entities[3];
+  structure.entities.push({ ...bob }, { ...bob, name: "Robert" }, { ...bob });
+  return structure;
+};
+
+describe("repeated entities", () => {
+  it("can fix only exact copies of an earlier entity", () => {
+    const duplicates = validateStructure(withRepeats()).filter(
+      (problem) => problem.rule === "duplicate-id"
+    );
+    assert.deepEqual(
+      duplicates.map((problem) => problem.fixable),
+      [true, false, true]
+    );
+  });
+
+  it("keeps the first of each exact copy", () => {
+    const { structure, fixes } = autoFixStructure(withRepeats());
+    assert.deepEqual(idsOf(structure.entities), [1, 2, 3, 4, 4]);
+    assert.equal(structure.entities[4].name, "Robert");
+    assert.deepEqual(fixes, [
+      "Removed a repeated copy of entity 4",
+      "Removed a repeated copy of entity 4",
+    ]);
+  });
+});